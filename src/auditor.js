@@ -1,14 +1,58 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import pa11y from 'pa11y';
+import puppeteer from 'puppeteer';
 import logger from './logger.js';
+import BrowserPool from './browserPool.js';
+import SiteCrawler from './crawler.js';
+import ScopeResolver from './scopes.js';
+import { fingerprintIssue } from './baseline.js';
+import { evaluateConformance } from './conformance.js';
+import ScoringModel from './scoring.js';
+import ScreenshotCapturer from './screenshots.js';
+import { resolveViewports } from './viewports.js';
+import {
+  getAxeRuleSelection,
+  getCriteriaForCode,
+  getLowestLevel,
+  isOutsideVersion,
+} from './wcagCatalogue.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+/**
+ * Chrome launch settings shared by every browser the auditor starts
+ */
+export const chromeLaunchConfig = {
+  executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--no-zygote',
+    '--disable-gpu'
+  ],
+};
 
 /**
- * Accessibility Auditor - WCAG 2.1 Compliance Scanner
+ * Accessibility Auditor - WCAG 2.x Compliance Scanner
  * Scans a website for accessibility violations
  */
 export class AccessibilityAuditor {
   constructor(config) {
     this.config = config;
     this.results = null;
+    this.scopes = new ScopeResolver(config);
+    this.viewports = resolveViewports(config);
+    this.screenshots = config.includeScreenshots ? new ScreenshotCapturer(config) : null;
+    this.severityOverrides = this._loadSeverityOverrides();
+    this.scoring = new ScoringModel(config);
+    this.pool = new BrowserPool(config, chromeLaunchConfig);
   }
 
   /**
@@ -20,30 +64,9 @@ export class AccessibilityAuditor {
     try {
       logger.info(`Starting accessibility audit for: ${url}`);
 
-      // Pa11y expects standard format: WCAG2A, WCAG2AA, or WCAG2AAA
-      const wcagStandard = `WCAG2${this.config.wcagLevel}`;
-      
-      const auditResult = await pa11y(url, {
-        standard: wcagStandard,
-        include: ['.bank-container', 'main', '.content'],
-        runners: ['axe'],
-        wait: 5000,
-        chromeLaunchConfig: {
-          executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
-          args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--single-process',
-            '--disable-gpu'
-          ],
-        },
-      });
-
-      this.results = this._processResults(auditResult);
+      this.results = await this.pool.withBrowser((browser) =>
+        this._auditAcrossViewports(url, { browser })
+      );
       logger.info(`Audit completed for: ${url}`, {
         issuesFound: this.results.summary.total,
       });
@@ -57,11 +80,504 @@ export class AccessibilityAuditor {
     }
   }
 
+  /**
+   * Audit a list of URLs through a queue, running up to AUDIT_CONCURRENCY
+   * audits at once on pooled browsers. A URL that fails is recorded and the
+   * batch carries on.
+   * @param {Array} urls - URLs to audit
+   * @returns {Promise<Object>} Per-URL entries (in input order) and batch timing
+   */
+  async auditBatch(urls) {
+    const started = Date.now();
+    const queue = urls.map((url, index) => ({ url, index }));
+    const entries = new Array(urls.length);
+    const recycledBefore = this.pool.stats.recycled;
+
+    logger.info(`Starting batch audit of ${urls.length} URLs`, { concurrency: this.pool.size });
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const { url, index } = queue.shift();
+        entries[index] = await this._auditTimed(url);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.pool.size, urls.length) }, worker));
+
+    const durations = entries.map((entry) => entry.durationMs);
+    const timing = {
+      totalMs: Date.now() - started,
+      averageMs: durations.length > 0 ? Math.round(durations.reduce((a, b) => a + b, 0) / durations.length) : 0,
+      slowestMs: durations.length > 0 ? Math.max(...durations) : 0,
+      concurrency: this.pool.size,
+      browsersRecycled: this.pool.stats.recycled - recycledBefore,
+    };
+
+    logger.info('Batch audit completed', {
+      audited: entries.filter((entry) => entry.status === 'AUDITED').length,
+      failed: entries.filter((entry) => entry.status === 'FAILED').length,
+      ...timing,
+    });
+
+    return { entries, timing };
+  }
+
+  /**
+   * Close the pooled browsers. Call once the auditor is no longer needed.
+   */
+  async close() {
+    await this.pool.close();
+  }
+
+  /**
+   * Audit one queued URL on a pooled browser and time it
+   * @private
+   */
+  async _auditTimed(url) {
+    const started = Date.now();
+    try {
+      logger.info(`Starting accessibility audit for: ${url}`);
+      const result = await this.pool.withBrowser((browser) =>
+        this._auditAcrossViewports(url, { browser })
+      );
+      const durationMs = Date.now() - started;
+      logger.info(`Audit completed for: ${url}`, { issuesFound: result.summary.total, durationMs });
+      return { url, status: 'AUDITED', durationMs, result };
+    } catch (error) {
+      const durationMs = Date.now() - started;
+      logger.error(`Audit failed for ${url}: ${error.message}`, { durationMs });
+      return { url, status: 'FAILED', durationMs, error: error.message };
+    }
+  }
+
+  /**
+   * Audit a page that is already open in a browser (e.g. mid-journey)
+   * @param {Object} browser - Puppeteer browser that owns the page
+   * @param {Object} page - Puppeteer page in the state to audit
+   * @returns {Promise<Object>} Audit results for the page as it currently is
+   */
+  async auditPage(browser, page) {
+    const url = page.url();
+    try {
+      logger.info(`Starting accessibility audit of open page: ${url}`);
+
+      const results = await this._auditAcrossViewports(url, {
+        browser,
+        page,
+        ignoreUrl: true,
+      });
+      logger.info(`Audit completed for open page: ${url}`, {
+        issuesFound: results.summary.total,
+      });
+
+      return results;
+    } catch (error) {
+      logger.error(`Audit failed for open page ${url}: ${error.message}`, {
+        stack: error.stack,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Audit a URL once per configured viewport profile and merge the results.
+   * Without a viewport matrix this is a single audit at pa11y's default size.
+   * @private
+   */
+  async _auditAcrossViewports(url, overrides = {}) {
+    const scope = this.scopes.resolve(url);
+    if (this.viewports.length === 0) {
+      const result = this._processResults(await this._runScopedAudit(url, scope, overrides), scope);
+      return this._captureScreenshots(url, result, { ...overrides, scope });
+    }
+
+    const directory = this.screenshots?.createDirectory(url);
+    // An open journey page carries on after the checkpoint, so its size is put back
+    const originalViewport = overrides.page ? overrides.page.viewport() : null;
+    const viewportResults = [];
+    try {
+      for (const profile of this.viewports) {
+        logger.info(`Auditing ${url} at viewport: ${profile.name}`, profile.viewport);
+        // Each viewport records its own missing scope roots
+        const viewportScope = { ...scope, missingRoots: [] };
+        const auditResult = await this._runScopedAudit(url, viewportScope, {
+          ...overrides,
+          viewport: profile.viewport,
+        });
+        const result = await this._captureScreenshots(url, this._processResults(auditResult, viewportScope), {
+          ...overrides,
+          scope: viewportScope,
+          directory,
+          viewport: profile.viewport,
+          label: profile.name,
+        });
+        viewportResults.push({ profile, result });
+      }
+    } finally {
+      if (overrides.page) await overrides.page.setViewport(originalViewport);
+    }
+
+    return this._mergeViewportResults(viewportResults);
+  }
+
+  /**
+   * Merge per-viewport results. Each issue lists the viewports it was found at,
+   * and issues missing from some viewports are flagged as viewport-specific.
+   * @private
+   */
+  _mergeViewportResults(viewportResults) {
+    const allViewports = viewportResults.map(({ profile }) => profile.name);
+    const issues = {
+      critical: [],
+      serious: [],
+      moderate: [],
+      minor: [],
+    };
+    const seen = new Map();
+
+    viewportResults.forEach(({ profile, result }) => {
+      Object.keys(issues).forEach((severity) => {
+        result.issues[severity].forEach((issue) => {
+          const key = `${issue.code}|${issue.selector}`;
+          if (!seen.has(key)) {
+            const merged = { ...issue, viewports: [] };
+            seen.set(key, merged);
+            issues[severity].push(merged);
+          }
+          seen.get(key).viewports.push(profile.name);
+        });
+      });
+    });
+
+    seen.forEach((issue) => {
+      issue.viewportSpecific = issue.viewports.length < allViewports.length;
+    });
+
+    const [first] = viewportResults;
+    const combined = this._summarize(issues);
+    return {
+      ...first.result,
+      timestamp: new Date().toISOString(),
+      ...combined,
+      ...(first.result.scope && {
+        scope: {
+          ...first.result.scope,
+          missingRoots: Array.from(new Set(viewportResults.flatMap(({ result }) => result.scope.missingRoots))),
+        },
+      }),
+      summary: {
+        ...combined.summary,
+        viewportSpecific: Array.from(seen.values()).filter((issue) => issue.viewportSpecific).length,
+      },
+      viewports: viewportResults.map(({ profile, result }) => ({
+        name: profile.name,
+        width: profile.viewport.width,
+        height: profile.viewport.height,
+        deviceScaleFactor: profile.viewport.deviceScaleFactor || 1,
+        status: result.status,
+        compliance: result.compliance,
+        summary: result.summary,
+        ...(result.screenshot && { screenshot: result.screenshot }),
+      })),
+    };
+  }
+
+  /**
+   * Attach page and element screenshots when INCLUDE_SCREENSHOTS is on
+   * @private
+   */
+  async _captureScreenshots(url, result, options) {
+    if (!this.screenshots) return result;
+    return this.screenshots.capture(url, result, {
+      browser: options.browser,
+      page: options.page,
+      viewport: options.viewport,
+      label: options.label,
+      scope: options.scope,
+      directory: options.directory,
+      chromeLaunchConfig,
+    });
+  }
+
+  /**
+   * Run pa11y once per scope root (and runner pass) and merge the issues found.
+   * Roots can overlap, so an issue on the same element is only kept once.
+   * @private
+   */
+  async _runScopedAudit(url, scope, overrides = {}) {
+    const roots = this.scopes.getRoots(scope);
+    const ownBrowser = !overrides.browser && roots.length > 1;
+    const browser = ownBrowser ? await puppeteer.launch(chromeLaunchConfig) : overrides.browser;
+
+    try {
+      let merged = null;
+      const seen = new Set();
+
+      for (const rootElement of roots) {
+        const auditResults = [];
+        for (const pass of this._runnerPasses()) {
+          // HTML_CodeSniffer audits the whole document when its root is absent,
+          // so no later pass runs for a root an earlier pass found missing
+          if (scope.missingRoots?.includes(rootElement)) break;
+          try {
+            auditResults.push(
+              await this._runPa11y(url, this._buildPa11yOptions(scope, { ...overrides, ...pass, browser, rootElement }))
+            );
+          } catch (error) {
+            // A root that is absent on this page (e.g. a closed modal) is not a failure
+            if (rootElement && roots.length > 1 && /No elements found/.test(error.message)) {
+              logger.warn(`Scope root "${rootElement}" not found on ${url}`);
+              scope.missingRoots = [...(scope.missingRoots || []), rootElement];
+              continue;
+            }
+            throw error;
+          }
+        }
+        if (scope.missingRoots?.includes(rootElement)) continue;
+
+        merged = merged || { ...auditResults[0], issues: [] };
+        auditResults.flatMap((auditResult) => auditResult.issues).forEach((issue) => {
+          const key = `${issue.runner}|${issue.code}|${issue.selector}`;
+          if (!seen.has(key)) {
+            seen.add(key);
+            merged.issues.push(issue);
+          }
+        });
+      }
+
+      if (!merged) {
+        throw new Error(`None of the scope roots were found on ${url}: ${roots.join(', ')}`);
+      }
+      return merged;
+    } finally {
+      if (ownBrowser) await browser.close();
+    }
+  }
+
+  /**
+   * Run pa11y for one scope root and runner pass
+   * @private
+   */
+  async _runPa11y(url, options) {
+    return pa11y(url, options);
+  }
+
+  /**
+   * Split the configured runners into pa11y runs. pa11y hands its `rules` and
+   * `ignore` options to every runner and HTML_CodeSniffer rejects axe rule ids,
+   * so axe runs on its own with the rule selection for the WCAG version.
+   * axe reports moderate impact as a pa11y warning and minor as a notice, so
+   * its pass keeps both (pa11y drops them by default).
+   * @private
+   */
+  _runnerPasses() {
+    const runners = this.config.auditRunners || ['axe'];
+    const others = runners.filter((runner) => runner !== 'axe');
+    const passes = [];
+
+    if (runners.includes('axe')) {
+      const ruleSelection = getAxeRuleSelection(this.config.wcagVersion, this.config.wcagLevel);
+      passes.push({
+        runners: ['axe'],
+        rules: ruleSelection.enable,
+        ignore: ruleSelection.ignore,
+        includeWarnings: true,
+        includeNotices: true,
+      });
+    }
+    if (others.length > 0) {
+      passes.push({ runners: others, rules: [], ignore: [] });
+    }
+    return passes;
+  }
+
+  /**
+   * Build the pa11y options for an audit of one scope root; the runner pass
+   * (runners, rules, ignore) comes in through the overrides
+   * @private
+   */
+  _buildPa11yOptions(scope, overrides = {}) {
+    // Pa11y expects standard format: WCAG2A, WCAG2AA, or WCAG2AAA
+    const wcagStandard = `WCAG2${this.config.wcagLevel}`;
+
+    return {
+      standard: wcagStandard,
+      rules: [],
+      ignore: [],
+      runners: this.config.auditRunners,
+      wait: scope.wait,
+      hideElements: scope.exclude.length > 0 ? scope.exclude.join(', ') : null,
+      actions: scope.waitFor.map((selector) => `wait for element ${selector} to be visible`),
+      chromeLaunchConfig,
+      ...overrides,
+      browser: overrides.browser || null,
+    };
+  }
+
+  /**
+   * Crawl a site and audit every page found
+   * @param {string} startUrl - The URL the crawl starts from
+   * @returns {Promise<Object>} Site-wide audit results with per-page summaries
+   */
+  async auditSite(startUrl) {
+    const crawler = new SiteCrawler(this.config);
+    const pages = await crawler.discover(startUrl);
+    const pageResults = [];
+    const failedPages = [];
+
+    logger.info(`Starting site audit of ${pages.length} pages from: ${startUrl}`);
+
+    const batch = await this.auditBatch(pages.map((page) => page.url));
+    batch.entries.forEach((entry, index) => {
+      if (entry.status === 'AUDITED') {
+        pageResults.push({ ...pages[index], durationMs: entry.durationMs, result: entry.result });
+      } else {
+        failedPages.push({ url: entry.url, error: entry.error, durationMs: entry.durationMs });
+      }
+    });
+
+    if (pageResults.length === 0) {
+      throw new Error(`Site audit failed: none of the ${pages.length} pages could be audited`);
+    }
+
+    this.results = this._buildSiteResults(startUrl, pageResults, failedPages, batch.timing);
+    logger.info(`Site audit completed for: ${startUrl}`, {
+      pagesAudited: pageResults.length,
+      pagesFailed: failedPages.length,
+      issuesFound: this.results.summary.total,
+    });
+
+    return this.results;
+  }
+
+  /**
+   * Roll per-page results up into a single site-wide result
+   * @private
+   */
+  _buildSiteResults(startUrl, pageResults, failedPages, timing) {
+    return {
+      url: startUrl,
+      timestamp: new Date().toISOString(),
+      wcagLevel: this.config.wcagLevel,
+      wcagVersion: this.config.wcagVersion,
+      ...this.combineResults(pageResults),
+      pages: pageResults.map(({ url, depth, source, durationMs, result }) => ({
+        pageUrl: url,
+        // Page results keep the document title in `url`
+        documentTitle: result.url,
+        depth,
+        source,
+        durationMs,
+        status: result.status,
+        compliance: result.compliance,
+        summary: result.summary,
+        scope: result.scope,
+        ...(result.conformance && { conformance: this._summarizeConformance(result.conformance) }),
+        ...(result.viewports && { viewports: result.viewports }),
+        ...(result.screenshot && { screenshot: result.screenshot }),
+      })),
+      crawl: {
+        startUrl,
+        sources: this.config.crawlSources,
+        pagesAudited: pageResults.length,
+        pagesFailed: failedPages,
+        timing,
+      },
+    };
+  }
+
+  /**
+   * Compact per-page conformance for site rollups
+   * @private
+   */
+  _summarizeConformance(conformance) {
+    return {
+      highestLevelMet: conformance.highestLevelMet,
+      meetsTarget: conformance.meetsTarget,
+      failedCriteria: conformance.criteria
+        .filter((criterion) => criterion.status === 'failed')
+        .map((criterion) => criterion.id),
+    };
+  }
+
+  /**
+   * Merge several audit results into combined summary, issues, status and score.
+   * Each issue is tagged with the page (and journey checkpoint) it came from.
+   * @param {Array} entries - Audit results as { url, checkpoint?, result }
+   * @returns {Object} Combined summary, issues, status and compliance
+   */
+  combineResults(entries) {
+    const issues = {
+      critical: [],
+      serious: [],
+      moderate: [],
+      minor: [],
+    };
+
+    entries.forEach(({ url, checkpoint, result }) => {
+      Object.keys(issues).forEach((severity) => {
+        result.issues[severity].forEach((issue) => {
+          issues[severity].push({
+            ...issue,
+            pageUrl: url,
+            ...(checkpoint && { checkpoint }),
+          });
+        });
+      });
+    });
+
+    const combined = this._summarize(issues);
+    if (entries.length < 2) return combined;
+
+    // Several pages: the score is the page-weighted average of their scores
+    const scoring = this.scoring.combine(
+      entries.map(({ url, result }) => ({
+        url,
+        scoring: result.scoring || this._scoreIssues(result.issues, this._evaluateConformance(result.issues)),
+      }))
+    );
+    return { ...combined, compliance: scoring.score, scoring };
+  }
+
+  /**
+   * Build summary counts, status, score and conformance for a set of issues
+   * @private
+   */
+  _summarize(issues) {
+    const conformance = this._evaluateConformance(issues);
+    const scoring = this._scoreIssues(issues, conformance);
+    return {
+      summary: {
+        total: Object.values(issues).reduce((sum, arr) => sum + arr.length, 0),
+        critical: issues.critical.length,
+        serious: issues.serious.length,
+        moderate: issues.moderate.length,
+        minor: issues.minor.length,
+      },
+      issues,
+      status: this._determineStatus(issues),
+      compliance: scoring.score,
+      scoring,
+      conformance,
+    };
+  }
+
+  /**
+   * Criterion-level WCAG conformance for the configured version and level
+   * @private
+   */
+  _evaluateConformance(issues) {
+    return evaluateConformance(issues, {
+      version: this.config.wcagVersion,
+      level: this.config.wcagLevel,
+      runners: this.config.auditRunners || ['axe'],
+    });
+  }
+
   /**
    * Process pa11y results into structured format
    * @private
    */
-  _processResults(auditResult) {
+  _processResults(auditResult, scope) {
     const issues = {
       critical: [],
       serious: [],
@@ -69,33 +585,43 @@ export class AccessibilityAuditor {
       minor: [],
     };
 
-    // Categorize issues by type
-    auditResult.issues.forEach((issue) => {
-      const severityMap = {
-        error: 'critical',
-        warning: 'serious',
-        notice: 'moderate',
-        info: 'minor',
-      };
-
-      const category = severityMap[issue.type] || 'minor';
-      issues[category].push({
+    // Categorize issues by severity
+    // Drop findings for criteria that are not part of the configured WCAG version
+    const versionIssues = auditResult.issues.filter(
+      (issue) => !isOutsideVersion(issue.code, this.config.wcagVersion)
+    );
+    const mergedIssues = this._mergeRunnerIssues(
+      versionIssues.map((issue) => ({ ...issue, ...this._getSeverity(issue) }))
+    );
+    mergedIssues.forEach((issue) => {
+      issues[issue.severity].push({
         code: issue.code,
         message: issue.message,
         type: issue.type,
+        impact: issue.runnerExtras?.impact || null,
+        severitySource: issue.severitySource,
         selector: issue.selector,
+        runners: issue.runners,
+        ...(issue.relatedCodes.length > 0 && { relatedCodes: issue.relatedCodes }),
         wcagLevel: this._getWCAGLevel(issue.code),
         wcagCriteria: this._getWCAGCriteria(issue.code),
+        successCriteria: getCriteriaForCode(issue.code, this.config.wcagVersion) || [],
+        fingerprint: fingerprintIssue(issue, auditResult.pageUrl),
       });
     });
 
+    const conformance = this._evaluateConformance(issues);
+    const scoring = this._scoreIssues(issues, conformance);
+
     return {
       url: auditResult.documentTitle,
+      pageUrl: auditResult.pageUrl,
       timestamp: new Date().toISOString(),
       wcagLevel: this.config.wcagLevel,
       wcagVersion: this.config.wcagVersion,
+      runners: this.config.auditRunners,
       summary: {
-        total: auditResult.issues.length,
+        total: mergedIssues.length,
         critical: issues.critical.length,
         serious: issues.serious.length,
         moderate: issues.moderate.length,
@@ -103,10 +629,113 @@ export class AccessibilityAuditor {
       },
       issues,
       status: this._determineStatus(issues),
-      compliance: this._calculateCompliance(issues),
+      compliance: scoring.score,
+      scoring,
+      conformance,
+      scope: {
+        profiles: scope.profiles,
+        roots: this.scopes.getRoots(scope),
+        missingRoots: scope.missingRoots || [],
+        exclude: scope.exclude,
+        waitFor: scope.waitFor,
+      },
     };
   }
 
+  /**
+   * Collapse issues that several engines reported for the same element and
+   * WCAG criterion into one issue listing every engine that found it.
+   * Different rules of one engine stay separate findings. The most severe
+   * report of each group is kept as the representative.
+   * @private
+   */
+  _mergeRunnerIssues(rawIssues) {
+    const groups = [];
+
+    [...rawIssues]
+      .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity))
+      .forEach((issue) => {
+        const criteria = this._getCriterionIds(issue.code);
+        const runner = issue.runner || 'axe';
+        // Page-level issues have no element, so only identical rules collapse
+        const group = groups.find(
+          (candidate) =>
+            candidate.selector === issue.selector &&
+            (candidate.codes.includes(issue.code) ||
+              (issue.selector &&
+                !candidate.runners.includes(runner) &&
+                criteria.some((id) => candidate.criteria.includes(id))))
+        );
+
+        if (!group) {
+          groups.push({ ...issue, runners: [runner], relatedCodes: [], codes: [issue.code], criteria });
+          return;
+        }
+        if (!group.runners.includes(runner)) group.runners.push(runner);
+        if (!group.codes.includes(issue.code)) {
+          group.codes.push(issue.code);
+          group.relatedCodes.push(issue.code);
+        }
+      });
+
+    return groups.map(({ codes, criteria, ...issue }) => issue);
+  }
+
+  /**
+   * Determine an issue's severity: a per-rule override wins, then the
+   * runner's own impact rating (axe), then the pa11y issue type (htmlcs)
+   * @private
+   */
+  _getSeverity(issue) {
+    if (this.severityOverrides[issue.code]) {
+      return { severity: this.severityOverrides[issue.code], severitySource: 'override' };
+    }
+
+    const impact = issue.runnerExtras?.impact;
+    if (SEVERITIES.includes(impact)) {
+      return { severity: impact, severitySource: 'impact' };
+    }
+
+    const severityMap = {
+      error: 'critical',
+      warning: 'serious',
+      notice: 'moderate',
+      info: 'minor',
+    };
+    return { severity: severityMap[issue.type] || 'minor', severitySource: 'type' };
+  }
+
+  /**
+   * Load the per-rule severity override table
+   * @private
+   */
+  _loadSeverityOverrides() {
+    if (!this.config.severityOverridesFile) return {};
+
+    const filepath = path.resolve(__dirname, '..', this.config.severityOverridesFile);
+    if (!fs.existsSync(filepath)) {
+      throw new Error(`Severity overrides file not found: ${filepath}`);
+    }
+
+    const overrides = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+    Object.entries(overrides).forEach(([code, severity]) => {
+      if (!SEVERITIES.includes(severity)) {
+        throw new Error(
+          `Severity override for "${code}" must be one of ${SEVERITIES.join(', ')} (got "${severity}")`
+        );
+      }
+    });
+    return overrides;
+  }
+
+  /**
+   * Get the WCAG success criterion numbers (e.g. ["1.4.3"]) an issue code maps to
+   * @private
+   */
+  _getCriterionIds(code) {
+    return (getCriteriaForCode(code, this.config.wcagVersion) || []).map((criterion) => criterion.id);
+  }
+
   /**
    * Determine audit status based on issues
    * @private
@@ -129,40 +758,25 @@ export class AccessibilityAuditor {
    * @private
    */
   _calculateCompliance(issues) {
-    const total = Object.values(issues).reduce((sum, arr) => sum + arr.length, 0);
-    if (total === 0) return 100;
-
-    // Weight severity: critical (100 points), serious (50 points), moderate (20 points), minor (5 points)
-    const points =
-      issues.critical.length * 100 +
-      issues.serious.length * 50 +
-      issues.moderate.length * 20 +
-      issues.minor.length * 5;
+    return this._scoreIssues(issues, this._evaluateConformance(issues)).score;
+  }
 
-    const maxPoints = total * 100;
-    return Math.round(((maxPoints - points) / maxPoints) * 100);
+  /**
+   * Score a set of issues with the scoring model; the result explains the score
+   * @private
+   */
+  _scoreIssues(issues, conformance) {
+    return this.scoring.score(issues, conformance);
   }
 
   /**
-   * Map issue code to WCAG level
+   * Map issue code to WCAG level (the lowest level among its criteria)
    * @private
    */
   _getWCAGLevel(code) {
-    const levelMap = {
-      'image-alt': 'A',
-      'color-contrast': 'AA',
-      'heading-order': 'A',
-      'label': 'A',
-      'button-name': 'A',
-      'link-name': 'A',
-      'form-field-multiple-labels': 'A',
-      'duplicate-id': 'A',
-      'aria-required-attr': 'A',
-      'aria-valid-attr': 'A',
-      'select-name': 'A',
-      'textarea-name': 'A',
-    };
-    return levelMap[code] || 'AA';
+    const criteria = getCriteriaForCode(code, this.config.wcagVersion);
+    if (!criteria) return 'AA';
+    return getLowestLevel(criteria) || 'Best Practice';
   }
 
   /**
@@ -170,21 +784,13 @@ export class AccessibilityAuditor {
    * @private
    */
   _getWCAGCriteria(code) {
-    const criteriaMap = {
-      'image-alt': 'WCAG 2.1 Level A - 1.1.1 Non-text Content',
-      'color-contrast': 'WCAG 2.1 Level AA - 1.4.3 Contrast (Minimum)',
-      'heading-order': 'WCAG 2.1 Level A - 1.3.1 Info and Relationships',
-      'label': 'WCAG 2.1 Level A - 1.3.1 Info and Relationships',
-      'button-name': 'WCAG 2.1 Level A - 4.1.2 Name, Role, Value',
-      'link-name': 'WCAG 2.1 Level A - 4.1.2 Name, Role, Value',
-      'form-field-multiple-labels': 'WCAG 2.1 Level A - 1.3.1 Info and Relationships',
-      'duplicate-id': 'WCAG 2.1 Level A - 4.1.1 Parsing',
-      'aria-required-attr': 'WCAG 2.1 Level A - 4.1.2 Name, Role, Value',
-      'aria-valid-attr': 'WCAG 2.1 Level A - 4.1.2 Name, Role, Value',
-      'select-name': 'WCAG 2.1 Level A - 4.1.2 Name, Role, Value',
-      'textarea-name': 'WCAG 2.1 Level A - 4.1.2 Name, Role, Value',
-    };
-    return criteriaMap[code] || 'WCAG 2.1 Level A - General Accessibility';
+    const version = this.config.wcagVersion;
+    const criteria = getCriteriaForCode(code, version);
+    if (!criteria) return `WCAG ${version} - Unmapped rule (review manually)`;
+    if (criteria.length === 0) return 'Best Practice - not mapped to a WCAG success criterion';
+
+    const labels = criteria.map((criterion) => `Level ${criterion.level} - ${criterion.id} ${criterion.title}`);
+    return `WCAG ${version} ${labels.join('; ')}`;
   }
 
   /**
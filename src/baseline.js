@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+/**
+ * Normalize a page URL for fingerprinting: query strings and fragments
+ * (tracking parameters, session tokens) do not make a different page
+ * @param {string} url - Page URL
+ * @returns {string} Normalized URL
+ */
+export function normalizeFingerprintUrl(url) {
+  if (!url) return '';
+  try {
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.host.toLowerCase()}${parsed.pathname.replace(/\/+$/, '') || '/'}`;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Normalize a selector for fingerprinting. Numbers in ids, classes and
+ * :nth-child() arguments are usually generated or positional, so they are
+ * replaced; tag names (h1, h2) are left alone.
+ * @param {string} selector - CSS selector reported by the runner
+ * @returns {string} Normalized selector
+ */
+export function normalizeSelector(selector) {
+  if (!selector) return '';
+  return selector
+    .trim()
+    .replace(/\s*([>+~])\s*/g, ' $1 ')
+    .replace(/\s+/g, ' ')
+    .replace(/([#.][A-Za-z_-][\w-]*)/g, (token) => token.replace(/\d+/g, 'N'))
+    .replace(/\(\s*\d+\s*\)/g, '(N)');
+}
+
+/**
+ * Stable fingerprint of an issue: page URL, rule code and normalized selector
+ * @param {Object} issue - Issue from audit results
+ * @param {string} pageUrl - Page the issue was found on
+ * @returns {string} 16-character hex fingerprint
+ */
+export function fingerprintIssue(issue, pageUrl) {
+  const key = [normalizeFingerprintUrl(pageUrl), issue.code, normalizeSelector(issue.selector)].join('|');
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Flatten grouped issues into a list, each with its severity and fingerprint.
+ * Issues from reports written before fingerprints existed are fingerprinted here.
+ * @param {Object} issues - Issues grouped by severity
+ * @param {string} defaultPageUrl - Page URL for issues without their own
+ * @returns {Array} Issues with severity and fingerprint
+ */
+export function listFingerprintedIssues(issues, defaultPageUrl) {
+  return SEVERITIES.flatMap((severity) =>
+    (issues?.[severity] || []).map((issue) => ({
+      ...issue,
+      severity,
+      fingerprint: issue.fingerprint || fingerprintIssue(issue, issue.pageUrl || defaultPageUrl),
+    }))
+  );
+}
+
+/**
+ * Load the issues of a baseline JSON report
+ * @param {string} file - Path to a report written by ReportGenerator
+ * @returns {Object} { file, timestamp, url, issues }
+ */
+export function loadBaseline(file) {
+  const filepath = path.resolve(__dirname, '..', file);
+  if (!fs.existsSync(filepath)) {
+    throw new Error(`Baseline report not found: ${filepath}`);
+  }
+
+  const report = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+  if (!report.issues || !report.auditResults) {
+    throw new Error(`Baseline is not a compliance JSON report: ${filepath}`);
+  }
+
+  return {
+    file: filepath,
+    timestamp: report.auditResults.timestamp,
+    url: report.auditResults.pageUrl || report.auditResults.url,
+    issues: listFingerprintedIssues(report.issues, report.auditResults.pageUrl),
+  };
+}
+
+/**
+ * Compare current issues with a baseline by fingerprint. Fingerprints are
+ * counted, so a second occurrence of a known issue still counts as new.
+ * @param {Array} current - Fingerprinted current issues
+ * @param {Array} baseline - Fingerprinted baseline issues
+ * @returns {Object} { new, fixed, unchanged } issue lists
+ */
+export function compareWithBaseline(current, baseline) {
+  const remaining = new Map();
+  baseline.forEach((issue) => {
+    if (!remaining.has(issue.fingerprint)) remaining.set(issue.fingerprint, []);
+    remaining.get(issue.fingerprint).push(issue);
+  });
+
+  const result = { new: [], fixed: [], unchanged: [] };
+  current.forEach((issue) => {
+    const known = remaining.get(issue.fingerprint);
+    if (known && known.length > 0) {
+      known.shift();
+      result.unchanged.push(issue);
+    } else {
+      result.new.push(issue);
+    }
+  });
+  remaining.forEach((issues) => result.fixed.push(...issues));
+
+  return result;
+}
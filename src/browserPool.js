@@ -0,0 +1,135 @@
+import puppeteer from 'puppeteer';
+import logger from './logger.js';
+
+// A URL whose browser crashed is retried this many times on a fresh browser
+const CRASH_RETRIES = 1;
+
+/**
+ * Browser Pool - Reuses Chrome instances across audits
+ * Launches up to `size` browsers on demand, hands each to one audit at a
+ * time and replaces any browser that crashes or disconnects.
+ */
+export class BrowserPool {
+  constructor(config, launchOptions = {}) {
+    this.size = Math.max(1, config.auditConcurrency || 1);
+    this.launchOptions = launchOptions;
+    this.browsers = new Set();
+    this.idle = [];
+    this.waiting = [];
+    this.launching = 0;
+    this.stats = { launched: 0, recycled: 0 };
+  }
+
+  /**
+   * Run a task with a pooled browser, recycling the browser if it crashes
+   * @param {Function} task - Receives a connected browser, returns a promise
+   * @returns {Promise<*>} The task's result
+   */
+  async withBrowser(task) {
+    for (let attempt = 0; ; attempt++) {
+      const browser = await this.acquire();
+      try {
+        const result = await task(browser);
+        this.release(browser);
+        return result;
+      } catch (error) {
+        if (browser.connected) {
+          this.release(browser);
+          throw error;
+        }
+
+        logger.warn(`Browser crashed during audit: ${error.message}`);
+        await this.recycle(browser);
+        if (attempt >= CRASH_RETRIES) throw error;
+      }
+    }
+  }
+
+  /**
+   * Take a browser from the pool, launching one if below the size limit
+   * @returns {Promise<Object>} Puppeteer browser
+   */
+  async acquire() {
+    while (this.idle.length > 0) {
+      const browser = this.idle.pop();
+      if (browser.connected) return browser;
+      this._forget(browser);
+    }
+
+    if (this.browsers.size + this.launching < this.size) {
+      return this._launch();
+    }
+
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+
+  /**
+   * Return a healthy browser to the pool or to the next waiting audit
+   * @param {Object} browser - Browser obtained from acquire()
+   */
+  release(browser) {
+    const next = this.waiting.shift();
+    if (next) {
+      next.resolve(browser);
+    } else {
+      this.idle.push(browser);
+    }
+  }
+
+  /**
+   * Discard a crashed browser and free its slot for a fresh one
+   * @param {Object} browser - Browser obtained from acquire()
+   */
+  async recycle(browser) {
+    this._forget(browser);
+    this.stats.recycled++;
+    try {
+      await browser.close();
+    } catch {
+      // Already gone
+    }
+
+    const next = this.waiting.shift();
+    if (next) {
+      this._launch().then(next.resolve, next.reject);
+    }
+  }
+
+  /**
+   * Close every browser in the pool
+   */
+  async close() {
+    const browsers = Array.from(this.browsers);
+    this.browsers.clear();
+    this.idle = [];
+    await Promise.all(browsers.map((browser) => browser.close().catch(() => {})));
+  }
+
+  /**
+   * Launch a browser into the pool
+   * @private
+   */
+  async _launch() {
+    this.launching++;
+    try {
+      const browser = await puppeteer.launch(this.launchOptions);
+      this.browsers.add(browser);
+      this.stats.launched++;
+      logger.info(`Browser pool launched browser ${this.browsers.size}/${this.size}`);
+      return browser;
+    } finally {
+      this.launching--;
+    }
+  }
+
+  /**
+   * Remove a browser from the pool's bookkeeping
+   * @private
+   */
+  _forget(browser) {
+    this.browsers.delete(browser);
+    this.idle = this.idle.filter((candidate) => candidate !== browser);
+  }
+}
+
+export default BrowserPool;
@@ -2,46 +2,88 @@
 
 /**
  * Compliance Check Script - Used in CI/CD to validate pass/fail
- * Reads the latest audit result and validates against thresholds
+ * Reads an audit run's result (latest, or --run <id>) and validates against thresholds.
+ * The audit that wrote the run already updated the issue ledger and the ratchet,
+ * so this check leaves both alone unless --record is passed.
  */
 
 import config from './config.js';
 import logger from './logger.js';
 import ComplianceChecker from './complianceChecker.js';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { loadBaseline } from './baseline.js';
+import RunStore from './runStore.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+/**
+ * Baseline report to gate against: --baseline <file> or BASELINE_REPORT
+ */
+function getBaselinePath() {
+  const index = process.argv.indexOf('--baseline');
+  if (index !== -1 && process.argv[index + 1]) return process.argv[index + 1];
+  return config.baselineReport;
+}
 
-async function checkCompliance() {
-  try {
-    // Find the latest report
-    const reportsDir = path.join(__dirname, '..', config.reportOutputDir);
-    
-    if (!fs.existsSync(reportsDir)) {
-      console.error('❌ No reports directory found. Run audit first.');
-      process.exit(1);
-    }
+/**
+ * Run to check: --run <id>, else the latest run
+ */
+function getRunId() {
+  const index = process.argv.indexOf('--run');
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+/**
+ * Whether to update the issue ledger and record the ratchet: --record
+ */
+function shouldRecord() {
+  return process.argv.includes('--record');
+}
 
-    const files = fs.readdirSync(reportsDir)
-      .filter(f => f.startsWith('compliance-report') && f.endsWith('.json'))
-      .sort()
-      .reverse();
+/**
+ * Send the check result to the notification channels: --notify
+ */
+async function notify(checker, complianceResult, auditResults) {
+  if (!process.argv.includes('--notify') || !checker.notifier.enabled) return;
 
-    if (files.length === 0) {
-      console.error('❌ No compliance reports found. Run audit first.');
-      process.exit(1);
+  const deliveries = await checker.notifyCI(complianceResult, auditResults);
+  console.log('\nNotifications:');
+  deliveries.forEach((delivery) => {
+    if (delivery.skipped) {
+      console.log(`  ${delivery.channel}: skipped (no matching event)`);
+    } else if (delivery.delivered) {
+      console.log(`  ${delivery.channel}: delivered (${delivery.event})`);
+    } else {
+      console.log(`  ${delivery.channel}: failed after ${delivery.attempts} attempts: ${delivery.error}`);
     }
+  });
+}
 
-    const latestReportPath = path.join(reportsDir, files[0]);
-    const report = JSON.parse(fs.readFileSync(latestReportPath, 'utf-8'));
+/**
+ * Print one group of a baseline comparison
+ */
+function printIssueGroup(title, issues) {
+  console.log(`\n${title} (${issues.length}):`);
+  issues.forEach((issue) => {
+    const where = issue.pageUrl ? ` on ${issue.pageUrl}` : '';
+    const waiver = issue.waiver ? ` [waived: ${issue.waiver}]` : '';
+    console.log(`  [${issue.severity}] ${issue.code} ${issue.selector || ''}${where}${waiver}`);
+  });
+}
+
+async function checkCompliance() {
+  try {
+    const baselinePath = getBaselinePath();
+    const baseline = baselinePath ? loadBaseline(baselinePath) : null;
+
+    const { run, report } = new RunStore(config).readReport(getRunId());
+    console.log(`Run: ${run.id} (${run.url}, ${run.timestamp})`);
 
     // Reconstruct audit results from report
     const auditResults = {
+      runId: run.id,
       url: report.auditResults.url,
+      pageUrl: report.auditResults.pageUrl,
       status: report.auditResults.status,
       compliance: report.auditResults.complianceScore,
+      scoring: report.auditResults.scoring,
       summary: {
         total: report.summary.total_issues,
         critical: report.summary.critical,
@@ -50,11 +92,19 @@ async function checkCompliance() {
         minor: report.summary.minor,
       },
       issues: report.issues,
+      conformance: report.conformance,
+      scope: report.scope,
+      viewports: report.viewports,
+      pages: report.pages,
+      crawl: report.crawl,
+      journeys: report.journeys,
     };
 
     // Check compliance
     const checker = new ComplianceChecker(config);
-    const complianceResult = checker.check(auditResults);
+    const record = shouldRecord();
+    const complianceResult = checker.check(auditResults, { baseline, record });
+    const ratchet = record ? checker.recordRatchet(complianceResult) : null;
 
     // Log results
     console.log('\n═══════════════════════════════════════');
@@ -64,11 +114,39 @@ async function checkCompliance() {
     console.log(
       `Status: ${complianceResult.passed ? '✅ PASSED' : '❌ FAILED'}\n`
     );
+    if (complianceResult.policy) {
+      console.log(`Policy: ${complianceResult.policy.name} v${complianceResult.policy.version}\n`);
+    }
 
     complianceResult.report.summary.forEach((msg) => {
       console.log(`  ${msg}`);
     });
 
+    if (complianceResult.baseline) {
+      console.log(`\nBaseline: ${complianceResult.baseline.file} (${complianceResult.baseline.timestamp})`);
+      printIssueGroup('New issues', complianceResult.baseline.new);
+      printIssueGroup('Fixed issues', complianceResult.baseline.fixed);
+      printIssueGroup('Unchanged issues', complianceResult.baseline.unchanged);
+    }
+
+    if (ratchet && ratchet.tightened.length > 0) {
+      console.log(
+        `\nRatchet tightened: ${ratchet.tightened.map((severity) => `${severity} ≤ ${ratchet.ceilings[severity]}`).join(', ')}`
+      );
+    }
+
+    if (complianceResult.ledger && complianceResult.ledger.overdue.length > 0) {
+      console.log(`\nOverdue issues (${complianceResult.ledger.overdue.length}):`);
+      complianceResult.ledger.overdue.forEach((entry) => {
+        const waived = entry.waived ? ' [waived]' : '';
+        console.log(
+          `  [${entry.severity}] ${entry.code} ${entry.selector || ''} on ${entry.pageUrl} - due ${entry.dueDate.slice(0, 10)}${waived}`
+        );
+      });
+    }
+
+    await notify(checker, complianceResult, auditResults);
+
     console.log('\n═══════════════════════════════════════\n');
 
     // Exit with appropriate code
@@ -2,7 +2,13 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import logger from './logger.js';
-import axios from 'axios';
+import CompliancePolicy from './policy.js';
+import WaiverRegister from './waivers.js';
+import ThresholdRatchet from './ratchet.js';
+import NotificationDispatcher from './notifiers.js';
+import IssueLedger from './ledger.js';
+import { compareWithBaseline, listFingerprintedIssues } from './baseline.js';
+import { evaluateConformance } from './conformance.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -13,39 +19,114 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 export class ComplianceChecker {
   constructor(config) {
     this.config = config;
+    // Loaded (and schema-validated) up front so a bad policy fails before any audit runs
+    this.policy = new CompliancePolicy(config);
+    this.waivers = new WaiverRegister(config);
+    this.ratchet = new ThresholdRatchet(config);
+    this.notifier = new NotificationDispatcher(config);
+    this.ledger = new IssueLedger(config);
   }
 
   /**
-   * Check if audit results meet compliance standards
+   * Check if audit results meet compliance standards.
+   * Waived issues are excluded from every threshold; they are tagged with
+   * their waiver on auditResults, and the register outcome is attached as
+   * auditResults.waivers, so reports generated afterwards list them.
+   * With a baseline, only issues that are not in the baseline fail the check.
+   * Otherwise a configured ratchet also fails counts above the best recorded
+   * ones; recordRatchet() stores a passing run's counts.
+   * A configured issue ledger is updated with this run; its SLA outcome is
+   * attached as auditResults.ledger and issues are tagged with `sla`.
+   * With `record: false` (re-checking a stored run) the ledger is read, not updated.
    * @param {Object} auditResults - Audit results from AccessibilityAuditor
+   * @param {Object} options - { baseline } as returned by loadBaseline(), { record } (default true)
    * @returns {Object} Compliance check result
    */
-  check(auditResults) {
+  check(auditResults, options = {}) {
+    let gated = auditResults;
+    let register = null;
+    if (this.waivers.enabled) {
+      ({ results: gated, register } = this.waivers.apply(auditResults));
+      auditResults.waivers = register;
+    }
+
+    const ledger = this.ledger.enabled
+      ? this.ledger.update(auditResults, new Date(), { persist: options.record !== false })
+      : null;
+    if (ledger) auditResults.ledger = ledger;
+
+    const comparison = options.baseline
+      ? compareWithBaseline(
+          listFingerprintedIssues(auditResults.issues, auditResults.pageUrl),
+          options.baseline.issues
+        )
+      : null;
+
     const checks = {
-      criticalIssues: this._checkCriticalIssues(auditResults),
-      seriousIssues: this._checkSeriousIssues(auditResults),
-      moderateIssues: this._checkModerateIssues(auditResults),
-      wcagCompliance: this._checkWCAGCompliance(auditResults),
+      ...this._gatingChecks(gated, comparison),
+      ...(this.ratchet.enabled && !comparison && { ratchet: this.ratchet.evaluate(gated) }),
+      wcagCompliance: this._checkWCAGCompliance(gated),
       complianceScore: auditResults.compliance,
+      ...(register && { waivers: this._checkWaivers(register) }),
+      ...(ledger && { sla: this._checkSla(ledger) }),
     };
 
     const passed = this._determineOverallPass(checks);
 
     logger.info('Compliance check completed', {
       passed,
-      criticalPassed: checks.criticalIssues.passed,
-      seriousPassed: checks.seriousIssues.passed,
+      failedChecks: Object.values(checks)
+        .flat()
+        .filter((check) => check.passed === false)
+        .map((check) => (check.clause ? `§${check.clause.id}` : check.metric)),
       scorePercentage: `${checks.complianceScore}%`,
     });
 
     return {
       passed,
       checks,
+      ...(this.policy.enabled && !comparison && { policy: this.policy.describe() }),
+      ...(register && { waivers: register }),
+      ...(comparison && { baseline: this._describeComparison(options.baseline, comparison) }),
+      ...(checks.ratchet && { ratchet: this.ratchet.snapshot(gated) }),
+      ...(ledger && { ledger }),
       timestamp: new Date().toISOString(),
       report: this._generateComplianceReport(checks),
     };
   }
 
+  /**
+   * Record the counts of a passing check as the new ratchet ceilings.
+   * Failed checks and baseline (regression-only) checks record nothing.
+   * @param {Object} complianceResult - Result of the last check()
+   * @returns {Object|null} What was recorded, see ThresholdRatchet.record()
+   */
+  recordRatchet(complianceResult) {
+    if (!this.ratchet.enabled || !complianceResult.passed || !complianceResult.checks.ratchet) {
+      return null;
+    }
+    return this.ratchet.record(complianceResult.ratchet);
+  }
+
+  /**
+   * The checks that decide pass/fail. A baseline turns off absolute
+   * thresholds; a policy file replaces the env-var ones.
+   * @private
+   */
+  _gatingChecks(gated, comparison) {
+    if (comparison) {
+      return { regression: this._checkRegression(comparison) };
+    }
+    if (this.policy.enabled) {
+      return { policyClauses: this.policy.evaluate(gated) };
+    }
+    return {
+      criticalIssues: this._checkCriticalIssues(gated),
+      seriousIssues: this._checkSeriousIssues(gated),
+      moderateIssues: this._checkModerateIssues(gated),
+    };
+  }
+
   /**
    * Check critical issues threshold
    * @private
@@ -104,20 +185,140 @@ export class ComplianceChecker {
   }
 
   /**
-   * Check WCAG compliance level
+   * Check WCAG conformance at the configured level, criterion by criterion.
+   * Results without issue detail fall back to the critical-issue count.
    * @private
    */
   _checkWCAGCompliance(auditResults) {
-    const passed = auditResults.summary.critical === 0;
+    const standard = `WCAG ${this.config.wcagVersion} Level ${this.config.wcagLevel}`;
+
+    if (!auditResults.issues) {
+      const passed = auditResults.summary.critical === 0;
+      return {
+        metric: `${standard} Compliance`,
+        wcagVersion: this.config.wcagVersion,
+        currentLevel: this.config.wcagLevel,
+        compliant: passed,
+        passed,
+        message: passed
+          ? `✓ ${standard} Compliant`
+          : `✗ ${standard} Non-Compliant (${auditResults.summary.critical} critical issues)`,
+      };
+    }
+
+    const conformance = evaluateConformance(auditResults.issues, {
+      version: this.config.wcagVersion,
+      level: this.config.wcagLevel,
+      runners: this.config.auditRunners || ['axe'],
+    });
+    const failedCriteria = conformance.criteria
+      .filter((criterion) => criterion.status === 'failed')
+      .map((criterion) => criterion.id);
+    const passed = conformance.meetsTarget;
 
     return {
-      metric: 'WCAG 2.1 Level AA Compliance',
+      metric: `${standard} Compliance`,
+      wcagVersion: this.config.wcagVersion,
       currentLevel: this.config.wcagLevel,
+      highestLevelMet: conformance.highestLevelMet,
       compliant: passed,
+      failedCriteria,
+      manualReview: conformance.counts.manual,
+      passed,
+      message: passed
+        ? `✓ ${standard} Compliant in automated checks (${conformance.counts.passed} criteria passed, ${conformance.counts.manual} need manual review)`
+        : `✗ ${standard} Non-Compliant: ${failedCriteria.length} criteria failed (${failedCriteria.join(', ')}); highest level met: ${conformance.highestLevelMet || 'none'}`,
+    };
+  }
+
+  /**
+   * Regression gate: fail only on issues that are not in the baseline.
+   * Waived issues never count as new.
+   * @private
+   */
+  _checkRegression(comparison) {
+    const introduced = comparison.new.filter((issue) => !issue.waiver);
+    const passed = introduced.length === 0;
+    const counts = `${comparison.fixed.length} fixed, ${comparison.unchanged.length} unchanged`;
+
+    return {
+      metric: 'New Issues vs Baseline',
+      current: introduced.length,
+      threshold: 0,
       passed,
       message: passed
-        ? `✓ WCAG 2.1 Level ${this.config.wcagLevel} Compliant`
-        : `✗ WCAG 2.1 Level ${this.config.wcagLevel} Non-Compliant (${auditResults.summary.critical} critical issues)`,
+        ? `✓ No new issues since baseline (${counts})`
+        : `✗ ${introduced.length} new issues since baseline (${counts})`,
+    };
+  }
+
+  /**
+   * Compact new/fixed/unchanged lists for the check result
+   * @private
+   */
+  _describeComparison(baseline, comparison) {
+    const describe = (issue) => ({
+      fingerprint: issue.fingerprint,
+      code: issue.code,
+      severity: issue.severity,
+      selector: issue.selector,
+      ...(issue.pageUrl && { pageUrl: issue.pageUrl }),
+      ...(issue.waiver && { waiver: issue.waiver.id }),
+    });
+
+    return {
+      file: baseline.file,
+      timestamp: baseline.timestamp,
+      new: comparison.new.map(describe),
+      fixed: comparison.fixed.map(describe),
+      unchanged: comparison.unchanged.map(describe),
+    };
+  }
+
+  /**
+   * Check the waiver register: expired waivers fail, unused ones are reported
+   * @private
+   */
+  _checkWaivers(register) {
+    const passed = register.expired.length === 0;
+    const unused = register.unused.length > 0 ? `, ${register.unused.length} unused (${register.unused.map((waiver) => waiver.id).join(', ')})` : '';
+
+    return {
+      metric: 'Waivers',
+      current: register.expired.length,
+      threshold: 0,
+      waivedIssues: register.waivedIssues,
+      passed,
+      message: passed
+        ? `✓ ${register.applied.length} waivers applied (${register.waivedIssues} issues waived)${unused}`
+        : `✗ Expired waivers must be renewed or removed: ${register.expired
+            .map((waiver) => `${waiver.id} (expired ${waiver.expires})`)
+            .join(', ')}${unused}`,
+    };
+  }
+
+  /**
+   * Check remediation SLAs: overdue issues are always reported and fail the
+   * check only with FAIL_ON_OVERDUE. Waived issues are not counted.
+   * @private
+   */
+  _checkSla(ledger) {
+    const overdue = ledger.overdue.filter((entry) => !entry.waived);
+    const passed = overdue.length === 0 || !this.config.failOnOverdue;
+    const oldest = overdue.map((entry) => entry.dueDate).sort()[0];
+
+    let message = `✓ No issues past their remediation SLA (${ledger.open} open)`;
+    if (overdue.length > 0) {
+      message = `${passed ? '⚠' : '✗'} ${overdue.length} issues past their remediation SLA (oldest due ${oldest.slice(0, 10)})`;
+    }
+
+    return {
+      metric: 'Remediation SLA',
+      current: overdue.length,
+      threshold: 0,
+      gating: Boolean(this.config.failOnOverdue),
+      passed,
+      message,
     };
   }
 
@@ -126,6 +327,11 @@ export class ComplianceChecker {
    * @private
    */
   _determineOverallPass(checks) {
+    if (checks.waivers && !checks.waivers.passed) return false;
+    if (checks.ratchet && !checks.ratchet.every((check) => check.passed)) return false;
+    if (checks.sla && !checks.sla.passed) return false;
+    if (checks.regression) return checks.regression.passed;
+    if (checks.policyClauses) return checks.policyClauses.every((check) => check.passed);
     if (!checks.criticalIssues.passed) return false;
     if (this.config.failOnSerious && !checks.seriousIssues.passed) return false;
     return true;
@@ -136,7 +342,9 @@ export class ComplianceChecker {
    * @private
    */
   _generateComplianceReport(checks) {
-    const checkResults = Object.values(checks).filter((check) => check.message);
+    const checkResults = Object.values(checks)
+      .flat()
+      .filter((check) => check.message);
 
     return {
       summary: checkResults.map((check) => check.message),
@@ -146,80 +354,18 @@ export class ComplianceChecker {
   }
 
   /**
-   * Send notification to CI/CD webhook (Slack, Teams, etc.)
+   * Send the result to the configured notification channels
+   * (Slack, Teams, signed webhook, email)
    * @async
+   * @returns {Promise<Array>} Delivery result per channel
    */
   async notifyCI(complianceResult, auditResults) {
-    if (!this.config.notificationWebhook) {
-      logger.info('No notification webhook configured');
-      return;
-    }
-
-    try {
-      const message = this._buildNotificationMessage(complianceResult, auditResults);
-
-      await axios.post(this.config.notificationWebhook, message, {
-        headers: { 'Content-Type': 'application/json' },
-      });
-
-      logger.info('Notification sent to webhook');
-    } catch (error) {
-      logger.error(`Failed to send notification: ${error.message}`);
+    if (!this.notifier.enabled) {
+      logger.info('No notification channels configured');
+      return [];
     }
-  }
 
-  /**
-   * Build notification message for Slack/Teams
-   * @private
-   */
-  _buildNotificationMessage(complianceResult, auditResults) {
-    const statusEmoji = complianceResult.passed ? '✅' : '❌';
-    const statusColor = complianceResult.passed ? '#2ecc71' : '#e74c3c';
-
-    return {
-      attachments: [
-        {
-          color: statusColor,
-          title: `${statusEmoji} Accessibility Audit Report`,
-          text: complianceResult.passed
-            ? 'All compliance checks passed!'
-            : 'Compliance check failed - Deployment blocked',
-          fields: [
-            {
-              title: 'Status',
-              value: auditResults.status,
-              short: true,
-            },
-            {
-              title: 'Compliance Score',
-              value: `${auditResults.compliance}%`,
-              short: true,
-            },
-            {
-              title: 'Critical Issues',
-              value: `${auditResults.summary.critical} (Max: ${this.config.maxCriticalIssues})`,
-              short: true,
-            },
-            {
-              title: 'Serious Issues',
-              value: `${auditResults.summary.serious} (Max: ${this.config.maxSeriousIssues})`,
-              short: true,
-            },
-            {
-              title: 'Total Issues',
-              value: auditResults.summary.total.toString(),
-              short: true,
-            },
-            {
-              title: 'Checks Summary',
-              value: complianceResult.report.summary.join('\n'),
-              short: false,
-            },
-          ],
-          ts: Math.floor(Date.now() / 1000),
-        },
-      ],
-    };
+    return this.notifier.dispatch(complianceResult, auditResults);
   }
 }
 
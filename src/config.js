@@ -7,11 +7,43 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 // Load environment variables from .env file
 dotenv.config({ path: path.join(__dirname, '..', '.env') });
 
+// Parse a comma-separated list (of names or regular expressions)
+function parseList(value) {
+  return value ? value.split(',').map((p) => p.trim()).filter(Boolean) : [];
+}
+
 export const config = {
   // Audit Configuration
   auditUrl: process.env.AUDIT_URL || 'http://localhost:3000',
   wcagLevel: process.env.WCAG_LEVEL || 'AA',
   wcagVersion: process.env.WCAG_VERSION || '2.1',
+  // pa11y runners to audit with; findings from several engines are merged
+  auditRunners: (process.env.AUDIT_RUNNERS || 'axe').split(',').map((s) => s.trim()),
+  // Pooled browsers, i.e. how many URLs are audited at once in a batch or crawl
+  auditConcurrency: parseInt(process.env.AUDIT_CONCURRENCY || '2'),
+
+  // Crawl Configuration (site-wide audits)
+  crawlEnabled: process.env.CRAWL_ENABLED === 'true',
+  crawlSources: (process.env.CRAWL_SOURCES || 'sitemap,links').split(',').map((s) => s.trim()),
+  crawlMaxDepth: parseInt(process.env.CRAWL_MAX_DEPTH || '2'),
+  crawlMaxPages: parseInt(process.env.CRAWL_MAX_PAGES || '50'),
+  crawlIncludePatterns: parseList(process.env.CRAWL_INCLUDE_PATTERNS),
+  crawlExcludePatterns: parseList(process.env.CRAWL_EXCLUDE_PATTERNS),
+
+  // Scope Configuration (what part of each page is audited)
+  scopeProfilesFile: process.env.SCOPE_PROFILES_FILE,
+
+  // Viewport Matrix (device profiles every URL is audited at)
+  viewports: parseList(process.env.VIEWPORTS),
+  viewportsFile: process.env.VIEWPORTS_FILE,
+
+  // Journey Configuration (scripted, authenticated audits)
+  journeysFile: process.env.JOURNEYS_FILE,
+  // Journey steps reference these by name, e.g. { "credential": "password" }
+  journeyCredentials: {
+    username: process.env.JOURNEY_USERNAME,
+    password: process.env.JOURNEY_PASSWORD,
+  },
 
   // API Configuration (Protected with .env)
   apiKey: process.env.API_KEY,
@@ -22,11 +54,67 @@ export const config = {
   maxCriticalIssues: parseInt(process.env.MAX_CRITICAL_ISSUES || '0'),
   maxSeriousIssues: parseInt(process.env.MAX_SERIOUS_ISSUES || '5'),
   maxModerateIssues: parseInt(process.env.MAX_MODERATE_ISSUES || '15'),
+  // Versioned policy file (JSON or YAML); replaces the three thresholds above when set
+  policyFile: process.env.POLICY_FILE,
+  // Earlier JSON report to gate against: only issues not in it fail the check
+  baselineReport: process.env.BASELINE_REPORT,
+  // JSON scoring model: component weights, severity penalties and page weights
+  scoringModelFile: process.env.SCORING_MODEL_FILE,
+  // JSON state file of the best recorded issue counts; counts above them fail
+  ratchetFile: process.env.RATCHET_FILE,
+  // JSON ledger of issues across runs (first seen, due date, resolved)
+  issueLedgerFile: process.env.ISSUE_LEDGER_FILE,
+  // Days to fix an issue by severity, e.g. "critical=2,serious=14,moderate=30,minor=90"
+  remediationSlaDays: Object.fromEntries(
+    parseList(process.env.REMEDIATION_SLA_DAYS || 'critical=2,serious=14,moderate=30,minor=90').map((entry) => {
+      const [severity, days] = entry.split('=').map((part) => part.trim());
+      return [severity, Number(days)];
+    })
+  ),
+  // JSON register of accepted issues, excluded from gating until they expire
+  waiversFile: process.env.WAIVERS_FILE,
+  // JSON table of rule code → severity that replaces the runner's impact rating
+  severityOverridesFile: process.env.SEVERITY_OVERRIDES_FILE,
 
   // Report Configuration
-  reportFormat: process.env.REPORT_FORMAT || 'json',
+  // Regulatory frameworks mapped in reports (see src/frameworks.js)
+  regulatoryFrameworks: parseList(
+    process.env.REGULATORY_FRAMEWORKS || 'section-508,en-301-549,eaa,aoda,ada-title-iii'
+  ),
+  // Report formats per run (json, html, pdf, sarif, junit); the JSON report is always written
+  reportFormats: parseList(process.env.REPORT_FORMAT || 'json,html'),
   reportOutputDir: process.env.REPORT_OUTPUT_DIR || './reports',
   includeScreenshots: process.env.INCLUDE_SCREENSHOTS === 'true',
+  // Run retention: keep the newest N runs and/or runs younger than N days (0 = no limit); pinned runs are kept
+  reportRetentionRuns: parseInt(process.env.REPORT_RETENTION_RUNS || '0'),
+  reportRetentionDays: parseInt(process.env.REPORT_RETENTION_DAYS || '0'),
+
+  // Accessibility Statement (EU model statement); generated when an organization is set
+  statement: {
+    organization: process.env.STATEMENT_ORGANIZATION,
+    website: process.env.STATEMENT_WEBSITE,
+    // e.g. "the Public Sector Bodies Accessibility Regulations 2018" or "Directive (EU) 2016/2102"
+    legislation: process.env.STATEMENT_LEGISLATION,
+    // self-assessment or third-party
+    assessment: process.env.STATEMENT_ASSESSMENT || 'self-assessment',
+    contactEmail: process.env.STATEMENT_CONTACT_EMAIL,
+    contactPhone: process.env.STATEMENT_CONTACT_PHONE,
+    responseDays: parseInt(process.env.STATEMENT_RESPONSE_DAYS || '5'),
+    enforcementBody: process.env.STATEMENT_ENFORCEMENT_BODY,
+    enforcementUrl: process.env.STATEMENT_ENFORCEMENT_URL,
+  },
+
+  // Accessibility Conformance Report (VPAT 2.5 WCAG edition); generated when a product name is set
+  vpat: {
+    productName: process.env.VPAT_PRODUCT_NAME,
+    productVersion: process.env.VPAT_PRODUCT_VERSION,
+    productDescription: process.env.VPAT_PRODUCT_DESCRIPTION,
+    vendor: process.env.VPAT_VENDOR,
+    contact: process.env.VPAT_CONTACT,
+    notes: process.env.VPAT_NOTES,
+    // Added to the automated-testing description, e.g. manual screen reader testing
+    evaluationMethods: process.env.VPAT_EVALUATION_METHODS,
+  },
 
   // Logging Configuration
   logLevel: process.env.LOG_LEVEL || 'info',
@@ -35,7 +123,11 @@ export const config = {
   // CI/CD Configuration
   failOnCritical: process.env.FAIL_ON_CRITICAL === 'true',
   failOnSerious: process.env.FAIL_ON_SERIOUS === 'true',
+  // Fail the compliance check when ledger issues are past their SLA
+  failOnOverdue: process.env.FAIL_ON_OVERDUE === 'true',
   notificationWebhook: process.env.NOTIFICATION_WEBHOOK,
+  // JSON list of notification channels (slack, teams, webhook, email) with event filters
+  notificationsFile: process.env.NOTIFICATIONS_FILE,
 
   // Environment
   nodeEnv: process.env.NODE_ENV || 'development',
@@ -50,6 +142,71 @@ export function validateConfig() {
     errors.push('AUDIT_URL environment variable is required');
   }
 
+  if (!['2.0', '2.1', '2.2'].includes(config.wcagVersion)) {
+    errors.push(`WCAG_VERSION must be 2.0, 2.1 or 2.2 (got "${config.wcagVersion}")`);
+  }
+
+  if (!['A', 'AA', 'AAA'].includes(config.wcagLevel)) {
+    errors.push(`WCAG_LEVEL must be A, AA or AAA (got "${config.wcagLevel}")`);
+  }
+
+  const supportedRunners = ['axe', 'htmlcs'];
+  config.auditRunners
+    .filter((runner) => !supportedRunners.includes(runner))
+    .forEach((runner) => {
+      errors.push(`Unsupported AUDIT_RUNNERS entry "${runner}" (expected ${supportedRunners.join(', ')})`);
+    });
+
+  const supportedFrameworks = ['section-508', 'en-301-549', 'eaa', 'aoda', 'ada-title-iii'];
+  config.regulatoryFrameworks
+    .filter((framework) => !supportedFrameworks.includes(framework))
+    .forEach((framework) => {
+      errors.push(`Unsupported REGULATORY_FRAMEWORKS entry "${framework}" (expected ${supportedFrameworks.join(', ')})`);
+    });
+
+  Object.entries(config.remediationSlaDays).forEach(([severity, days]) => {
+    if (!['critical', 'serious', 'moderate', 'minor'].includes(severity)) {
+      errors.push(`Unknown severity "${severity}" in REMEDIATION_SLA_DAYS`);
+    } else if (!Number.isInteger(days) || days < 1) {
+      errors.push(`REMEDIATION_SLA_DAYS for ${severity} must be a whole number of days (got "${days}")`);
+    }
+  });
+
+  const supportedFormats = ['json', 'html', 'pdf', 'sarif', 'junit'];
+  config.reportFormats
+    .filter((format) => !supportedFormats.includes(format))
+    .forEach((format) => {
+      errors.push(`Unsupported REPORT_FORMAT entry "${format}" (expected ${supportedFormats.join(', ')})`);
+    });
+
+  if (!(config.reportRetentionRuns >= 0)) {
+    errors.push('REPORT_RETENTION_RUNS must be 0 or more');
+  }
+
+  if (!(config.reportRetentionDays >= 0)) {
+    errors.push('REPORT_RETENTION_DAYS must be 0 or more');
+  }
+
+  if (!['self-assessment', 'third-party'].includes(config.statement.assessment)) {
+    errors.push(`STATEMENT_ASSESSMENT must be self-assessment or third-party (got "${config.statement.assessment}")`);
+  }
+
+  if (!(config.auditConcurrency >= 1)) {
+    errors.push('AUDIT_CONCURRENCY must be at least 1');
+  }
+
+  if (config.crawlEnabled && config.crawlMaxPages < 1) {
+    errors.push('CRAWL_MAX_PAGES must be at least 1');
+  }
+
+  [...config.crawlIncludePatterns, ...config.crawlExcludePatterns].forEach((pattern) => {
+    try {
+      new RegExp(pattern);
+    } catch {
+      errors.push(`Invalid crawl URL pattern: ${pattern}`);
+    }
+  });
+
   if (config.strictMode && !config.apiKey) {
     errors.push('API_KEY environment variable is required in strict mode');
   }
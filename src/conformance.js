@@ -0,0 +1,103 @@
+import {
+  LEVEL_ORDER,
+  getCriteriaForCode,
+  getCriteriaForVersion,
+  getEnabledAxeRules,
+} from './wcagCatalogue.js';
+
+const SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+/**
+ * Criteria that at least one automated rule tested in this run. Only axe
+ * rules are mapped rule-by-rule, and only those the run enables count
+ * (experimental and AAA-only rules are not run). HTML_CodeSniffer coverage
+ * is not known up front, so an htmlcs-only run leaves unfailed criteria for
+ * manual review.
+ * @param {string} version - WCAG version
+ * @param {string} level - Conformance level the run targeted
+ * @param {Array} runners - pa11y runners used
+ * @returns {Set} Criterion ids
+ */
+export function getAutomatedCoverage(version, level, runners = ['axe']) {
+  const covered = new Set();
+  if (!runners.includes('axe')) return covered;
+
+  const maxLevel = LEVEL_ORDER.indexOf(level);
+  getEnabledAxeRules(version, level).forEach((rule) => {
+    getCriteriaForCode(rule, version)
+      .filter((criterion) => LEVEL_ORDER.indexOf(criterion.level) <= maxLevel)
+      .forEach((criterion) => covered.add(criterion.id));
+  });
+
+  return covered;
+}
+
+/**
+ * Work out WCAG conformance from a set of issues.
+ * A criterion has failed when any issue maps to it, has passed when an
+ * automated rule tested it without finding anything, and otherwise needs
+ * manual review. A level is met when no criterion at or below it failed;
+ * levels above the audited one were not tested and cannot be met.
+ * @param {Object} issues - Issues grouped by severity
+ * @param {Object} options - { version, level, runners }
+ * @returns {Object} Per-criterion statuses, per-level results and the highest level met
+ */
+export function evaluateConformance(issues, { version, level, runners }) {
+  const failures = new Map();
+  SEVERITIES.forEach((severity) => {
+    (issues?.[severity] || []).forEach((issue) => {
+      (issue.successCriteria || []).forEach((criterion) => {
+        failures.set(criterion.id, (failures.get(criterion.id) || 0) + 1);
+      });
+    });
+  });
+
+  const covered = getAutomatedCoverage(version, level, runners);
+  const criteria = getCriteriaForVersion(version).map((criterion) => {
+    let status = 'manual';
+    if (failures.has(criterion.id)) status = 'failed';
+    else if (covered.has(criterion.id)) status = 'passed';
+    return {
+      id: criterion.id,
+      title: criterion.title,
+      level: criterion.level,
+      status,
+      issues: failures.get(criterion.id) || 0,
+    };
+  });
+
+  const levels = {};
+  LEVEL_ORDER.forEach((candidate) => {
+    const atLevel = criteria.filter((criterion) => criterion.level === candidate);
+    levels[candidate] = {
+      total: atLevel.length,
+      passed: atLevel.filter((criterion) => criterion.status === 'passed').length,
+      failed: atLevel.filter((criterion) => criterion.status === 'failed').map((criterion) => criterion.id),
+      manual: atLevel.filter((criterion) => criterion.status === 'manual').map((criterion) => criterion.id),
+    };
+  });
+
+  let highestLevelMet = null;
+  for (const candidate of LEVEL_ORDER.slice(0, LEVEL_ORDER.indexOf(level) + 1)) {
+    if (levels[candidate].failed.length > 0) break;
+    highestLevelMet = candidate;
+  }
+
+  const inTarget = criteria.filter(
+    (criterion) => LEVEL_ORDER.indexOf(criterion.level) <= LEVEL_ORDER.indexOf(level)
+  );
+
+  return {
+    version,
+    targetLevel: level,
+    highestLevelMet,
+    meetsTarget: highestLevelMet === level,
+    counts: {
+      passed: inTarget.filter((criterion) => criterion.status === 'passed').length,
+      failed: inTarget.filter((criterion) => criterion.status === 'failed').length,
+      manual: inTarget.filter((criterion) => criterion.status === 'manual').length,
+    },
+    levels,
+    criteria,
+  };
+}
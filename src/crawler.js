@@ -0,0 +1,172 @@
+import axios from 'axios';
+import logger from './logger.js';
+
+/**
+ * Site Crawler - Discovers pages to audit
+ * Reads sitemap.xml and/or follows same-origin links from a start URL
+ */
+export class SiteCrawler {
+  constructor(config) {
+    this.config = config;
+    this.includePatterns = (config.crawlIncludePatterns || []).map((p) => new RegExp(p));
+    this.excludePatterns = (config.crawlExcludePatterns || []).map((p) => new RegExp(p));
+  }
+
+  /**
+   * Discover pages reachable from a start URL
+   * @param {string} startUrl - The URL the crawl starts from
+   * @returns {Promise<Array>} Pages to audit ({ url, depth, source })
+   */
+  async discover(startUrl) {
+    const sources = this.config.crawlSources || ['sitemap', 'links'];
+    const maxPages = this.config.crawlMaxPages;
+    const origin = new URL(startUrl).origin;
+    const pages = new Map();
+
+    const addPage = (url, depth, source) => {
+      const normalized = this._normalizeUrl(url, startUrl);
+      if (!normalized || pages.has(normalized) || pages.size >= maxPages) return false;
+      if (new URL(normalized).origin !== origin || !this._isAllowed(normalized)) return false;
+      pages.set(normalized, { url: normalized, depth, source });
+      return true;
+    };
+
+    logger.info(`Starting crawl from: ${startUrl}`, { sources, maxPages });
+    addPage(startUrl, 0, 'start');
+
+    if (sources.includes('sitemap')) {
+      const sitemapUrls = await this._readSitemap(`${origin}/sitemap.xml`);
+      sitemapUrls.forEach((url) => addPage(url, 0, 'sitemap'));
+    }
+
+    if (sources.includes('links')) {
+      const queue = [{ url: this._normalizeUrl(startUrl, startUrl), depth: 0 }];
+      const visited = new Set();
+
+      while (queue.length > 0 && pages.size < maxPages) {
+        const { url, depth } = queue.shift();
+        if (visited.has(url) || depth >= this.config.crawlMaxDepth) continue;
+        visited.add(url);
+
+        const html = await this._fetch(url);
+        if (!html) continue;
+
+        this._extractLinks(html, url).forEach((link) => {
+          addPage(link, depth + 1, 'link');
+          if (pages.has(link)) queue.push({ url: link, depth: depth + 1 });
+        });
+      }
+    }
+
+    logger.info(`Crawl discovered ${pages.size} pages`);
+    return Array.from(pages.values());
+  }
+
+  /**
+   * Read page URLs from a sitemap, following sitemap indexes
+   * @private
+   */
+  async _readSitemap(sitemapUrl, visited = new Set()) {
+    if (visited.has(sitemapUrl)) return [];
+    visited.add(sitemapUrl);
+
+    const xml = await this._fetch(sitemapUrl);
+    if (!xml) return [];
+
+    const { urls, sitemaps } = this._parseSitemap(xml);
+    for (const nested of sitemaps) {
+      urls.push(...(await this._readSitemap(nested, visited)));
+    }
+    return urls;
+  }
+
+  /**
+   * Parse sitemap XML into page URLs and nested sitemap URLs
+   * @private
+   */
+  _parseSitemap(xml) {
+    const locs = (block) =>
+      Array.from(block.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi), (match) =>
+        this._decodeEntities(match[1])
+      );
+
+    const isIndex = /<sitemapindex[\s>]/i.test(xml);
+    return {
+      urls: isIndex ? [] : locs(xml),
+      sitemaps: isIndex ? locs(xml) : [],
+    };
+  }
+
+  /**
+   * Extract link targets from an HTML document
+   * @private
+   */
+  _extractLinks(html, baseUrl) {
+    const links = [];
+    for (const match of html.matchAll(/<a\s[^>]*?href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi)) {
+      const href = this._decodeEntities(match[1] ?? match[2] ?? match[3]);
+      if (!href || /^(mailto|tel|javascript|data):/i.test(href)) continue;
+      const resolved = this._normalizeUrl(href, baseUrl);
+      if (resolved) links.push(resolved);
+    }
+    return links;
+  }
+
+  /**
+   * Check a URL against the configured include/exclude patterns
+   * @private
+   */
+  _isAllowed(url) {
+    if (this.excludePatterns.some((pattern) => pattern.test(url))) return false;
+    if (this.includePatterns.length === 0) return true;
+    return this.includePatterns.some((pattern) => pattern.test(url));
+  }
+
+  /**
+   * Resolve a URL against a base and strip fragments
+   * @private
+   */
+  _normalizeUrl(url, baseUrl) {
+    try {
+      const resolved = new URL(url, baseUrl);
+      if (!['http:', 'https:'].includes(resolved.protocol)) return null;
+      resolved.hash = '';
+      return resolved.toString();
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Decode the XML/HTML entities that appear in URLs
+   * @private
+   */
+  _decodeEntities(value) {
+    return value
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;|&apos;/g, "'");
+  }
+
+  /**
+   * Fetch a document, returning null when it cannot be loaded
+   * @private
+   */
+  async _fetch(url) {
+    try {
+      const response = await axios.get(url, {
+        timeout: 15000,
+        responseType: 'text',
+        headers: { Accept: 'text/html,application/xml;q=0.9,*/*;q=0.8' },
+      });
+      return typeof response.data === 'string' ? response.data : null;
+    } catch (error) {
+      logger.warn(`Crawler could not fetch ${url}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+export default SiteCrawler;
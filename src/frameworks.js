@@ -0,0 +1,156 @@
+import { SUCCESS_CRITERIA, getCriteriaForVersion } from './wcagCatalogue.js';
+
+const SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+/**
+ * Criterion ids of a WCAG version up to a level, minus any exceptions
+ * @private
+ */
+function wcag(version, level, except = []) {
+  return getCriteriaForVersion(version, level)
+    .map((criterion) => criterion.id)
+    .filter((id) => !except.includes(id));
+}
+
+/**
+ * Criterion ids of one WCAG principle (1-4) within a version and level
+ * @private
+ */
+function principle(number, version, level) {
+  return wcag(version, level).filter((id) => id.startsWith(`${number}.`));
+}
+
+/**
+ * Regulatory frameworks and the WCAG success criteria behind each clause.
+ * Where a framework has no technical standard of its own (ADA Title III) or
+ * relies on a harmonised standard (EAA), the mapping follows the guidance
+ * named in `basis`; it supports legal review and is not legal advice.
+ */
+export const FRAMEWORKS = {
+  'section-508': {
+    name: 'Section 508 (Revised 508 Standards, 36 CFR Part 1194)',
+    basis: 'Incorporates WCAG 2.0 Level A and AA by reference (E205.4); functional performance criteria mapped to the WCAG criteria that test them',
+    clauses: [
+      { id: 'E205.4', title: 'Electronic content conforms to WCAG 2.0 Level A and AA', criteria: wcag('2.0', 'AA') },
+      { id: '302.1', title: 'Without Vision', criteria: ['1.1.1', '1.3.1', '1.3.2', '2.4.2', '2.4.4', '4.1.2'] },
+      { id: '302.2', title: 'With Limited Vision', criteria: ['1.4.3', '1.4.4', '1.4.5'] },
+      { id: '302.3', title: 'Without Perception of Color', criteria: ['1.4.1'] },
+      { id: '302.4', title: 'Without Hearing', criteria: ['1.2.2', '1.2.4'] },
+      { id: '302.7', title: 'With Limited Manipulation', criteria: ['2.1.1', '2.1.2', '2.2.1'] },
+      { id: '302.9', title: 'With Limited Language, Cognitive, and Learning Abilities', criteria: ['3.1.1', '3.2.2', '3.3.1', '3.3.2'] },
+    ],
+  },
+  'en-301-549': {
+    name: 'EN 301 549 V3.2.1',
+    basis: 'Clause 9 (Web) requires each WCAG 2.1 Level A and AA success criterion',
+    clauses: wcag('2.1', 'AA').map((id) => ({
+      id: `9.${id}`,
+      title: SUCCESS_CRITERIA[id].title,
+      criteria: [id],
+    })),
+  },
+  eaa: {
+    name: 'European Accessibility Act (Directive (EU) 2019/882)',
+    basis: 'Annex I service requirements for websites; presumption of conformity through EN 301 549 (WCAG 2.1 Level A and AA)',
+    clauses: [
+      { id: 'Annex I (perceivable)', title: 'Websites are perceivable', criteria: principle(1, '2.1', 'AA') },
+      { id: 'Annex I (operable)', title: 'Websites are operable', criteria: principle(2, '2.1', 'AA') },
+      { id: 'Annex I (understandable)', title: 'Websites are understandable', criteria: principle(3, '2.1', 'AA') },
+      { id: 'Annex I (robust)', title: 'Websites are robust', criteria: principle(4, '2.1', 'AA') },
+    ],
+  },
+  aoda: {
+    name: 'AODA Integrated Accessibility Standards (O. Reg. 191/11)',
+    basis: 'Section 14: WCAG 2.0 Level AA, except 1.2.4 (live captions) and 1.2.5 (pre-recorded audio description)',
+    clauses: [
+      {
+        id: 's. 14(4)',
+        title: 'Internet websites and web content conform to WCAG 2.0 Level AA',
+        criteria: wcag('2.0', 'AA', ['1.2.4', '1.2.5']),
+      },
+    ],
+  },
+  'ada-title-iii': {
+    name: 'ADA Title III (28 CFR Part 36)',
+    basis: 'No technical web standard in the regulation; DOJ guidance (2022) and settlements use WCAG 2.1 Level AA as the benchmark',
+    clauses: [
+      { id: 'DOJ web guidance', title: 'Web content meets WCAG 2.1 Level AA', criteria: wcag('2.1', 'AA') },
+      {
+        id: '§ 36.303(c)',
+        title: 'Effective communication with people with disabilities',
+        criteria: ['1.1.1', '1.2.1', '1.2.2', '1.2.3', '1.2.5', '1.3.1', '1.4.3', '4.1.2'],
+      },
+      {
+        id: '§ 36.201(a)',
+        title: 'Full and equal enjoyment of goods and services',
+        criteria: ['2.1.1', '2.1.2', '2.4.3', '2.4.7', '3.3.1', '3.3.2'],
+      },
+    ],
+  },
+};
+
+/**
+ * Map conformance results onto regulatory framework clauses
+ * @param {Object} auditResults - Audit results with issues and conformance
+ * @param {Array} frameworkIds - Frameworks to report (keys of FRAMEWORKS)
+ * @returns {Array} One entry per framework with a status and evidence per clause
+ */
+export function evaluateFrameworks(auditResults, frameworkIds = Object.keys(FRAMEWORKS)) {
+  const statuses = new Map(
+    (auditResults.conformance?.criteria || []).map((criterion) => [criterion.id, criterion.status])
+  );
+  const issues = SEVERITIES.flatMap((severity) =>
+    (auditResults.issues?.[severity] || []).map((issue) => ({ ...issue, severity }))
+  );
+
+  return frameworkIds.map((id) => {
+    const framework = FRAMEWORKS[id];
+    const clauses = framework.clauses.map((clause) => {
+      // Criteria outside the audited WCAG version were not evaluated
+      const criterionStatuses = clause.criteria.map((criterion) => statuses.get(criterion) || 'manual');
+      const evidence = issues
+        .map((issue) => ({
+          issue,
+          criteria: (issue.successCriteria || [])
+            .map((criterion) => criterion.id)
+            .filter((criterion) => clause.criteria.includes(criterion)),
+        }))
+        .filter(({ criteria }) => criteria.length > 0)
+        .map(({ issue, criteria }) => ({
+          code: issue.code,
+          severity: issue.severity,
+          selector: issue.selector,
+          criteria,
+          ...(issue.pageUrl && { pageUrl: issue.pageUrl }),
+          ...(issue.fingerprint && { fingerprint: issue.fingerprint }),
+        }));
+
+      return {
+        id: clause.id,
+        title: clause.title,
+        criteria: clause.criteria,
+        status: combineStatuses(criterionStatuses),
+        failedCriteria: clause.criteria.filter((criterion) => statuses.get(criterion) === 'failed'),
+        evidence,
+      };
+    });
+
+    return {
+      id,
+      name: framework.name,
+      basis: framework.basis,
+      status: combineStatuses(clauses.map((clause) => clause.status)),
+      clauses,
+    };
+  });
+}
+
+/**
+ * Any failure fails; otherwise anything unverified needs manual review
+ * @private
+ */
+function combineStatuses(statuses) {
+  if (statuses.includes('failed')) return 'failed';
+  if (statuses.includes('manual')) return 'manual';
+  return 'passed';
+}
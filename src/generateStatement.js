@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * Accessibility Statement Script - Writes the EU model statement
+ * Reads an audit run's result and renders it as Markdown and HTML
+ */
+
+import config from './config.js';
+import logger from './logger.js';
+import StatementGenerator from './statementGenerator.js';
+import RunStore from './runStore.js';
+
+/**
+ * Run to write the statement for: --run <id>, else the latest run
+ */
+function getRunId() {
+  const index = process.argv.indexOf('--run');
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+async function generateStatement() {
+  try {
+    const { run, report } = new RunStore(config).readReport(getRunId());
+
+    // Reconstruct audit results from report
+    const auditResults = {
+      runId: run.id,
+      url: report.auditResults.url,
+      pageUrl: report.auditResults.pageUrl,
+      timestamp: report.auditResults.timestamp,
+      issues: report.issues,
+      conformance: report.conformance,
+      pages: report.pages,
+    };
+
+    const generator = new StatementGenerator(config);
+    const { markdown, html, statement } = await generator.generate(auditResults);
+
+    console.log(`\nAccessibility statement for ${statement.website} (${statement.status} compliance)`);
+    console.log(`  Markdown: ${markdown}`);
+    console.log(`  HTML: ${html}\n`);
+  } catch (error) {
+    logger.error(`Statement generation error: ${error.message}`);
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+generateStatement();
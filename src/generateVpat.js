@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * VPAT Script - Writes the Accessibility Conformance Report (VPAT 2.5 WCAG edition)
+ * Reads an audit run's result and renders it as HTML and DOCX-compatible HTML
+ */
+
+import config from './config.js';
+import logger from './logger.js';
+import VpatGenerator from './vpatGenerator.js';
+import RunStore from './runStore.js';
+
+/**
+ * Run to write the report for: --run <id>, else the latest run
+ */
+function getRunId() {
+  const index = process.argv.indexOf('--run');
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+async function generateVpat() {
+  try {
+    const { run, report } = new RunStore(config).readReport(getRunId());
+
+    // Reconstruct audit results from report
+    const auditResults = {
+      runId: run.id,
+      url: report.auditResults.url,
+      pageUrl: report.auditResults.pageUrl,
+      timestamp: report.auditResults.timestamp,
+      issues: report.issues,
+      conformance: report.conformance,
+      pages: report.pages,
+      journeys: report.journeys,
+    };
+
+    const generator = new VpatGenerator(config);
+    const { html, doc, acr } = await generator.generate(auditResults);
+
+    console.log(`\nAccessibility Conformance Report for ${acr.product.name} (${acr.standard} Level ${acr.targetLevel})`);
+    Object.entries(acr.summary).forEach(([level, count]) => console.log(`  ${level}: ${count}`));
+    console.log(`  HTML: ${html}`);
+    console.log(`  Word: ${doc}\n`);
+  } catch (error) {
+    logger.error(`VPAT generation error: ${error.message}`);
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+generateVpat();
@@ -5,6 +5,9 @@ import logger from './logger.js';
 import AccessibilityAuditor from './auditor.js';
 import ReportGenerator from './reportGenerator.js';
 import ComplianceChecker from './complianceChecker.js';
+import JourneyRunner from './journeyRunner.js';
+import StatementGenerator from './statementGenerator.js';
+import VpatGenerator from './vpatGenerator.js';
 import chalk from 'chalk';
 
 /**
@@ -18,40 +21,90 @@ async function main() {
 
     console.log(chalk.bold.cyan('\n🔐 Bank Compliance & Accessibility Auditor\n'));
     console.log(chalk.gray(`Scanning: ${config.auditUrl}`));
-    console.log(chalk.gray(`Standard: WCAG 2.1 Level ${config.wcagLevel}`));
-    console.log(chalk.gray(`Environment: ${config.nodeEnv}\n`));
+    console.log(chalk.gray(`Standard: WCAG ${config.wcagVersion} Level ${config.wcagLevel}`));
+    console.log(chalk.gray(`Environment: ${config.nodeEnv}`));
+    if (config.journeysFile) {
+      console.log(chalk.gray(`Journeys: ${config.journeysFile}`));
+    } else if (config.crawlEnabled) {
+      console.log(
+        chalk.gray(`Crawl: ${config.crawlSources.join(' + ')} (max ${config.crawlMaxPages} pages, depth ${config.crawlMaxDepth})`)
+      );
+    }
+    console.log('');
+
+    // Load the compliance policy before auditing so an invalid policy fails fast
+    const checker = new ComplianceChecker(config);
+    if (checker.policy.enabled) {
+      const policy = checker.policy.describe();
+      console.log(chalk.gray(`Policy: ${policy.name} v${policy.version}\n`));
+    }
 
     // Step 1: Run accessibility audit
     console.log(chalk.bold.yellow('▶ Running accessibility audit...\n'));
     const auditor = new AccessibilityAuditor(config);
-    const auditResults = await auditor.audit(config.auditUrl);
+    let auditResults;
+    try {
+      if (config.journeysFile) {
+        auditResults = await new JourneyRunner(config, auditor).runAll();
+      } else if (config.crawlEnabled) {
+        auditResults = await auditor.auditSite(config.auditUrl);
+      } else {
+        auditResults = await auditor.audit(config.auditUrl);
+      }
+    } finally {
+      await auditor.close();
+    }
 
     // Step 2: Check compliance
     console.log(chalk.bold.yellow('\n▶ Checking compliance against thresholds...\n'));
-    const checker = new ComplianceChecker(config);
     const complianceResult = checker.check(auditResults);
+    const ratchet = checker.recordRatchet(complianceResult);
 
     // Display results
     displayResults(auditResults, complianceResult);
+    if (ratchet && ratchet.tightened.length > 0) {
+      console.log(
+        chalk.green(
+          `\n✓ Ratchet tightened: ${ratchet.tightened.map((severity) => `${severity} ≤ ${ratchet.ceilings[severity]}`).join(', ')}`
+        )
+      );
+    }
 
     // Step 3: Generate reports
     console.log(chalk.bold.yellow('\n▶ Generating reports...\n'));
     const reportGen = new ReportGenerator(config);
-    const jsonReport = await reportGen.generateReport(auditResults);
-    const htmlReport = await reportGen.generateHTMLReport(auditResults);
-
-    console.log(
-      chalk.green(`✓ JSON Report: ${jsonReport.filepath}`)
-    );
-    console.log(
-      chalk.green(`✓ HTML Report: ${htmlReport}`)
-    );
+    const reports = await reportGen.generateReports(auditResults, complianceResult);
+
+    console.log(chalk.green(`✓ Run: ${reports.runId}`));
+    Object.entries(reports.files).forEach(([format, filepath]) => {
+      console.log(chalk.green(`✓ ${format.toUpperCase()} Report: ${filepath}`));
+    });
+    if (config.statement.organization && auditResults.conformance) {
+      const statement = await new StatementGenerator(config).generate(auditResults);
+      console.log(chalk.green(`✓ Accessibility Statement: ${statement.markdown}`));
+    }
+    if (config.vpat.productName && auditResults.conformance) {
+      const acr = await new VpatGenerator(config).generate(auditResults);
+      console.log(chalk.green(`✓ Accessibility Conformance Report: ${acr.html}`));
+    }
+    const pruned = reportGen.runs.prune();
+    if (pruned.length > 0) {
+      console.log(chalk.gray(`Pruned ${pruned.length} runs outside the retention policy`));
+    }
 
     // Step 4: Send CI/CD notification
-    if (config.notificationWebhook) {
-      console.log(chalk.bold.yellow('\n▶ Sending CI/CD notification...\n'));
-      await checker.notifyCI(complianceResult, auditResults);
-      console.log(chalk.green('✓ Notification sent'));
+    if (checker.notifier.enabled) {
+      console.log(chalk.bold.yellow('\n▶ Sending CI/CD notifications...\n'));
+      const deliveries = await checker.notifyCI(complianceResult, auditResults);
+      deliveries.forEach((delivery) => {
+        if (delivery.skipped) {
+          console.log(chalk.gray(`- ${delivery.channel}: skipped (no matching event)`));
+        } else if (delivery.delivered) {
+          console.log(chalk.green(`✓ ${delivery.channel}: delivered (${delivery.event})`));
+        } else {
+          console.log(chalk.red(`✗ ${delivery.channel}: ${delivery.error} after ${delivery.attempts} attempts`));
+        }
+      });
     }
 
     // Step 5: Determine exit code
@@ -92,7 +145,45 @@ function displayResults(auditResults, complianceResult) {
     }`
   );
   console.log(`  Compliance Score: ${chalk.bold(auditResults.compliance + '%')}`);
-  console.log(`  URL:              ${auditResults.url}\n`);
+  console.log(`  URL:              ${auditResults.url}`);
+  if (auditResults.conformance) {
+    const { conformance } = auditResults;
+    console.log(
+      `  WCAG Level Met:   ${conformance.highestLevelMet || 'None'} (target ${conformance.targetLevel}; ${conformance.counts.failed} criteria failed, ${conformance.counts.manual} need manual review)`
+    );
+  }
+  if (auditResults.pages) {
+    console.log(`  Pages Audited:    ${auditResults.pages.length}`);
+    const { timing } = auditResults.crawl;
+    if (timing) {
+      console.log(
+        chalk.gray(`    ${(timing.totalMs / 1000).toFixed(1)}s total, ${(timing.averageMs / 1000).toFixed(1)}s per page, concurrency ${timing.concurrency}`)
+      );
+    }
+    if (auditResults.crawl.pagesFailed.length > 0) {
+      console.log(chalk.yellow(`  Pages Failed:     ${auditResults.crawl.pagesFailed.length}`));
+    }
+  }
+  if (auditResults.viewports) {
+    auditResults.viewports.forEach((viewport) => {
+      console.log(
+        `  Viewport:         ${viewport.name} (${viewport.width}×${viewport.height}): ${viewport.summary.total} issues`
+      );
+    });
+    console.log(chalk.gray(`    ${auditResults.summary.viewportSpecific} issues appear only at some viewports`));
+  }
+  if (auditResults.journeys) {
+    auditResults.journeys.forEach((journey) => {
+      console.log(`  Journey:          ${journey.name} (${journey.status})`);
+      journey.steps
+        .filter((step) => step.action === 'audit' || step.status === 'ERROR')
+        .forEach((step) => {
+          const detail = step.error || `${step.status}, ${step.summary.total} issues`;
+          console.log(chalk.gray(`    ${step.index}. ${step.name}: ${detail}`));
+        });
+    });
+  }
+  console.log('');
 
   console.log(chalk.bold.cyan('📋 ISSUE SUMMARY\n'));
   console.log(`  ${chalk.bold('Total Issues:')}     ${summary.total}`);
@@ -0,0 +1,267 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import puppeteer from 'puppeteer';
+import logger from './logger.js';
+import { chromeLaunchConfig } from './auditor.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const STEP_ACTIONS = ['navigate', 'fill', 'click', 'waitFor', 'audit'];
+
+/**
+ * Journey Runner - Audits scripted, authenticated user journeys
+ * Drives a browser through ordered steps and audits each checkpoint
+ */
+export class JourneyRunner {
+  constructor(config, auditor) {
+    this.config = config;
+    this.auditor = auditor;
+  }
+
+  /**
+   * Load and validate journey definitions from the configured file
+   * @returns {Array} Journey definitions
+   */
+  loadJourneys() {
+    const filepath = path.resolve(__dirname, '..', this.config.journeysFile);
+    if (!fs.existsSync(filepath)) {
+      throw new Error(`Journeys file not found: ${filepath}`);
+    }
+
+    const definition = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+    const journeys = Array.isArray(definition) ? definition : definition.journeys;
+    if (!Array.isArray(journeys) || journeys.length === 0) {
+      throw new Error(`Journeys file defines no journeys: ${filepath}`);
+    }
+
+    journeys.forEach((journey) => this._validateJourney(journey));
+    return journeys;
+  }
+
+  /**
+   * Run every configured journey and combine the checkpoint audits
+   * @returns {Promise<Object>} Combined audit results with per-journey steps
+   */
+  async runAll() {
+    const journeys = this.loadJourneys();
+    const journeyResults = [];
+
+    for (const journey of journeys) {
+      journeyResults.push(await this.run(journey));
+    }
+
+    const checkpoints = journeyResults.flatMap((journey) =>
+      journey.steps
+        .filter((step) => step.action === 'audit' && step.result)
+        .map((step) => ({ url: step.url, checkpoint: `${journey.name} › ${step.name}`, result: step.result }))
+    );
+
+    if (checkpoints.length === 0) {
+      throw new Error('Journey audit failed: no checkpoints could be audited');
+    }
+
+    const combined = this.auditor.combineResults(checkpoints);
+    const incomplete = journeyResults.filter((journey) => journey.status !== 'COMPLETED');
+
+    return {
+      url: journeys[0].startUrl || this.config.auditUrl,
+      timestamp: new Date().toISOString(),
+      wcagLevel: this.config.wcagLevel,
+      wcagVersion: this.config.wcagVersion,
+      ...combined,
+      // A journey that broke part-way leaves checkpoints unaudited
+      status: incomplete.length > 0 ? 'FAILED' : combined.status,
+      journeys: journeyResults.map((journey) => ({
+        ...journey,
+        steps: journey.steps.map(({ result, ...step }) => step),
+      })),
+    };
+  }
+
+  /**
+   * Run a single journey in its own browser session
+   * @param {Object} journey - Journey definition
+   * @returns {Promise<Object>} Journey outcome with a record per step
+   */
+  async run(journey) {
+    logger.info(`Starting journey: ${journey.name}`, { steps: journey.steps.length });
+
+    const browser = await puppeteer.launch(chromeLaunchConfig);
+    const steps = [];
+    let failed = false;
+
+    try {
+      const page = await browser.newPage();
+      if (journey.startUrl) {
+        await page.goto(journey.startUrl, { waitUntil: 'networkidle2' });
+      }
+
+      for (const [index, step] of journey.steps.entries()) {
+        const record = {
+          index: index + 1,
+          action: step.action,
+          name: step.name || this._describeStep(step),
+        };
+
+        if (failed) {
+          steps.push({ ...record, status: 'SKIPPED' });
+          continue;
+        }
+
+        try {
+          if (step.action === 'audit') {
+            const result = await this.auditor.auditPage(browser, page);
+            Object.assign(record, {
+              url: page.url(),
+              status: result.status,
+              compliance: result.compliance,
+              summary: result.summary,
+              scope: result.scope,
+              ...(result.screenshot && { screenshot: result.screenshot }),
+              result,
+            });
+          } else {
+            await this._runStep(page, step);
+            record.status = 'COMPLETED';
+          }
+        } catch (error) {
+          failed = true;
+          Object.assign(record, { status: 'ERROR', error: error.message });
+          logger.error(`Journey "${journey.name}" failed at step ${record.index}: ${error.message}`);
+        }
+
+        steps.push(record);
+      }
+    } finally {
+      await browser.close();
+    }
+
+    logger.info(`Journey finished: ${journey.name}`, { failed });
+    return {
+      name: journey.name,
+      startUrl: journey.startUrl,
+      status: failed ? 'INCOMPLETE' : 'COMPLETED',
+      steps,
+    };
+  }
+
+  /**
+   * Perform a non-audit journey step on the page
+   * @private
+   */
+  async _runStep(page, step) {
+    const timeout = step.timeout || 30000;
+
+    switch (step.action) {
+      case 'navigate':
+        await page.goto(new URL(step.url, page.url()).toString(), {
+          waitUntil: 'networkidle2',
+          timeout,
+        });
+        break;
+      case 'fill':
+        await page.waitForSelector(step.selector, { visible: true, timeout });
+        await page.click(step.selector, { clickCount: 3 });
+        await page.type(step.selector, this._resolveValue(step));
+        break;
+      case 'click':
+        await page.waitForSelector(step.selector, { visible: true, timeout });
+        if (step.waitForNavigation) {
+          await Promise.all([
+            page.waitForNavigation({ waitUntil: 'networkidle2', timeout }),
+            page.click(step.selector),
+          ]);
+        } else {
+          await page.click(step.selector);
+        }
+        break;
+      case 'waitFor':
+        if (step.selector) {
+          await page.waitForSelector(step.selector, { visible: true, timeout });
+        } else if (step.url) {
+          await page.waitForFunction(
+            (pattern) => new RegExp(pattern).test(window.location.href),
+            { timeout },
+            step.url
+          );
+        } else {
+          await new Promise((resolve) => setTimeout(resolve, step.duration));
+        }
+        break;
+    }
+  }
+
+  /**
+   * Resolve a fill value, looking credentials up in config
+   * @private
+   */
+  _resolveValue(step) {
+    if (!step.credential) return String(step.value);
+
+    const value = this.config.journeyCredentials[step.credential];
+    if (!value) {
+      throw new Error(`Credential "${step.credential}" is not set in the environment`);
+    }
+    return value;
+  }
+
+  /**
+   * Validate a journey definition before any browser is started
+   * @private
+   */
+  _validateJourney(journey) {
+    if (!journey.name) throw new Error('Journey is missing a name');
+    const label = `Journey "${journey.name}"`;
+    if (!Array.isArray(journey.steps) || journey.steps.length === 0) {
+      throw new Error(`${label} has no steps`);
+    }
+
+    journey.steps.forEach((step, index) => {
+      const where = `${label} step ${index + 1}`;
+      if (!STEP_ACTIONS.includes(step.action)) {
+        throw new Error(`${where}: unknown action "${step.action}" (expected ${STEP_ACTIONS.join(', ')})`);
+      }
+      if (step.action === 'navigate' && !step.url) {
+        throw new Error(`${where}: navigate requires a url`);
+      }
+      if (['fill', 'click'].includes(step.action) && !step.selector) {
+        throw new Error(`${where}: ${step.action} requires a selector`);
+      }
+      if (step.action === 'fill' && step.value === undefined && !step.credential) {
+        throw new Error(`${where}: fill requires a value or a credential`);
+      }
+      if (step.credential && !(step.credential in this.config.journeyCredentials)) {
+        throw new Error(`${where}: unknown credential "${step.credential}"`);
+      }
+      if (step.action === 'waitFor' && !step.selector && !step.url && !step.duration) {
+        throw new Error(`${where}: waitFor requires a selector, url or duration`);
+      }
+    });
+
+    if (!journey.steps.some((step) => step.action === 'audit')) {
+      throw new Error(`${label} has no audit checkpoint`);
+    }
+  }
+
+  /**
+   * Build a readable label for a step without exposing fill values
+   * @private
+   */
+  _describeStep(step) {
+    switch (step.action) {
+      case 'navigate':
+        return `Navigate to ${step.url}`;
+      case 'fill':
+        return `Fill ${step.selector}`;
+      case 'click':
+        return `Click ${step.selector}`;
+      case 'waitFor':
+        return `Wait for ${step.selector || step.url || `${step.duration}ms`}`;
+      default:
+        return 'Audit checkpoint';
+    }
+  }
+}
+
+export default JourneyRunner;
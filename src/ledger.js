@@ -0,0 +1,183 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { fingerprintIssue, normalizeFingerprintUrl } from './baseline.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days to fix an issue after it is first seen, by severity
+ */
+export const DEFAULT_SLA_DAYS = { critical: 2, serious: 14, moderate: 30, minor: 90 };
+
+/**
+ * Issue Ledger - Remediation SLA tracking across runs
+ * Keeps one entry per issue fingerprint with first-seen and last-seen dates
+ * and a due date from the severity SLA. Entries on audited pages that no
+ * longer report the issue are marked resolved; an issue that comes back is
+ * reopened with its original due date.
+ */
+export class IssueLedger {
+  constructor(config) {
+    this.config = config;
+    this.file = config.issueLedgerFile ? path.resolve(__dirname, '..', config.issueLedgerFile) : null;
+    this.slaDays = { ...DEFAULT_SLA_DAYS, ...config.remediationSlaDays };
+  }
+
+  /**
+   * Whether a ledger file is configured
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.file !== null;
+  }
+
+  /**
+   * Record a run in the ledger. Issues on auditResults are tagged in place
+   * with `sla` (first seen, due date, overdue) so reports can show them.
+   * With `persist: false` the outcome is computed but the file is left as it is.
+   * @param {Object} auditResults - Audit results from AccessibilityAuditor
+   * @param {Date} now - Time of the run
+   * @param {Object} options - { persist } (default true)
+   * @returns {Object} { file, open, opened, reopened, resolved, overdue } for this run
+   */
+  update(auditResults, now = new Date(), { persist = true } = {}) {
+    const timestamp = now.toISOString();
+    const entries = this._read();
+    const current = SEVERITIES.flatMap((severity) =>
+      (auditResults.issues?.[severity] || []).map((issue) => ({
+        issue,
+        severity,
+        pageUrl: issue.pageUrl || auditResults.pageUrl || auditResults.url,
+        fingerprint: issue.fingerprint || fingerprintIssue(issue, issue.pageUrl || auditResults.pageUrl),
+      }))
+    );
+    const seen = new Set();
+    const opened = [];
+    const reopened = [];
+
+    current.forEach(({ issue, severity, pageUrl, fingerprint }) => {
+      if (seen.has(fingerprint)) return;
+      seen.add(fingerprint);
+
+      let entry = entries[fingerprint];
+      if (!entry) {
+        entry = { fingerprint, firstSeen: timestamp, status: 'open' };
+        entries[fingerprint] = entry;
+        opened.push(entry);
+      } else if (entry.status === 'resolved') {
+        Object.assign(entry, { status: 'open', reopenedAt: timestamp });
+        delete entry.resolvedAt;
+        reopened.push(entry);
+      }
+
+      Object.assign(entry, {
+        code: issue.code,
+        severity,
+        selector: issue.selector,
+        pageUrl,
+        lastSeen: timestamp,
+        dueDate: this._dueDate(entry, severity),
+      });
+    });
+
+    // Only pages audited in this run can confirm that an issue is gone
+    const audited = new Set(this._auditedPages(auditResults).map(normalizeFingerprintUrl));
+    const resolved = Object.values(entries).filter(
+      (entry) =>
+        entry.status === 'open' &&
+        !seen.has(entry.fingerprint) &&
+        audited.has(normalizeFingerprintUrl(entry.pageUrl))
+    );
+    resolved.forEach((entry) => Object.assign(entry, { status: 'resolved', resolvedAt: timestamp }));
+
+    if (persist) this._write(entries);
+
+    // Tag issues so reports and the compliance check can show SLA status
+    current.forEach(({ issue, fingerprint }) => {
+      const entry = entries[fingerprint];
+      issue.sla = { firstSeen: entry.firstSeen, dueDate: entry.dueDate, overdue: new Date(entry.dueDate) < now };
+    });
+
+    const open = Object.values(entries).filter((entry) => entry.status === 'open');
+    const waived = new Set(current.filter(({ issue }) => issue.waiver).map(({ fingerprint }) => fingerprint));
+    return {
+      file: this.file,
+      slaDays: this.slaDays,
+      open: open.length,
+      opened: opened.length,
+      reopened: reopened.length,
+      resolved: resolved.map(describe),
+      overdue: open
+        .filter((entry) => new Date(entry.dueDate) < now)
+        .map((entry) => ({ ...describe(entry), ...(waived.has(entry.fingerprint) && { waived: true }) })),
+    };
+  }
+
+  /**
+   * Due date from the first sighting; a severity raised since then shortens it
+   * @private
+   */
+  _dueDate(entry, severity) {
+    const due = new Date(new Date(entry.firstSeen).getTime() + this.slaDays[severity] * DAY_MS);
+    if (entry.dueDate && new Date(entry.dueDate) < due) return entry.dueDate;
+    return due.toISOString();
+  }
+
+  /**
+   * Page URLs covered by a run: every crawled page or checkpoint, else the audited page
+   * @private
+   */
+  _auditedPages(auditResults) {
+    if (auditResults.pages) return auditResults.pages.map((page) => page.pageUrl);
+    if (auditResults.journeys) {
+      return auditResults.journeys.flatMap((journey) =>
+        journey.steps.filter((step) => step.url && step.summary).map((step) => step.url)
+      );
+    }
+    return [auditResults.pageUrl || auditResults.url];
+  }
+
+  /**
+   * @private
+   */
+  _read() {
+    if (!fs.existsSync(this.file)) return {};
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf-8')).issues || {};
+    } catch (error) {
+      throw new Error(`Issue ledger ${this.file} could not be parsed: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _write(entries) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, `${JSON.stringify({ issues: entries }, null, 2)}\n`);
+  }
+}
+
+/**
+ * Compact ledger entry for check results and reports
+ * @private
+ */
+function describe(entry) {
+  return {
+    fingerprint: entry.fingerprint,
+    code: entry.code,
+    severity: entry.severity,
+    selector: entry.selector,
+    pageUrl: entry.pageUrl,
+    firstSeen: entry.firstSeen,
+    dueDate: entry.dueDate,
+    ...(entry.resolvedAt && { resolvedAt: entry.resolvedAt }),
+  };
+}
+
+export default IssueLedger;
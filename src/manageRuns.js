@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+/**
+ * Run Management Script - Lists, looks up, pins and prunes stored audit runs
+ * Usage: node src/manageRuns.js list [--url <audited url>]
+ *        node src/manageRuns.js show <run id>
+ *        node src/manageRuns.js pin <run id> [--reason "<why>"]
+ *        node src/manageRuns.js unpin <run id>
+ *        node src/manageRuns.js prune
+ */
+
+import config from './config.js';
+import logger from './logger.js';
+import RunStore from './runStore.js';
+
+/**
+ * Value of a --flag argument
+ */
+function getArg(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+/**
+ * One line per run for list output
+ */
+function describeRun(run) {
+  const pinned = run.pinned ? ' [pinned]' : '';
+  return `${run.id}  ${run.status || '-'}  ${run.complianceScore ?? '-'}%  ${run.url}${pinned}`;
+}
+
+function manageRuns() {
+  try {
+    const store = new RunStore(config);
+    const [command, id] = process.argv.slice(2);
+
+    switch (command) {
+      case 'list': {
+        const runs = store.list({ url: getArg('url') });
+        if (runs.length === 0) console.log('No runs recorded.');
+        runs.forEach((run) => console.log(describeRun(run)));
+        break;
+      }
+      case 'show':
+        console.log(JSON.stringify(store.get(id), null, 2));
+        break;
+      case 'pin':
+        store.pin(id, true, getArg('reason'));
+        console.log(`✓ Run ${id} pinned; retention will keep it`);
+        break;
+      case 'unpin':
+        store.pin(id, false);
+        console.log(`✓ Run ${id} unpinned`);
+        break;
+      case 'prune': {
+        const pruned = store.prune();
+        console.log(`✓ Pruned ${pruned.length} runs`);
+        pruned.forEach((run) => console.log(`  ${describeRun(run)}`));
+        break;
+      }
+      default:
+        console.error('❌ Usage: manageRuns.js list [--url <url>] | show <id> | pin <id> [--reason "<why>"] | unpin <id> | prune');
+        process.exit(1);
+    }
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Run management error: ${error.message}`);
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+manageRuns();
@@ -0,0 +1,405 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+import logger from './logger.js';
+import { sendMail } from './smtp.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const EVENTS = ['always', 'failure', 'regression'];
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BACKOFF_MS = 1000;
+
+/**
+ * Channel adapters: build the channel's payload from a notification and deliver it
+ */
+const ADAPTERS = {
+  slack: {
+    required: ['url'],
+    send: (channel, notification) => postJSON(channel.url, buildSlackMessage(notification)),
+  },
+  teams: {
+    required: ['url'],
+    send: (channel, notification) => postJSON(channel.url, buildTeamsCard(notification)),
+  },
+  webhook: {
+    required: ['url', 'secretEnv'],
+    send: (channel, notification) => postSigned(channel, notification),
+  },
+  email: {
+    required: ['host', 'from', 'to'],
+    send: async (channel, notification) => {
+      const result = await sendMail({
+        host: channel.host,
+        port: channel.port,
+        secure: channel.secure,
+        user: channel.userEnv && process.env[channel.userEnv],
+        password: channel.passwordEnv && process.env[channel.passwordEnv],
+        allowInsecureAuth: channel.allowInsecureAuth,
+        from: channel.from,
+        to: channel.to,
+        subject: `${notification.passed ? '✅' : '❌'} Accessibility audit ${notification.passed ? 'passed' : 'failed'}: ${notification.url}`,
+        text: buildEmailText(notification),
+      });
+      return { status: result.response };
+    },
+  },
+};
+
+/**
+ * Notification Dispatcher - Delivers compliance results to every configured channel
+ * Channels come from NOTIFICATIONS_FILE (Slack, Teams, signed webhook, email);
+ * NOTIFICATION_WEBHOOK on its own still posts to Slack on every run. Each
+ * channel has its own event filter and is retried with exponential backoff;
+ * one failing channel does not stop the others.
+ */
+export class NotificationDispatcher {
+  constructor(config) {
+    this.config = config;
+    const settings = config.notificationsFile ? this._load(config.notificationsFile) : {};
+    this.retries = settings.retries ?? DEFAULT_RETRIES;
+    this.backoffMs = settings.backoffMs ?? DEFAULT_BACKOFF_MS;
+    this.channels = settings.channels || [];
+
+    if (config.notificationWebhook) {
+      this.channels.push({ name: 'slack', type: 'slack', url: config.notificationWebhook, on: ['always'] });
+    }
+  }
+
+  /**
+   * Whether any channel is configured
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.channels.length > 0;
+  }
+
+  /**
+   * Send the result to every channel whose event filter matches
+   * @param {Object} complianceResult - Result of ComplianceChecker.check()
+   * @param {Object} auditResults - Audit results
+   * @returns {Promise<Array>} Delivery result per channel
+   */
+  async dispatch(complianceResult, auditResults) {
+    const notification = buildNotification(complianceResult, auditResults);
+    const events = getEvents(notification);
+
+    const deliveries = await Promise.all(
+      this.channels.map(async (channel) => {
+        const matched = channel.on.find((event) => events.includes(event));
+        if (!matched) {
+          return { channel: channel.name, type: channel.type, delivered: false, skipped: true, attempts: 0 };
+        }
+        return this._deliver(channel, notification, matched);
+      })
+    );
+
+    deliveries.forEach((delivery) => {
+      if (delivery.skipped) {
+        logger.info(`Notification to ${delivery.channel} skipped (no matching event)`);
+      } else if (delivery.delivered) {
+        logger.info(`Notification delivered to ${delivery.channel}`, {
+          type: delivery.type,
+          event: delivery.event,
+          attempts: delivery.attempts,
+          status: delivery.status,
+        });
+      } else {
+        logger.error(`Notification to ${delivery.channel} failed after ${delivery.attempts} attempts: ${delivery.error}`, {
+          type: delivery.type,
+          event: delivery.event,
+        });
+      }
+    });
+
+    return deliveries;
+  }
+
+  /**
+   * Deliver to one channel, retrying transient failures with exponential backoff
+   * @private
+   */
+  async _deliver(channel, notification, event) {
+    const record = { channel: channel.name, type: channel.type, event, delivered: false, attempts: 0 };
+
+    for (;;) {
+      record.attempts++;
+      try {
+        const result = await ADAPTERS[channel.type].send(channel, notification);
+        return { ...record, delivered: true, status: result.status };
+      } catch (error) {
+        record.error = describeError(error);
+        if (record.attempts > this.retries || !isRetryable(error)) return record;
+
+        const delay = this.backoffMs * 2 ** (record.attempts - 1);
+        logger.warn(`Notification to ${channel.name} failed (${record.error}); retrying in ${delay}ms`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Load and validate the channel list
+   * @private
+   */
+  _load(file) {
+    const filepath = path.resolve(__dirname, '..', file);
+    if (!fs.existsSync(filepath)) {
+      throw new Error(`Notifications file not found: ${filepath}`);
+    }
+
+    const settings = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+    if (!Array.isArray(settings.channels)) {
+      throw new Error(`Notifications file must contain a list of channels: ${filepath}`);
+    }
+
+    const names = new Set();
+    settings.channels = settings.channels.map((channel, index) => {
+      const label = `Notification channel ${channel.name || index + 1}`;
+      const adapter = ADAPTERS[channel.type];
+      if (!adapter) {
+        throw new Error(`${label} has unknown type "${channel.type}" (expected ${Object.keys(ADAPTERS).join(', ')})`);
+      }
+      const missing = adapter.required.find((field) => !channel[field]);
+      if (missing) throw new Error(`${label} is missing ${missing}`);
+
+      const name = channel.name || `${channel.type}-${index + 1}`;
+      if (names.has(name)) throw new Error(`${label} is defined more than once`);
+      names.add(name);
+
+      const on = [].concat(channel.on || 'always');
+      const unknown = on.find((event) => !EVENTS.includes(event));
+      if (unknown) throw new Error(`${label} has unknown event "${unknown}" (expected ${EVENTS.join(', ')})`);
+
+      // Secrets stay in the environment, never in the file
+      if (channel.secretEnv && !process.env[channel.secretEnv]) {
+        throw new Error(`${label} signs with ${channel.secretEnv}, which is not set`);
+      }
+
+      return { ...channel, name, on };
+    });
+
+    return settings;
+  }
+}
+
+/**
+ * Channel-neutral summary of a compliance result
+ * @private
+ */
+function buildNotification(complianceResult, auditResults) {
+  const newIssues = complianceResult.baseline
+    ? complianceResult.baseline.new.filter((issue) => !issue.waiver)
+    : [];
+  const ratchetRises = (complianceResult.checks.ratchet || []).filter((check) => !check.passed);
+
+  return {
+    passed: complianceResult.passed,
+    url: auditResults.url,
+    status: auditResults.status,
+    score: auditResults.compliance,
+    summary: auditResults.summary,
+    // Env-var thresholds, when they were the ones applied
+    maxCritical: complianceResult.checks.criticalIssues?.threshold,
+    maxSerious: complianceResult.checks.seriousIssues?.threshold,
+    checks: complianceResult.report.summary,
+    ...(complianceResult.policy && {
+      policy: `${complianceResult.policy.name} v${complianceResult.policy.version}`,
+    }),
+    // Worse than before: new issues against the baseline, or counts above the ratchet
+    regression:
+      newIssues.length > 0 || ratchetRises.length > 0
+        ? { newIssues: newIssues.length, ratchet: ratchetRises.map((check) => check.metric) }
+        : null,
+    timestamp: complianceResult.timestamp,
+  };
+}
+
+/**
+ * Events a notification raises; "always" is raised by every run
+ * @private
+ */
+function getEvents(notification) {
+  return [
+    'always',
+    ...(notification.passed ? [] : ['failure']),
+    ...(notification.regression ? ['regression'] : []),
+  ];
+}
+
+/**
+ * Slack legacy-attachment message
+ * @private
+ */
+function buildSlackMessage(notification) {
+  return {
+    attachments: [
+      {
+        color: notification.passed ? '#2ecc71' : '#e74c3c',
+        title: `${notification.passed ? '✅' : '❌'} Accessibility Audit Report`,
+        text: notification.passed
+          ? 'All compliance checks passed!'
+          : 'Compliance check failed - Deployment blocked',
+        fields: [
+          ...buildFacts(notification).map(([title, value]) => ({ title, value, short: true })),
+          { title: 'Checks Summary', value: notification.checks.join('\n'), short: false },
+        ],
+        ts: Math.floor(Date.now() / 1000),
+      },
+    ],
+  };
+}
+
+/**
+ * Microsoft Teams message with an Adaptive Card
+ * @private
+ */
+function buildTeamsCard(notification) {
+  return {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body: [
+            {
+              type: 'TextBlock',
+              size: 'Large',
+              weight: 'Bolder',
+              color: notification.passed ? 'Good' : 'Attention',
+              text: `${notification.passed ? '✅' : '❌'} Accessibility Audit ${notification.passed ? 'Passed' : 'Failed'}`,
+            },
+            { type: 'TextBlock', text: notification.url, isSubtle: true, wrap: true },
+            {
+              type: 'FactSet',
+              facts: buildFacts(notification).map(([title, value]) => ({ title, value })),
+            },
+            { type: 'TextBlock', text: notification.checks.join('\n\n'), wrap: true },
+          ],
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Plain-text email body
+ * @private
+ */
+function buildEmailText(notification) {
+  return [
+    `Accessibility audit ${notification.passed ? 'PASSED' : 'FAILED'} for ${notification.url}`,
+    '',
+    ...buildFacts(notification).map(([title, value]) => `${title}: ${value}`),
+    '',
+    'Checks:',
+    ...notification.checks.map((check) => `  ${check}`),
+    '',
+    `Generated ${notification.timestamp}`,
+  ].join('\n');
+}
+
+/**
+ * Title/value pairs shared by every channel
+ * @private
+ */
+function buildFacts(notification) {
+  return [
+    ['Status', notification.status],
+    ['Compliance Score', `${notification.score}%`],
+    ['Critical Issues', withMax(notification.summary.critical, notification.maxCritical)],
+    ['Serious Issues', withMax(notification.summary.serious, notification.maxSerious)],
+    ['Total Issues', `${notification.summary.total}`],
+    ...(notification.policy ? [['Policy', notification.policy]] : []),
+    ...(notification.regression
+      ? [
+          [
+            'Regression',
+            [
+              notification.regression.newIssues > 0 && `${notification.regression.newIssues} new issues`,
+              ...notification.regression.ratchet,
+            ]
+              .filter(Boolean)
+              .join(', '),
+          ],
+        ]
+      : []),
+  ];
+}
+
+/**
+ * @private
+ */
+function withMax(count, max) {
+  return max === undefined ? `${count}` : `${count} (Max: ${max})`;
+}
+
+/**
+ * @private
+ */
+async function postJSON(url, payload) {
+  const response = await axios.post(url, payload, {
+    headers: { 'Content-Type': 'application/json' },
+    timeout: 10000,
+  });
+  return { status: response.status };
+}
+
+/**
+ * Generic JSON webhook signed with HMAC-SHA256 over "<timestamp>.<body>",
+ * so receivers can verify the sender and reject replays
+ * @private
+ */
+async function postSigned(channel, notification) {
+  const body = JSON.stringify({ event: 'accessibility-audit', ...notification });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = signPayload(process.env[channel.secretEnv], timestamp, body);
+
+  const response = await axios.post(channel.url, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Audit-Timestamp': timestamp,
+      'X-Audit-Signature': `sha256=${signature}`,
+    },
+    timeout: 10000,
+  });
+  return { status: response.status };
+}
+
+/**
+ * HMAC-SHA256 signature of a webhook body, hex encoded
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Unix seconds sent in X-Audit-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} Hex digest
+ */
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Client errors (bad URL, rejected auth) will not succeed on a retry
+ * @private
+ */
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (status) return status >= 500 || status === 429;
+  // SMTP 5xx replies are permanent, 4xx are transient; a server without TLS stays without it
+  if (error.responseCode) return error.responseCode < 500;
+  return error.code !== 'ETLS';
+}
+
+/**
+ * @private
+ */
+function describeError(error) {
+  return error.response ? `HTTP ${error.response.status}` : error.message;
+}
+
+export default NotificationDispatcher;
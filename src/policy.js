@@ -0,0 +1,264 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { SUCCESS_CRITERIA } from './wcagCatalogue.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+/**
+ * Policy file schema. Clause matchers (severity, criterion, code, urlPattern)
+ * combine: an issue counts towards a clause only if it matches all of them.
+ */
+const POLICY_SCHEMA = {
+  required: ['name', 'version', 'clauses'],
+  properties: {
+    name: 'string',
+    version: 'string',
+    effectiveDate: 'string',
+    owner: 'string',
+    clauses: 'array',
+  },
+};
+
+const CLAUSE_SCHEMA = {
+  required: ['id'],
+  properties: {
+    id: 'string',
+    title: 'string',
+    severity: 'string',
+    criterion: 'string',
+    code: 'string',
+    urlPattern: 'string',
+    max: 'integer',
+    never: 'boolean',
+  },
+};
+
+/**
+ * Validate a parsed policy definition against the schema
+ * @param {Object} definition - Parsed policy file
+ * @returns {Array} Error messages, empty when the policy is valid
+ */
+export function validatePolicy(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return ['policy must be an object'];
+  }
+
+  const errors = checkShape(definition, POLICY_SCHEMA, 'policy');
+  if (!Array.isArray(definition.clauses)) return errors;
+  if (definition.clauses.length === 0) errors.push('policy.clauses must define at least one clause');
+
+  const ids = new Set();
+  definition.clauses.forEach((clause, index) => {
+    const where = `clauses[${index}]${clause && clause.id ? ` (${clause.id})` : ''}`;
+    if (!clause || typeof clause !== 'object') {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+
+    errors.push(...checkShape(clause, CLAUSE_SCHEMA, where));
+
+    if (ids.has(clause.id)) errors.push(`${where}.id is used by another clause`);
+    ids.add(clause.id);
+
+    if (('max' in clause) === (clause.never === true)) {
+      errors.push(`${where} needs exactly one of "max" or "never: true"`);
+    }
+    if (Number.isInteger(clause.max) && clause.max < 0) {
+      errors.push(`${where}.max must not be negative`);
+    }
+    if (clause.severity && !SEVERITIES.includes(clause.severity)) {
+      errors.push(`${where}.severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    if (clause.criterion && !SUCCESS_CRITERIA[clause.criterion]) {
+      errors.push(`${where}.criterion "${clause.criterion}" is not a WCAG success criterion`);
+    }
+    if (typeof clause.urlPattern === 'string') {
+      try {
+        new RegExp(clause.urlPattern);
+      } catch {
+        errors.push(`${where}.urlPattern is not a valid regular expression`);
+      }
+    }
+    if (clause.never && !clause.code && !clause.criterion) {
+      errors.push(`${where} marks "never" but names no rule code or criterion`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check required keys, unknown keys and value types against a schema
+ * @private
+ */
+function checkShape(object, schema, where) {
+  const errors = [];
+
+  schema.required
+    .filter((key) => !(key in object))
+    .forEach((key) => errors.push(`${where}.${key} is required`));
+
+  Object.entries(object).forEach(([key, value]) => {
+    const type = schema.properties[key];
+    if (!type) {
+      errors.push(`${where}.${key} is not a recognised setting`);
+    } else if (!matchesType(value, type)) {
+      errors.push(`${where}.${key} must be ${type === 'integer' ? 'an' : 'a'} ${type}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * @private
+ */
+function matchesType(value, type) {
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'integer') return Number.isInteger(value);
+  return typeof value === type;
+}
+
+/**
+ * Compliance Policy - Versioned, file-based compliance rules
+ * Evaluates audit results clause by clause; every check cites its clause.
+ */
+export class CompliancePolicy {
+  constructor(config) {
+    this.config = config;
+    this.file = config.policyFile || null;
+    this.definition = this.file ? this._load(this.file) : null;
+  }
+
+  /**
+   * Whether a policy file is configured
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.definition !== null;
+  }
+
+  /**
+   * Policy identity for reports
+   * @returns {Object|null} name, version, effectiveDate and source file
+   */
+  describe() {
+    if (!this.enabled) return null;
+    const { name, version, effectiveDate } = this.definition;
+    return { name, version, ...(effectiveDate && { effectiveDate }), file: this.file };
+  }
+
+  /**
+   * Evaluate every clause against the audit results
+   * @param {Object} auditResults - Audit results from AccessibilityAuditor
+   * @returns {Array} One check per clause, citing the clause
+   */
+  evaluate(auditResults) {
+    const issues = SEVERITIES.flatMap((severity) =>
+      (auditResults.issues?.[severity] || []).map((issue) => ({
+        ...issue,
+        severity,
+        pageUrl: issue.pageUrl || auditResults.pageUrl,
+      }))
+    );
+
+    return this.definition.clauses.map((clause) => {
+      const matched = issues.filter((issue) => this._matches(clause, issue));
+      const threshold = clause.never ? 0 : clause.max;
+      const passed = matched.length <= threshold;
+      const label = this._describeClause(clause);
+      const citation = `${this.definition.name} v${this.definition.version} §${clause.id}`;
+
+      let message;
+      if (clause.never) {
+        message = passed
+          ? `✓ [§${clause.id}] ${label} never occurs`
+          : `✗ [§${clause.id}] ${label} must never occur (found ${matched.length})`;
+      } else {
+        message = passed
+          ? `✓ [§${clause.id}] ${label} within threshold (${matched.length}/${threshold})`
+          : `✗ [§${clause.id}] ${label} exceed threshold (${matched.length}/${threshold})`;
+      }
+
+      return {
+        metric: clause.title || label,
+        clause: { id: clause.id, ...(clause.title && { title: clause.title }), citation },
+        current: matched.length,
+        threshold,
+        ...(clause.never && { never: true }),
+        passed,
+        message,
+        // Where the failure is, so reviewers don't have to search the report
+        ...(!passed && {
+          violations: matched.map((issue) => ({
+            code: issue.code,
+            selector: issue.selector,
+            ...(issue.pageUrl && { pageUrl: issue.pageUrl }),
+          })),
+        }),
+      };
+    });
+  }
+
+  /**
+   * Whether an issue falls under a clause
+   * @private
+   */
+  _matches(clause, issue) {
+    if (clause.severity && issue.severity !== clause.severity) return false;
+    if (clause.code && issue.code !== clause.code && !(issue.relatedCodes || []).includes(clause.code)) {
+      return false;
+    }
+    if (clause.criterion && !(issue.successCriteria || []).some((criterion) => criterion.id === clause.criterion)) {
+      return false;
+    }
+    if (clause.urlPattern && !new RegExp(clause.urlPattern).test(issue.pageUrl || '')) return false;
+    return true;
+  }
+
+  /**
+   * Describe what a clause counts, e.g. "serious issues on /login"
+   * @private
+   */
+  _describeClause(clause) {
+    const parts = [];
+    if (clause.code) parts.push(`Rule ${clause.code}`);
+    if (clause.criterion) {
+      parts.push(`SC ${clause.criterion} ${SUCCESS_CRITERIA[clause.criterion].title}`);
+    }
+    parts.push(clause.severity ? `${clause.severity} issues` : 'issues');
+    if (clause.urlPattern) parts.push(`on ${clause.urlPattern}`);
+    return parts.join(' ');
+  }
+
+  /**
+   * Read and validate the policy file (JSON or YAML)
+   * @private
+   */
+  _load(file) {
+    const filepath = path.resolve(__dirname, '..', file);
+    if (!fs.existsSync(filepath)) {
+      throw new Error(`Policy file not found: ${filepath}`);
+    }
+
+    const content = fs.readFileSync(filepath, 'utf-8');
+    let definition;
+    try {
+      definition = /\.ya?ml$/i.test(filepath) ? yaml.load(content) : JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Policy file ${filepath} could not be parsed: ${error.message}`);
+    }
+
+    const errors = validatePolicy(definition);
+    if (errors.length > 0) {
+      throw new Error(`Policy file ${filepath} is invalid:\n  - ${errors.join('\n  - ')}`);
+    }
+    return definition;
+  }
+}
+
+export default CompliancePolicy;
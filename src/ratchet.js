@@ -0,0 +1,190 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Severities with a MAX_*_ISSUES threshold; minor issues are informational
+const RATCHETED_SEVERITIES = ['critical', 'serious', 'moderate'];
+
+/**
+ * Threshold Ratchet - Issue ceilings that only go down
+ * After each passing run the issue counts become the new ceilings for that
+ * audit target (never higher than before). A run above the best recorded
+ * count fails. Ceilings only go back up through an explicit reset.
+ */
+export class ThresholdRatchet {
+  constructor(config) {
+    this.config = config;
+    this.file = config.ratchetFile ? path.resolve(__dirname, '..', config.ratchetFile) : null;
+  }
+
+  /**
+   * Whether a ratchet state file is configured
+   * @returns {boolean}
+   */
+  get enabled() {
+    return this.file !== null;
+  }
+
+  /**
+   * Check issue counts against the best recorded counts for the target
+   * @param {Object} auditResults - Audit results (after waivers)
+   * @returns {Array} One check per ratcheted severity
+   */
+  evaluate(auditResults) {
+    const target = this._target(auditResults);
+    const recorded = this._read().targets[target];
+
+    return RATCHETED_SEVERITIES.map((severity) => {
+      const label = `${severity[0].toUpperCase()}${severity.slice(1)} issues`;
+      const count = auditResults.summary[severity];
+      const ceiling = recorded ? recorded.ceilings[severity] : undefined;
+
+      if (ceiling === undefined) {
+        return {
+          metric: `${label} (ratchet)`,
+          current: count,
+          threshold: null,
+          passed: true,
+          message: `✓ ${label}: no ratchet recorded yet (${count} will be recorded if this run passes)`,
+        };
+      }
+
+      const passed = count <= ceiling;
+      return {
+        metric: `${label} (ratchet)`,
+        current: count,
+        threshold: ceiling,
+        passed,
+        message: passed
+          ? `✓ ${label} at or below best recorded level (${count}/${ceiling})`
+          : `✗ ${label} rose above best recorded level (${count}/${ceiling} since ${recorded.updatedAt})`,
+      };
+    });
+  }
+
+  /**
+   * The target and counts a passing run would record
+   * @param {Object} auditResults - Audit results (after waivers)
+   * @returns {Object} { file, target, counts }
+   */
+  snapshot(auditResults) {
+    return {
+      file: this.file,
+      target: this._target(auditResults),
+      counts: Object.fromEntries(
+        RATCHETED_SEVERITIES.map((severity) => [severity, auditResults.summary[severity]])
+      ),
+    };
+  }
+
+  /**
+   * Record a passing run: each ceiling becomes the lower of itself and the count
+   * @param {Object} snapshot - { target, counts } from snapshot()
+   * @returns {Object} { target, ceilings, tightened } with the severities that went down
+   */
+  record({ target, counts }) {
+    const state = this._read();
+    const previous = state.targets[target]?.ceilings || {};
+    const ceilings = Object.fromEntries(
+      RATCHETED_SEVERITIES.map((severity) => {
+        const count = counts[severity];
+        return [severity, previous[severity] === undefined ? count : Math.min(previous[severity], count)];
+      })
+    );
+    const tightened = RATCHETED_SEVERITIES.filter((severity) => ceilings[severity] !== previous[severity]);
+
+    if (tightened.length > 0) {
+      const timestamp = new Date().toISOString();
+      state.targets[target] = {
+        ceilings,
+        updatedAt: timestamp,
+        history: [
+          ...(state.targets[target]?.history || []),
+          { event: 'tightened', timestamp, ceilings },
+        ],
+      };
+      this._write(state);
+      logger.info(`Ratchet tightened for ${target}: ${tightened.map((severity) => `${severity} ${ceilings[severity]}`).join(', ')}`);
+    }
+
+    return { target, ceilings, tightened };
+  }
+
+  /**
+   * Reset the ratchet for one target, or for every target, with a reason
+   * that stays in the target's history
+   * @param {Object} options - { target, reason, by }
+   * @returns {Array} Targets that were reset
+   */
+  reset({ target, reason, by } = {}) {
+    if (!reason) {
+      throw new Error('A ratchet reset needs a reason');
+    }
+
+    const state = this._read();
+    const targets = target ? [target] : Object.keys(state.targets);
+    if (targets.length === 0) {
+      throw new Error(`Nothing is recorded in ${this.file}`);
+    }
+    const unknown = targets.filter((name) => !state.targets[name]);
+    if (unknown.length > 0) {
+      throw new Error(`No ratchet recorded for ${unknown.join(', ')}`);
+    }
+
+    const timestamp = new Date().toISOString();
+    targets.forEach((name) => {
+      state.targets[name] = {
+        ceilings: {},
+        updatedAt: timestamp,
+        history: [
+          ...state.targets[name].history,
+          { event: 'reset', timestamp, reason, ...(by && { by }), previous: state.targets[name].ceilings },
+        ],
+      };
+    });
+    this._write(state);
+    logger.warn(`Ratchet reset for ${targets.join(', ')}: ${reason}`);
+
+    return targets;
+  }
+
+  /**
+   * Ceilings are kept per audited URL, so different sites don't share them.
+   * Single-page results keep the title in `url`, so their pageUrl comes
+   * first; crawl and journey results only have the start URL in `url`.
+   * @private
+   */
+  _target(auditResults) {
+    return auditResults.pageUrl || auditResults.url;
+  }
+
+  /**
+   * Read the state file; a missing file means nothing is recorded yet
+   * @private
+   */
+  _read() {
+    if (!fs.existsSync(this.file)) {
+      return { targets: {} };
+    }
+
+    try {
+      const state = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+      return { targets: {}, ...state };
+    } catch (error) {
+      throw new Error(`Ratchet state file ${this.file} could not be parsed: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _write(state) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, `${JSON.stringify(state, null, 2)}\n`);
+  }
+}
+
+export default ThresholdRatchet;
@@ -1,16 +1,39 @@
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import puppeteer from 'puppeteer';
+import { fileURLToPath, pathToFileURL } from 'url';
 import logger from './logger.js';
+import { chromeLaunchConfig } from './auditor.js';
+import { LEVEL_ORDER, summarizeByCriterion } from './wcagCatalogue.js';
+import { evaluateFrameworks } from './frameworks.js';
+import { DEFAULT_SLA_DAYS } from './ledger.js';
+import RunStore from './runStore.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+const SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+// SARIF result levels; critical and serious issues are errors in code scanning
+const SARIF_LEVELS = { critical: 'error', serious: 'error', moderate: 'warning', minor: 'note' };
+
+// Page setup of the PDF export; the footer carries the page numbers
+const PDF_OPTIONS = {
+  format: 'A4',
+  printBackground: true,
+  displayHeaderFooter: true,
+  headerTemplate: '<span></span>',
+  footerTemplate:
+    '<div style="width: 100%; font-size: 8px; color: #666; text-align: center;">Accessibility & Compliance Audit Report · Page <span class="pageNumber"></span> of <span class="totalPages"></span></div>',
+  margin: { top: '18mm', right: '14mm', bottom: '20mm', left: '14mm' },
+};
+
 /**
  * Report Generator - Creates compliance reports
  */
 export class ReportGenerator {
   constructor(config) {
     this.config = config;
+    this.runs = new RunStore(config);
     this.ensureOutputDir();
   }
 
@@ -25,26 +48,58 @@ export class ReportGenerator {
     }
   }
 
+  /**
+   * Run that the results' reports are written to; the first report of a
+   * result creates it, so every format of one audit lands in the same run
+   * @param {Object} auditResults - Audit results from AccessibilityAuditor
+   * @returns {string} Run ID
+   */
+  getRunId(auditResults) {
+    if (!auditResults.runId) {
+      auditResults.runId = this.runs.create(auditResults).id;
+    }
+    return auditResults.runId;
+  }
+
+  /**
+   * Generate the JSON report plus every other format in REPORT_FORMAT.
+   * JSON is always written: checkCompliance.js and the run tools read it.
+   * @param {Object} auditResults - Audit results from AccessibilityAuditor
+   * @param {Object} complianceResult - Result of ComplianceChecker.check() (for JUnit)
+   * @returns {Promise<Object>} { runId, report, files } with a path per format
+   */
+  async generateReports(auditResults, complianceResult) {
+    const { runId, filepath, report } = await this.generateReport(auditResults);
+    const files = { json: filepath };
+    const generators = {
+      html: () => this.generateHTMLReport(auditResults),
+      pdf: () => this.generatePDFReport(auditResults),
+      sarif: () => this.generateSarifReport(auditResults),
+      junit: () => this.generateJUnitReport(auditResults, complianceResult),
+    };
+
+    for (const format of this.config.reportFormats.filter((name) => name !== 'json')) {
+      files[format] = await generators[format]();
+    }
+    return { runId, report, files };
+  }
+
   /**
    * Generate comprehensive report
    */
   async generateReport(auditResults) {
     try {
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
-      const filename = `compliance-report-${timestamp}.json`;
-      const filepath = path.join(
-        __dirname,
-        '..',
-        this.config.reportOutputDir,
-        filename
-      );
+      const runId = this.getRunId(auditResults);
+      const filepath = path.join(this.runs.runDir(runId), 'compliance-report.json');
 
       const report = this._buildReport(auditResults);
 
       fs.writeFileSync(filepath, JSON.stringify(report, null, 2));
+      this.runs.addArtifact(runId, 'json', filepath);
       logger.info(`Report generated: ${filepath}`);
 
       return {
+        runId,
         filepath,
         report,
       };
@@ -60,6 +115,7 @@ export class ReportGenerator {
    */
   _buildReport(auditResults) {
     const now = new Date();
+    const frameworks = this._evaluateFrameworks(auditResults);
 
     return {
       metadata: {
@@ -67,20 +123,25 @@ export class ReportGenerator {
         generatedAt: now.toISOString(),
         generatedBy: 'Bank Compliance Auditor v1.0.0',
         organization: 'Banking Institution',
-        auditType: 'WCAG 2.1 Compliance',
+        auditType: `WCAG ${this.config.wcagVersion} Compliance`,
+        ...(auditResults.runId && { runId: auditResults.runId }),
       },
       configuration: {
         wcagVersion: this.config.wcagVersion,
         wcagLevel: this.config.wcagLevel,
+        runners: this.config.auditRunners,
         maxCriticalIssues: this.config.maxCriticalIssues,
         maxSeriousIssues: this.config.maxSeriousIssues,
         maxModerateIssues: this.config.maxModerateIssues,
       },
       auditResults: {
         url: auditResults.url,
+        ...(auditResults.pageUrl && { pageUrl: auditResults.pageUrl }),
         timestamp: auditResults.timestamp,
         status: auditResults.status,
         complianceScore: auditResults.compliance,
+        ...(auditResults.scoring && { scoring: auditResults.scoring }),
+        ...(auditResults.screenshot && { screenshot: auditResults.screenshot }),
       },
       summary: {
         total_issues: auditResults.summary.total,
@@ -90,13 +151,29 @@ export class ReportGenerator {
         minor: auditResults.summary.minor,
       },
       issues: auditResults.issues,
+      successCriteria: summarizeByCriterion(auditResults.issues),
+      ...(auditResults.conformance && { conformance: auditResults.conformance }),
+      ...(auditResults.scope && { scope: auditResults.scope }),
+      ...(auditResults.viewports && { viewports: auditResults.viewports }),
+      ...(auditResults.pages && {
+        pages: auditResults.pages,
+        crawl: auditResults.crawl,
+      }),
+      ...(auditResults.journeys && { journeys: auditResults.journeys }),
+      ...(auditResults.waivers && { waivers: auditResults.waivers }),
+      ...(auditResults.ledger && { ledger: auditResults.ledger }),
       recommendations: this._generateRecommendations(auditResults),
       legal_compliance: {
-        wcag_2_1_level_aa: auditResults.summary.critical === 0,
-        ada_compliant: auditResults.summary.critical === 0,
-        section_508_compliant:
-          auditResults.summary.critical === 0 && auditResults.summary.serious <= 2,
+        // Fixed key for report consumers; the target version and level are in the value
+        wcag: {
+          version: this.config.wcagVersion,
+          level: this.config.wcagLevel,
+          compliant: auditResults.conformance ? auditResults.conformance.meetsTarget : auditResults.summary.critical === 0,
+        },
+        // Framework status per clause is in regulatoryFrameworks: passed, failed or manual
+        ...Object.fromEntries(frameworks.map((framework) => [framework.id, framework.status])),
       },
+      regulatoryFrameworks: frameworks,
       certification: {
         passed: auditResults.status === 'PASSED',
         certificationLevel: this._getCertificationLevel(auditResults),
@@ -111,6 +188,7 @@ export class ReportGenerator {
    */
   _generateRecommendations(auditResults) {
     const recommendations = [];
+    const slaDays = { ...DEFAULT_SLA_DAYS, ...this.config.remediationSlaDays };
 
     if (auditResults.summary.critical > 0) {
       recommendations.push({
@@ -125,7 +203,7 @@ export class ReportGenerator {
       recommendations.push({
         priority: 'HIGH',
         issue: `${auditResults.summary.serious} serious accessibility issues found`,
-        action: 'Fix serious issues within 2 weeks',
+        action: `Fix serious issues within ${slaDays.serious} days`,
         impact: 'Significant accessibility barriers for users',
       });
     }
@@ -134,7 +212,7 @@ export class ReportGenerator {
       recommendations.push({
         priority: 'MEDIUM',
         issue: `${auditResults.summary.moderate} moderate accessibility issues found`,
-        action: 'Fix moderate issues within 30 days',
+        action: `Fix moderate issues within ${slaDays.moderate} days`,
         impact: 'Minor accessibility challenges for some users',
       });
     }
@@ -171,8 +249,19 @@ export class ReportGenerator {
       'aria-valid-attr': 'Use valid ARIA attribute values',
       'select-name': 'Add accessible names to select elements',
       'textarea-name': 'Add accessible names to textarea elements',
+      'target-size': 'Make pointer targets at least 24 by 24 CSS pixels or space them apart',
     };
-    return suggestions[code] || 'Review WCAG 2.1 guidelines for this issue type';
+    return suggestions[code] || `Review WCAG ${this.config.wcagVersion} guidelines for this issue type`;
+  }
+
+  /**
+   * Map the results onto the configured regulatory frameworks
+   * (needs criterion-level conformance, so older results map to nothing)
+   * @private
+   */
+  _evaluateFrameworks(auditResults) {
+    if (!auditResults.conformance) return [];
+    return evaluateFrameworks(auditResults, this.config.regulatoryFrameworks);
   }
 
   /**
@@ -187,23 +276,321 @@ export class ReportGenerator {
     return 'Non-Compliant';
   }
 
+  /**
+   * Generate a SARIF 2.1.0 log for code-scanning tools
+   */
+  async generateSarifReport(auditResults) {
+    try {
+      const runId = this.getRunId(auditResults);
+      const filepath = path.join(this.runs.runDir(runId), 'compliance-report.sarif');
+
+      fs.writeFileSync(filepath, JSON.stringify(this._buildSarifReport(auditResults), null, 2));
+      this.runs.addArtifact(runId, 'sarif', filepath);
+      logger.info(`SARIF Report generated: ${filepath}`);
+
+      return filepath;
+    } catch (error) {
+      logger.error(`Failed to generate SARIF report: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the SARIF log: one rule per rule code, one result per issue located
+   * by page URL and selector. Waived issues are reported as suppressed.
+   * @private
+   */
+  _buildSarifReport(auditResults) {
+    const rules = new Map();
+    const results = [];
+
+    SEVERITIES.forEach((severity) => {
+      (auditResults.issues[severity] || []).forEach((issue) => {
+        if (!rules.has(issue.code)) {
+          rules.set(issue.code, { issue, severity, index: rules.size });
+        }
+        const rule = rules.get(issue.code);
+        const pageUrl = issue.pageUrl || auditResults.pageUrl || auditResults.url;
+
+        results.push({
+          ruleId: issue.code,
+          ruleIndex: rule.index,
+          level: SARIF_LEVELS[severity],
+          message: { text: issue.message },
+          locations: [
+            {
+              physicalLocation: { artifactLocation: { uri: pageUrl } },
+              ...(issue.selector && {
+                logicalLocations: [{ fullyQualifiedName: issue.selector, kind: 'element' }],
+              }),
+            },
+          ],
+          ...(issue.fingerprint && { partialFingerprints: { 'accessibilityFingerprint/v1': issue.fingerprint } }),
+          ...(issue.waiver && {
+            suppressions: [
+              {
+                kind: 'external',
+                status: 'accepted',
+                justification: `Waiver ${issue.waiver.id}: ${issue.waiver.justification} (approved by ${issue.waiver.approver}, expires ${issue.waiver.expires})`,
+              },
+            ],
+          }),
+          properties: {
+            severity,
+            wcagCriteria: (issue.successCriteria || []).map((criterion) => criterion.id),
+            ...(issue.sla && { dueDate: issue.sla.dueDate }),
+          },
+        });
+      });
+    });
+
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: 'Bank Compliance Auditor',
+              version: '1.0.0',
+              rules: Array.from(rules.entries()).map(([code, { issue, severity }]) =>
+                this._sarifRule(code, issue, severity)
+              ),
+            },
+          },
+          ...(auditResults.runId && { automationDetails: { id: `accessibility-audit/${auditResults.runId}` } }),
+          invocations: [
+            {
+              executionSuccessful: true,
+              ...(auditResults.timestamp && { startTimeUtc: auditResults.timestamp }),
+            },
+          ],
+          results,
+          properties: {
+            url: auditResults.url,
+            standard: `WCAG ${this.config.wcagVersion} Level ${this.config.wcagLevel}`,
+            complianceScore: auditResults.compliance,
+          },
+        },
+      ],
+    };
+  }
+
+  /**
+   * SARIF rule for a rule code, with the fix suggestion as help and WCAG tags
+   * (e.g. wcag143, wcag2aa) in the axe-core tag format
+   * @private
+   */
+  _sarifRule(code, issue, severity) {
+    const criteria = issue.successCriteria || [];
+    const titles = criteria.map((criterion) => `${criterion.id} ${criterion.title} (Level ${criterion.level})`);
+    const fix = this._getFixSuggestion(code);
+    const versionTag = (version) => `wcag${version.replace('.', '').replace(/0$/, '')}`;
+
+    return {
+      id: code,
+      name: code,
+      shortDescription: { text: titles.length > 0 ? `WCAG ${titles.join(', ')}` : code },
+      fullDescription: { text: issue.message },
+      help: {
+        text: fix,
+        markdown: [`**Fix:** ${fix}`, ...titles.map((title) => `- WCAG ${title}`)].join('\n\n'),
+      },
+      defaultConfiguration: { level: SARIF_LEVELS[severity] },
+      properties: {
+        tags: [
+          'accessibility',
+          ...new Set(
+            criteria.flatMap((criterion) => [
+              `wcag${criterion.id.replace(/\./g, '')}`,
+              `${versionTag(criterion.introduced)}${criterion.level.toLowerCase()}`,
+            ])
+          ),
+        ],
+      },
+    };
+  }
+
+  /**
+   * Generate JUnit XML for CI test dashboards
+   * @param {Object} auditResults - Audit results from AccessibilityAuditor
+   * @param {Object} complianceResult - Result of ComplianceChecker.check() (optional)
+   */
+  async generateJUnitReport(auditResults, complianceResult) {
+    try {
+      const runId = this.getRunId(auditResults);
+      const filepath = path.join(this.runs.runDir(runId), 'compliance-report.junit.xml');
+
+      fs.writeFileSync(filepath, this._buildJUnitReport(auditResults, complianceResult));
+      this.runs.addArtifact(runId, 'junit', filepath);
+      logger.info(`JUnit Report generated: ${filepath}`);
+
+      return filepath;
+    } catch (error) {
+      logger.error(`Failed to generate JUnit report: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the JUnit XML: one testsuite per audited URL with a testcase per
+   * WCAG criterion up to the target level (failed, passed, or skipped when it
+   * needs manual review), plus a testsuite for the compliance checks
+   * @private
+   */
+  _buildJUnitReport(auditResults, complianceResult) {
+    const defaultUrl = auditResults.pageUrl || auditResults.url;
+    const suites = this._auditedUrls(auditResults).map((url) =>
+      this._criteriaSuite(
+        url,
+        SEVERITIES.flatMap((severity) =>
+          (auditResults.issues[severity] || [])
+            .filter((issue) => (issue.pageUrl || defaultUrl) === url)
+            .map((issue) => ({ ...issue, severity }))
+        ),
+        auditResults
+      )
+    );
+
+    (auditResults.crawl?.pagesFailed || []).forEach((page) => {
+      suites.push({
+        name: page.url,
+        testcases: [{ classname: 'audit', name: 'Page audit', error: { message: page.error } }],
+      });
+    });
+
+    if (complianceResult) {
+      suites.push({
+        name: 'Compliance checks',
+        testcases: complianceResult.report.details.map((check) => ({
+          classname: 'compliance',
+          name: check.clause ? `§${check.clause.id} ${check.metric}` : check.metric,
+          ...(!check.passed && {
+            failure: {
+              message: check.message,
+              type: 'compliance',
+              lines: (check.violations || []).map(
+                (violation) =>
+                  `${violation.code} ${violation.selector || ''}${violation.pageUrl ? ` on ${violation.pageUrl}` : ''}`
+              ),
+            },
+          }),
+        })),
+      });
+    }
+
+    const count = (testcases, key) => testcases.filter((testcase) => testcase[key]).length;
+    const all = suites.flatMap((suite) => suite.testcases);
+    const xml = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="Accessibility audit" tests="${all.length}" failures="${count(all, 'failure')}" errors="${count(all, 'error')}" skipped="${count(all, 'skipped')}">`,
+    ];
+
+    suites.forEach((suite, index) => {
+      xml.push(
+        `  <testsuite id="${index}" name="${escapeMarkup(suite.name)}" tests="${suite.testcases.length}" failures="${count(suite.testcases, 'failure')}" errors="${count(suite.testcases, 'error')}" skipped="${count(suite.testcases, 'skipped')}"${auditResults.timestamp ? ` timestamp="${auditResults.timestamp}"` : ''}>`
+      );
+      suite.testcases.forEach((testcase) => {
+        const open = `    <testcase classname="${escapeMarkup(testcase.classname)}" name="${escapeMarkup(testcase.name)}"`;
+        if (testcase.failure) {
+          xml.push(
+            `${open}>`,
+            `      <failure message="${escapeMarkup(testcase.failure.message)}" type="${escapeMarkup(testcase.failure.type)}">${escapeMarkup(testcase.failure.lines.join('\n'))}</failure>`,
+            '    </testcase>'
+          );
+        } else if (testcase.error) {
+          xml.push(`${open}>`, `      <error message="${escapeMarkup(testcase.error.message)}"/>`, '    </testcase>');
+        } else if (testcase.skipped) {
+          xml.push(`${open}>`, `      <skipped message="${escapeMarkup(testcase.skipped)}"/>`, '    </testcase>');
+        } else {
+          xml.push(`${open}/>`);
+        }
+      });
+      xml.push('  </testsuite>');
+    });
+    xml.push('</testsuites>', '');
+
+    return xml.join('\n');
+  }
+
+  /**
+   * Testcases for one URL: every criterion up to the target level, failing
+   * with the page's issues (severity, rule, selector and message)
+   * @private
+   */
+  _criteriaSuite(url, issues, auditResults) {
+    const standard = `WCAG ${this.config.wcagVersion}`;
+    const maxLevel = LEVEL_ORDER.indexOf(this.config.wcagLevel);
+    // Without a conformance evaluation only the criteria with issues are known
+    const criteria = auditResults.conformance
+      ? auditResults.conformance.criteria.filter((criterion) => LEVEL_ORDER.indexOf(criterion.level) <= maxLevel)
+      : Array.from(
+          new Map(
+            issues.flatMap((issue) => (issue.successCriteria || []).map((criterion) => [criterion.id, criterion]))
+          ).values()
+        );
+
+    return {
+      name: url,
+      testcases: criteria.map((criterion) => {
+        const failing = issues.filter((issue) =>
+          (issue.successCriteria || []).some((candidate) => candidate.id === criterion.id)
+        );
+        const testcase = {
+          classname: `${standard} Level ${criterion.level}`,
+          name: `${criterion.id} ${criterion.title}`,
+        };
+
+        if (failing.length > 0) {
+          testcase.failure = {
+            message: `${failing.length} issues fail ${criterion.id} ${criterion.title}`,
+            type: failing[0].severity,
+            lines: failing.map(
+              (issue) =>
+                `[${issue.severity}] ${issue.code} ${issue.selector || ''}: ${issue.message}${issue.waiver ? ` (waived: ${issue.waiver.id})` : ''}`
+            ),
+          };
+        } else if (criterion.status === 'manual') {
+          testcase.skipped = 'Not testable automatically; needs manual review';
+        }
+        return testcase;
+      }),
+    };
+  }
+
+  /**
+   * URLs covered by the results: every crawled page or journey checkpoint, else the audited page
+   * @private
+   */
+  _auditedUrls(auditResults) {
+    if (auditResults.pages) return auditResults.pages.map((page) => page.pageUrl);
+    if (auditResults.journeys) {
+      return Array.from(
+        new Set(
+          auditResults.journeys.flatMap((journey) =>
+            journey.steps.filter((step) => step.url && step.summary).map((step) => step.url)
+          )
+        )
+      );
+    }
+    return [auditResults.pageUrl || auditResults.url];
+  }
+
   /**
    * Generate HTML report for visual inspection
    */
   async generateHTMLReport(auditResults) {
     try {
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
-      const filename = `compliance-report-${timestamp}.html`;
-      const filepath = path.join(
-        __dirname,
-        '..',
-        this.config.reportOutputDir,
-        filename
-      );
+      const runId = this.getRunId(auditResults);
+      const runDir = this.runs.runDir(runId);
+      const filepath = path.join(runDir, 'compliance-report.html');
 
-      const html = this._buildHTMLReport(auditResults);
+      // Screenshot paths are relative to the report directory
+      const reportDir = path.relative(runDir, this.runs.reportDir).split(path.sep).join('/');
+      const html = this._buildHTMLReport(auditResults, `${reportDir}/`);
 
       fs.writeFileSync(filepath, html);
+      this.runs.addArtifact(runId, 'html', filepath);
       logger.info(`HTML Report generated: ${filepath}`);
 
       return filepath;
@@ -217,7 +604,7 @@ export class ReportGenerator {
    * Build HTML report structure
    * @private
    */
-  _buildHTMLReport(auditResults) {
+  _buildHTMLReport(auditResults, baseHref) {
     const statusColor =
       auditResults.status === 'PASSED' ? '#2ecc71' : '#e74c3c';
     const statusText = auditResults.status === 'PASSED' ? '✓ PASSED' : '✗ FAILED';
@@ -229,7 +616,321 @@ export class ReportGenerator {
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>Accessibility & Compliance Audit Report</title>
+    ${baseHref ? `<base href="${baseHref}">` : ''}
     <style>
+${this._reportStyles(statusColor)}
+    </style>
+</head>
+<body>
+    <div class="container">
+        <header>
+            <h1>🔐 Accessibility & Compliance Audit</h1>
+            <p>WCAG ${this.config.wcagVersion} ${this.config.wcagLevel} Compliance Report</p>
+            <p>Generated: ${new Date().toLocaleString()}</p>
+            ${auditResults.scope ? `<p>Scope: ${this._describeScope(auditResults.scope)}</p>` : ''}
+            <div class="status-badge">${statusText}</div>
+        </header>
+
+        <div class="compliance-badge">
+            <div class="score">${auditResults.compliance}%</div>
+            <div class="label">Compliance Score</div>
+        </div>
+
+        ${this._generateScoringHTML(auditResults)}
+
+        <div class="metrics">
+            <div class="metric-card">
+                <h3>Total Issues</h3>
+                <div class="value">${auditResults.summary.total}</div>
+            </div>
+            <div class="metric-card critical">
+                <h3>Critical</h3>
+                <div class="value">${auditResults.summary.critical}</div>
+            </div>
+            <div class="metric-card serious">
+                <h3>Serious</h3>
+                <div class="value">${auditResults.summary.serious}</div>
+            </div>
+            <div class="metric-card">
+                <h3>Moderate</h3>
+                <div class="value">${auditResults.summary.moderate}</div>
+            </div>
+        </div>
+
+        ${this._generatePageScreenshotHTML(auditResults)}
+
+        ${this._generateViewportsHTML(auditResults)}
+
+        ${this._generatePagesHTML(auditResults)}
+
+        ${this._generateJourneysHTML(auditResults)}
+
+        ${this._generateConformanceHTML(auditResults)}
+
+        ${this._generateFrameworksHTML(auditResults)}
+
+        ${this._generateCriteriaHTML(auditResults)}
+
+        ${this._generateWaiversHTML(auditResults)}
+
+        ${this._generateSlaHTML(auditResults)}
+
+        ${this._generateIssuesHTML(auditResults)}
+
+        ${this._generateRecommendationsHTML(auditResults)}
+
+        <footer>
+            <p>This report was generated by Bank Compliance Auditor</p>
+            <p>For compliance support, contact your accessibility team</p>
+        </footer>
+    </div>
+</body>
+</html>
+    `;
+  }
+
+  /**
+   * Render the report to a paginated PDF with headless Chrome: a cover page,
+   * a table of contents, the report chapters and an appendix of all issues
+   * @param {Object} auditResults - Audit results from AccessibilityAuditor
+   * @param {Object} options - { browser } to render with a running browser
+   */
+  async generatePDFReport(auditResults, options = {}) {
+    try {
+      const runId = this.getRunId(auditResults);
+      const filepath = path.join(this.runs.runDir(runId), 'compliance-report.pdf');
+      // Screenshots are referenced relative to the report directory
+      const baseHref = `${pathToFileURL(this.runs.reportDir).href}/`;
+
+      const browser = options.browser || (await puppeteer.launch(chromeLaunchConfig));
+      const page = await browser.newPage();
+      try {
+        const chapters = this._pdfChapters(auditResults);
+        const parts = [
+          this._pdfCover(auditResults),
+          this._pdfContents(chapters),
+          ...chapters.map((chapter) => this._pdfChapter(chapter)),
+        ];
+        await page.setContent(this._buildPDFReport(auditResults, parts, baseHref), { waitUntil: 'load' });
+        const pdf = await page.pdf(PDF_OPTIONS);
+        fs.writeFileSync(filepath, pdf);
+      } finally {
+        await page.close();
+        if (!options.browser) await browser.close();
+      }
+
+      this.runs.addArtifact(runId, 'pdf', filepath);
+      logger.info(`PDF Report generated: ${filepath}`);
+
+      return filepath;
+    } catch (error) {
+      logger.error(`Failed to generate PDF report: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Print document around the given parts (cover, contents, chapters)
+   * @private
+   */
+  _buildPDFReport(auditResults, parts, baseHref) {
+    const statusColor = auditResults.status === 'PASSED' ? '#2ecc71' : '#e74c3c';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Accessibility & Compliance Audit Report</title>
+    <base href="${baseHref}">
+    <style>
+${this._reportStyles(statusColor)}
+        body { background: white; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        .pdf-part { break-before: page; }
+        .pdf-part:first-child { break-before: auto; }
+        .section, .metric-card { box-shadow: none; }
+        .issue, .metric-card, tr { break-inside: avoid; }
+        h2 { break-after: avoid; }
+        .page-screenshot { max-height: none; overflow: visible; }
+        .screenshot { max-height: 120mm; }
+        .page-screenshot .screenshot { max-height: 230mm; }
+        .chapter-title { color: #764ba2; margin-bottom: 20px; }
+        .cover { min-height: 240mm; display: flex; flex-direction: column; justify-content: center; }
+        .cover header { padding: 60px 40px; }
+        .cover dl { display: grid; grid-template-columns: max-content 1fr; gap: 6px 20px; margin-top: 30px; }
+        .cover dt { font-weight: 600; color: #667eea; }
+        .contents ol { list-style: none; }
+        .contents li { display: flex; padding: 6px 0; border-bottom: 1px dotted #bbb; }
+        .contents li a { flex: 1; color: inherit; text-decoration: none; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        ${parts.join('\n')}
+    </div>
+</body>
+</html>`;
+  }
+
+  /**
+   * Cover page: title, audited site, standard, status, score and run
+   * @private
+   */
+  _pdfCover(auditResults) {
+    const statusText = auditResults.status === 'PASSED' ? '✓ PASSED' : '✗ FAILED';
+    const details = [
+      ['Audited site', auditResults.url],
+      ['Standard', `WCAG ${this.config.wcagVersion} Level ${this.config.wcagLevel}`],
+      ['Audited', auditResults.timestamp ? new Date(auditResults.timestamp).toLocaleString() : null],
+      ['Generated', new Date().toLocaleString()],
+      ['Scope', auditResults.scope ? this._describeScope(auditResults.scope) : null],
+      ['Compliance score', `${auditResults.compliance}%`],
+      ['Certification', this._getCertificationLevel(auditResults)],
+      ['Run', auditResults.runId],
+    ].filter(([, value]) => value);
+
+    return `
+        <div class="pdf-part cover">
+            <header>
+                <h1>🔐 Accessibility & Compliance Audit</h1>
+                <p>WCAG ${this.config.wcagVersion} ${this.config.wcagLevel} Compliance Report</p>
+                <div class="status-badge">${statusText}</div>
+            </header>
+            <dl>
+                ${details.map(([label, value]) => `<dt>${label}</dt><dd>${escapeMarkup(value)}</dd>`).join('\n                ')}
+            </dl>
+        </div>
+    `;
+  }
+
+  /**
+   * Table of contents linking to each chapter
+   * @private
+   */
+  _pdfContents(chapters) {
+    return `
+        <div class="pdf-part contents">
+            <div class="section">
+                <h2>Contents</h2>
+                <ol>
+                    ${chapters
+                      .map((chapter) => `<li><a href="#${chapter.id}">${chapter.title}</a></li>`)
+                      .join('\n                    ')}
+                </ol>
+            </div>
+        </div>
+    `;
+  }
+
+  /**
+   * One chapter on its own page, headed by its title
+   * @private
+   */
+  _pdfChapter(chapter) {
+    return `
+        <div class="pdf-part" id="${chapter.id}">
+            <h1 class="chapter-title">${chapter.title}</h1>
+            ${chapter.html}
+        </div>
+    `;
+  }
+
+  /**
+   * Report chapters of the PDF, each starting on a new page
+   * @private
+   */
+  _pdfChapters(auditResults) {
+    return [
+      {
+        id: 'summary',
+        title: 'Summary',
+        html: `
+        <div class="compliance-badge">
+            <div class="score">${auditResults.compliance}%</div>
+            <div class="label">Compliance Score</div>
+        </div>
+        ${this._generateScoringHTML(auditResults)}
+        <div class="metrics">
+            ${['total', 'critical', 'serious', 'moderate', 'minor']
+              .map(
+                (key) => `<div class="metric-card ${key}"><h3>${key[0].toUpperCase()}${key.slice(1)}</h3><div class="value">${auditResults.summary[key]}</div></div>`
+              )
+              .join('')}
+        </div>
+        ${this._generatePageScreenshotHTML(auditResults)}
+        ${this._generateViewportsHTML(auditResults)}
+        ${this._generatePagesHTML(auditResults)}
+        ${this._generateJourneysHTML(auditResults)}`,
+      },
+      { id: 'certification', title: 'Certification', html: this._generateCertificationHTML(auditResults) },
+      {
+        id: 'conformance',
+        title: 'WCAG Conformance',
+        html: `
+        ${this._generateConformanceHTML(auditResults)}
+        ${this._generateFrameworksHTML(auditResults)}
+        ${this._generateCriteriaHTML(auditResults)}`,
+      },
+      {
+        id: 'remediation',
+        title: 'Remediation',
+        html: `
+        ${this._generateRecommendationsHTML(auditResults)}
+        ${this._generateWaiversHTML(auditResults)}
+        ${this._generateSlaHTML(auditResults)}`,
+      },
+      {
+        id: 'issues',
+        title: 'Appendix A: All Issues',
+        html:
+          auditResults.summary.total > 0
+            ? this._generateIssuesHTML(auditResults)
+            : '<div class="section"><p>No issues were found.</p></div>',
+      },
+    ];
+  }
+
+  /**
+   * Certification block: level, outcome, validity and legal compliance
+   * (the same values as `certification` and `legal_compliance` in the JSON report)
+   * @private
+   */
+  _generateCertificationHTML(auditResults) {
+    const {
+      certification,
+      legal_compliance: { wcag, ...frameworks },
+    } = this._buildReport(auditResults);
+    const status = (value) => {
+      if (value === true || value === 'passed') return '✓ Compliant';
+      if (value === false || value === 'failed') return '✗ Non-compliant';
+      return '⚠ Manual review';
+    };
+
+    return `
+        <div class="section">
+            <h2>🏅 Certification</h2>
+            <div class="compliance-badge">
+                <div class="score">${certification.certificationLevel}</div>
+                <div class="label">${certification.passed ? 'Audit passed' : 'Audit failed'} · valid until ${certification.validUntil.slice(0, 10)}</div>
+            </div>
+            <table>
+                <thead><tr><th>Requirement</th><th>Status</th></tr></thead>
+                <tbody>
+                    <tr><td>WCAG ${wcag.version} Level ${wcag.level}</td><td>${status(wcag.compliant)}</td></tr>
+                    ${Object.entries(frameworks)
+                      .map(([requirement, value]) => `<tr><td>${requirement}</td><td>${status(value)}</td></tr>`)
+                      .join('\n                    ')}
+                </tbody>
+            </table>
+        </div>
+    `;
+  }
+
+  /**
+   * Stylesheet shared by the HTML report and the PDF export
+   * @private
+   */
+  _reportStyles(statusColor) {
+    return `
         * { margin: 0; padding: 0; box-sizing: border-box; }
         body {
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
@@ -313,6 +1014,9 @@ export class ReportGenerator {
         
         .issue-code { font-family: monospace; font-weight: bold; color: #667eea; }
         .issue-selector { font-family: monospace; color: #666; font-size: 0.9em; }
+        .screenshot { display: block; max-width: 100%; max-height: 320px; margin-top: 10px; border: 1px solid #ddd; border-radius: 4px; }
+        .page-screenshot { max-height: 600px; overflow-y: auto; }
+        .page-screenshot .screenshot { max-height: none; }
         
         table { width: 100%; border-collapse: collapse; margin-top: 15px; }
         th { background: #f5f5f5; padding: 10px; text-align: left; font-weight: 600; border-bottom: 2px solid #ddd; }
@@ -332,43 +1036,15 @@ export class ReportGenerator {
         .compliance-badge .label { opacity: 0.9; }
         
         footer { text-align: center; margin-top: 40px; padding-top: 20px; border-top: 1px solid #eee; color: #666; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <header>
-            <h1>🔐 Accessibility & Compliance Audit</h1>
-            <p>WCAG 2.1 ${this.config.wcagLevel} Compliance Report</p>
-            <p>Generated: ${new Date().toLocaleString()}</p>
-            <div class="status-badge">${statusText}</div>
-        </header>
-
-        <div class="compliance-badge">
-            <div class="score">${auditResults.compliance}%</div>
-            <div class="label">Compliance Score</div>
-        </div>
-
-        <div class="metrics">
-            <div class="metric-card">
-                <h3>Total Issues</h3>
-                <div class="value">${auditResults.summary.total}</div>
-            </div>
-            <div class="metric-card critical">
-                <h3>Critical</h3>
-                <div class="value">${auditResults.summary.critical}</div>
-            </div>
-            <div class="metric-card serious">
-                <h3>Serious</h3>
-                <div class="value">${auditResults.summary.serious}</div>
-            </div>
-            <div class="metric-card">
-                <h3>Moderate</h3>
-                <div class="value">${auditResults.summary.moderate}</div>
-            </div>
-        </div>
-
-        ${this._generateIssuesHTML(auditResults)}
+    `;
+  }
 
+  /**
+   * Generate the recommendations section HTML
+   * @private
+   */
+  _generateRecommendationsHTML(auditResults) {
+    return `
         <div class="section">
             <h2>📋 Recommendations</h2>
             ${this._generateRecommendations(auditResults)
@@ -383,14 +1059,403 @@ export class ReportGenerator {
               )
               .join('')}
         </div>
+    `;
+  }
 
-        <footer>
-            <p>This report was generated by Bank Compliance Auditor</p>
-            <p>For compliance support, contact your accessibility team</p>
-        </footer>
-    </div>
-</body>
-</html>
+  /**
+   * Generate the full-page screenshot HTML for single-page audits
+   * @private
+   */
+  _generatePageScreenshotHTML(auditResults) {
+    if (!auditResults.screenshot) return '';
+
+    return `
+        <div class="section">
+            <h2>🖼️ Page Screenshot</h2>
+            <div class="page-screenshot">
+                <a href="${escapeMarkup(auditResults.screenshot)}"><img class="screenshot" src="${escapeMarkup(auditResults.screenshot)}" alt="Full-page screenshot of ${escapeMarkup(auditResults.url)}"></a>
+            </div>
+        </div>
+    `;
+  }
+
+  /**
+   * Link to a page screenshot in a summary table cell
+   * @private
+   */
+  _screenshotLink(item) {
+    return item.screenshot ? `<a href="${escapeMarkup(item.screenshot)}">View</a>` : '—';
+  }
+
+  /**
+   * Generate per-viewport summary HTML for viewport matrix audits
+   * @private
+   */
+  _generateViewportsHTML(auditResults) {
+    if (!auditResults.viewports) return '';
+
+    return `
+        <div class="section">
+            <h2>📱 Results by Viewport</h2>
+            <table>
+                <tr><th>Viewport</th><th>Size</th><th>Status</th><th>Score</th><th>Critical</th><th>Serious</th><th>Moderate</th><th>Minor</th><th>Screenshot</th></tr>
+                ${auditResults.viewports
+                  .map(
+                    (viewport) => `
+                <tr>
+                    <td>${viewport.name}</td>
+                    <td>${viewport.width}×${viewport.height}${viewport.deviceScaleFactor !== 1 ? ` @${viewport.deviceScaleFactor}x` : ''}</td>
+                    <td>${viewport.status}</td>
+                    <td>${viewport.compliance}%</td>
+                    <td>${viewport.summary.critical}</td>
+                    <td>${viewport.summary.serious}</td>
+                    <td>${viewport.summary.moderate}</td>
+                    <td>${viewport.summary.minor}</td>
+                    <td>${this._screenshotLink(viewport)}</td>
+                </tr>`
+                  )
+                  .join('')}
+            </table>
+            <p>${auditResults.summary.viewportSpecific || 0} issues appear only at some viewports.</p>
+        </div>
+    `;
+  }
+
+  /**
+   * Generate per-page summary HTML for site-wide audits
+   * @private
+   */
+  _generatePagesHTML(auditResults) {
+    if (!auditResults.pages) return '';
+
+    const failedPages = auditResults.crawl?.pagesFailed || [];
+    const timing = auditResults.crawl?.timing;
+
+    return `
+        <div class="section">
+            <h2>🌐 Pages Audited (${auditResults.pages.length})</h2>
+            <table>
+                <tr><th>Page</th><th>Scope</th><th>Status</th><th>Level Met</th><th>Score</th><th>Critical</th><th>Serious</th><th>Moderate</th><th>Minor</th><th>Time</th><th>Screenshot</th></tr>
+                ${auditResults.pages
+                  .map(
+                    (page) => `
+                <tr>
+                    <td><span class="issue-selector">${escapeMarkup(page.pageUrl)}</span>${page.documentTitle ? `<br>${escapeMarkup(page.documentTitle)}` : ''}</td>
+                    <td>${page.scope ? this._describeScope(page.scope) : '—'}</td>
+                    <td>${page.status}</td>
+                    <td>${page.conformance ? page.conformance.highestLevelMet || 'None' : '—'}</td>
+                    <td>${page.compliance}%</td>
+                    <td>${page.summary.critical}</td>
+                    <td>${page.summary.serious}</td>
+                    <td>${page.summary.moderate}</td>
+                    <td>${page.summary.minor}</td>
+                    <td>${page.durationMs !== undefined ? `${(page.durationMs / 1000).toFixed(1)}s` : '—'}</td>
+                    <td>${this._screenshotLink(page)}</td>
+                </tr>`
+                  )
+                  .join('')}
+            </table>
+            ${timing ? `<p>Audited in ${(timing.totalMs / 1000).toFixed(1)}s (${(timing.averageMs / 1000).toFixed(1)}s per page, ${timing.concurrency} concurrent browsers${timing.browsersRecycled > 0 ? `, ${timing.browsersRecycled} recycled after a crash` : ''}).</p>` : ''}
+            ${failedPages
+              .map((page) => `<div class="issue critical">Could not audit ${escapeMarkup(page.url)}: ${escapeMarkup(page.error)}</div>`)
+              .join('')}
+        </div>
+    `;
+  }
+
+  /**
+   * Describe the audited scope for reviewers
+   * @private
+   */
+  _describeScope(scope) {
+    const roots = scope.roots.filter(Boolean);
+    const parts = [roots.length > 0 ? `audited ${roots.join(', ')}` : 'whole page'];
+    if (scope.missingRoots?.length > 0) parts.push(`not present ${scope.missingRoots.join(', ')}`);
+    if (scope.exclude.length > 0) parts.push(`excluded ${scope.exclude.join(', ')}`);
+    return `${parts.join('; ')} (${scope.profiles.join(' + ')})`;
+  }
+
+  /**
+   * Generate journey step HTML for scripted journey audits
+   * @private
+   */
+  _generateJourneysHTML(auditResults) {
+    if (!auditResults.journeys) return '';
+
+    return auditResults.journeys
+      .map(
+        (journey) => `
+        <div class="section">
+            <h2>🧭 Journey: ${journey.name} (${journey.status})</h2>
+            <table>
+                <tr><th>Step</th><th>Action</th><th>Status</th><th>Score</th><th>Issues</th><th>Screenshot</th></tr>
+                ${journey.steps
+                  .map(
+                    (step) => `
+                <tr>
+                    <td>${step.index}. ${step.name}${step.url ? `<br><span class="issue-selector">${step.url}</span>` : ''}</td>
+                    <td>${step.action}</td>
+                    <td>${step.status}${step.error ? `: ${escapeMarkup(step.error)}` : ''}</td>
+                    <td>${step.compliance !== undefined ? `${step.compliance}%` : '—'}</td>
+                    <td>${step.summary ? step.summary.total : '—'}</td>
+                    <td>${this._screenshotLink(step)}</td>
+                </tr>`
+                  )
+                  .join('')}
+            </table>
+        </div>
+    `
+      )
+      .join('');
+  }
+
+  /**
+   * Generate the score breakdown: each component's weight and contribution,
+   * and each page's contribution when several pages were audited
+   * @private
+   */
+  _generateScoringHTML(auditResults) {
+    const scoring = auditResults.scoring;
+    if (!scoring) return '';
+
+    return `
+        <div class="section">
+            <h2>🧮 Score Breakdown</h2>
+            <p>Scoring model: ${scoring.model} · score ${scoring.score}% = ${scoring.components
+              .map((component) => component.contribution)
+              .join(' + ')}</p>
+            <table>
+                <tr><th>Component</th><th>Weight</th><th>Value</th><th>Contribution</th><th>Detail</th></tr>
+                ${scoring.components
+                  .map(
+                    (component) => `
+                <tr>
+                    <td>${component.label}</td>
+                    <td>${Math.round(component.weight * 100)}%</td>
+                    <td>${component.value}</td>
+                    <td>${component.contribution}</td>
+                    <td>${component.detail}</td>
+                </tr>`
+                  )
+                  .join('')}
+            </table>
+            ${
+              scoring.pages
+                ? `
+            <table>
+                <tr><th>Page</th><th>Weight</th><th>Score</th><th>Contribution</th></tr>
+                ${scoring.pages
+                  .map(
+                    (page) => `
+                <tr>
+                    <td>${page.url}</td>
+                    <td>${page.weight}</td>
+                    <td>${page.score}%</td>
+                    <td>${page.contribution}</td>
+                </tr>`
+                  )
+                  .join('')}
+            </table>`
+                : ''
+            }
+        </div>
+    `;
+  }
+
+  /**
+   * Generate the conformance summary: highest level met and per-level criterion statuses
+   * @private
+   */
+  _generateConformanceHTML(auditResults) {
+    const conformance = auditResults.conformance;
+    if (!conformance) return '';
+
+    const statusLabel = { passed: '✓ Passed', failed: '✗ Failed', manual: '? Manual review' };
+    const order = { failed: 0, manual: 1, passed: 2 };
+    // Untested AAA criteria only add noise when AAA is not the target
+    const criteria = conformance.criteria
+      .filter((criterion) => criterion.status !== 'manual' || criterion.level !== 'AAA' || conformance.targetLevel === 'AAA')
+      .sort((a, b) => order[a.status] - order[b.status]);
+
+    return `
+        <div class="section">
+            <h2>🏛️ WCAG ${conformance.version} Conformance</h2>
+            <p><strong>Highest level met:</strong> ${conformance.highestLevelMet ? `Level ${conformance.highestLevelMet}` : 'None'}
+               (target Level ${conformance.targetLevel}) · ${conformance.counts.passed} passed, ${conformance.counts.failed} failed,
+               ${conformance.counts.manual} need manual review</p>
+            <table>
+                <tr><th>Level</th><th>Criteria</th><th>Passed</th><th>Failed</th><th>Manual Review</th></tr>
+                ${Object.entries(conformance.levels)
+                  .map(
+                    ([level, result]) => `
+                <tr>
+                    <td>${level}</td>
+                    <td>${result.total}</td>
+                    <td>${result.passed}</td>
+                    <td>${result.failed.length > 0 ? result.failed.join(', ') : '0'}</td>
+                    <td>${result.manual.length}</td>
+                </tr>`
+                  )
+                  .join('')}
+            </table>
+            <table>
+                <tr><th>Criterion</th><th>Level</th><th>Status</th><th>Issues</th></tr>
+                ${criteria
+                  .map(
+                    (criterion) => `
+                <tr>
+                    <td>${criterion.id} ${criterion.title}</td>
+                    <td>${criterion.level}</td>
+                    <td>${statusLabel[criterion.status]}</td>
+                    <td>${criterion.issues}</td>
+                </tr>`
+                  )
+                  .join('')}
+            </table>
+        </div>
+    `;
+  }
+
+  /**
+   * Generate regulatory framework HTML: a status per clause with its evidence.
+   * Long clause lists (EN 301 549) only show the clauses that did not pass.
+   * @private
+   */
+  _generateFrameworksHTML(auditResults) {
+    const frameworks = this._evaluateFrameworks(auditResults);
+    if (frameworks.length === 0) return '';
+
+    const statusLabel = { passed: '✓ Passed', failed: '✗ Failed', manual: '? Manual review' };
+
+    return `
+        <div class="section">
+            <h2>⚖️ Regulatory Frameworks</h2>
+            ${frameworks
+              .map(
+                (framework) => `
+            <h3>${framework.name}: ${statusLabel[framework.status]}</h3>
+            <p class="issue-selector">${framework.basis}</p>
+            <table>
+                <tr><th>Clause</th><th>Status</th><th>Failed Criteria</th><th>Evidence</th></tr>
+                ${framework.clauses
+                  .filter((clause) => clause.status !== 'passed' || framework.clauses.length <= 10)
+                  .map(
+                    (clause) => `
+                <tr>
+                    <td>${clause.id} ${clause.title}</td>
+                    <td>${statusLabel[clause.status]}</td>
+                    <td>${clause.failedCriteria.join(', ') || '—'}</td>
+                    <td>${clause.evidence.length > 0 ? `${clause.evidence.length} issues (${[...new Set(clause.evidence.map((issue) => issue.code))].join(', ')})` : '—'}</td>
+                </tr>`
+                  )
+                  .join('')}
+            </table>`
+              )
+              .join('')}
+        </div>
+    `;
+  }
+
+  /**
+   * Generate results-per-success-criterion HTML
+   * @private
+   */
+  _generateCriteriaHTML(auditResults) {
+    const criteria = summarizeByCriterion(auditResults.issues);
+    if (criteria.length === 0) return '';
+
+    return `
+        <div class="section">
+            <h2>📐 Results by WCAG Success Criterion</h2>
+            <table>
+                <tr><th>Criterion</th><th>Level</th><th>Guideline</th><th>Issues</th><th>Critical</th><th>Serious</th><th>Moderate</th><th>Minor</th></tr>
+                ${criteria
+                  .map(
+                    (criterion) => `
+                <tr>
+                    <td>${criterion.id === 'best-practice' ? '' : `${criterion.id} `}${criterion.title}</td>
+                    <td>${criterion.level || '—'}</td>
+                    <td>${criterion.guideline || '—'}</td>
+                    <td>${criterion.total}</td>
+                    <td>${criterion.critical}</td>
+                    <td>${criterion.serious}</td>
+                    <td>${criterion.moderate}</td>
+                    <td>${criterion.minor}</td>
+                </tr>`
+                  )
+                  .join('')}
+            </table>
+        </div>
+    `;
+  }
+
+  /**
+   * Generate the waiver register HTML: applied, unused and expired waivers
+   * @private
+   */
+  _generateWaiversHTML(auditResults) {
+    const register = auditResults.waivers;
+    if (!register) return '';
+
+    const row = (waiver, status) => `
+                <tr>
+                    <td>${escapeMarkup(waiver.id)}</td>
+                    <td><span class="issue-code">${escapeMarkup(waiver.code)}</span>${waiver.selector ? `<br><span class="issue-selector">${escapeMarkup(waiver.selector)}</span>` : ''}${waiver.urlPattern ? `<br><span class="issue-selector">${escapeMarkup(waiver.urlPattern)}</span>` : ''}</td>
+                    <td>${escapeMarkup(waiver.justification)}</td>
+                    <td>${escapeMarkup(waiver.approver)}</td>
+                    <td>${escapeMarkup(waiver.expires)}</td>
+                    <td>${status}</td>
+                </tr>`;
+
+    return `
+        <div class="section">
+            <h2>📝 Waivers (${register.waivedIssues} issues waived)</h2>
+            <table>
+                <tr><th>Waiver</th><th>Rule / Matcher</th><th>Justification</th><th>Approver</th><th>Expires</th><th>Status</th></tr>
+                ${register.applied.map((waiver) => row(waiver, `Applied to ${waiver.issues} issues`)).join('')}
+                ${register.unused.map((waiver) => row(waiver, 'Unused')).join('')}
+                ${register.expired.map((waiver) => row(waiver, '<strong>Expired</strong>')).join('')}
+            </table>
+        </div>
+    `;
+  }
+
+  /**
+   * Generate the remediation SLA summary: overdue issues and this run's changes
+   * @private
+   */
+  _generateSlaHTML(auditResults) {
+    const ledger = auditResults.ledger;
+    if (!ledger) return '';
+
+    return `
+        <div class="section">
+            <h2>⏱️ Remediation SLAs (${ledger.overdue.length} overdue)</h2>
+            <p>${ledger.open} open issues · ${ledger.opened} new and ${ledger.reopened} reopened in this run ·
+               ${ledger.resolved.length} resolved · SLA days: ${Object.entries(ledger.slaDays)
+                 .map(([severity, days]) => `${severity} ${days}`)
+                 .join(', ')}</p>
+            ${
+              ledger.overdue.length > 0
+                ? `
+            <table>
+                <tr><th>Issue</th><th>Severity</th><th>Page</th><th>First Seen</th><th>Due</th></tr>
+                ${ledger.overdue
+                  .map(
+                    (entry) => `
+                <tr>
+                    <td><span class="issue-code">${entry.code}</span><br><span class="issue-selector">${entry.selector || ''}</span></td>
+                    <td>${entry.severity}${entry.waived ? ' (waived)' : ''}</td>
+                    <td>${entry.pageUrl || ''}</td>
+                    <td>${entry.firstSeen.slice(0, 10)}</td>
+                    <td><strong>${entry.dueDate.slice(0, 10)}</strong></td>
+                </tr>`
+                  )
+                  .join('')}
+            </table>`
+                : ''
+            }
+        </div>
     `;
   }
 
@@ -433,7 +1498,15 @@ export class ReportGenerator {
                     <div><span class="issue-code">${issue.code}</span></div>
                     <div><strong>${issue.message}</strong></div>
                     <div><strong>WCAG:</strong> ${issue.wcagCriteria}</div>
+                    ${issue.impact || issue.type ? `<div><strong>Impact:</strong> ${issue.impact || 'n/a'} · <strong>pa11y type:</strong> ${issue.type}${issue.severitySource === 'override' ? ' · severity overridden by policy' : ''}</div>` : ''}
+                    ${issue.runners ? `<div><strong>Reported by:</strong> ${issue.runners.join(', ')}${issue.relatedCodes ? ` (also ${issue.relatedCodes.join(', ')})` : ''}</div>` : ''}
                     <div><span class="issue-selector">Selector: ${issue.selector || 'N/A'}</span></div>
+                    ${issue.pageUrl ? `<div><span class="issue-selector">Page: ${issue.pageUrl}</span></div>` : ''}
+                    ${issue.viewportSpecific ? `<div><strong>Only at:</strong> ${issue.viewports.join(', ')}</div>` : ''}
+                    ${issue.checkpoint ? `<div><span class="issue-selector">Checkpoint: ${issue.checkpoint}</span></div>` : ''}
+                    ${issue.waiver ? `<div><strong>Waived (${escapeMarkup(issue.waiver.id)}):</strong> ${escapeMarkup(issue.waiver.justification)} · approved by ${escapeMarkup(issue.waiver.approver)}, expires ${escapeMarkup(issue.waiver.expires)}</div>` : ''}
+                    ${issue.sla ? `<div><strong>${issue.sla.overdue ? 'Overdue since' : 'Due'}:</strong> ${issue.sla.dueDate.slice(0, 10)} · first seen ${issue.sla.firstSeen.slice(0, 10)}</div>` : ''}
+                    ${issue.screenshot ? `<img class="screenshot" src="${escapeMarkup(issue.screenshot)}" alt="Screenshot of ${escapeMarkup(issue.selector)} outlined">` : ''}
                 </div>
             `
               )
@@ -443,4 +1516,16 @@ export class ReportGenerator {
   }
 }
 
+/**
+ * @private
+ */
+function escapeMarkup(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
 export default ReportGenerator;
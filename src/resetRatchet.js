@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+/**
+ * Ratchet Reset Script - Lets issue ceilings go back up after a justified change
+ * Usage: node src/resetRatchet.js --reason "<why>" [--url <audited url>] [--by <name>]
+ * Without --url every recorded target is reset.
+ */
+
+import config from './config.js';
+import logger from './logger.js';
+import ThresholdRatchet from './ratchet.js';
+
+/**
+ * Value of a --flag argument
+ */
+function getArg(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+function resetRatchet() {
+  try {
+    const ratchet = new ThresholdRatchet(config);
+    if (!ratchet.enabled) {
+      console.error('❌ RATCHET_FILE is not set; there is no ratchet to reset.');
+      process.exit(1);
+    }
+
+    const reason = getArg('reason');
+    if (!reason) {
+      console.error('❌ A reset must be justified: --reason "<why the ceilings may go up>"');
+      process.exit(1);
+    }
+
+    const targets = ratchet.reset({ target: getArg('url'), reason, by: getArg('by') });
+
+    console.log(`✓ Ratchet reset in ${ratchet.file}`);
+    targets.forEach((target) => console.log(`  ${target}`));
+    console.log('\nThe next passing run records new ceilings.');
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Ratchet reset error: ${error.message}`);
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+resetRatchet();
@@ -0,0 +1,237 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+/**
+ * Run Store - One directory per audit run under the report directory
+ * Each run gets a unique, sortable ID and its artifacts are written to
+ * runs/<id>/. manifest.json indexes the runs with their URL, timestamp,
+ * status and artifact paths (relative to the report directory). Retention
+ * keeps the newest REPORT_RETENTION_RUNS runs and/or runs younger than
+ * REPORT_RETENTION_DAYS; pinned runs are always kept.
+ */
+export class RunStore {
+  constructor(config) {
+    this.config = config;
+    this.reportDir = path.join(__dirname, '..', config.reportOutputDir);
+    this.manifestFile = path.join(this.reportDir, 'manifest.json');
+  }
+
+  /**
+   * Start a run for these audit results and add it to the manifest
+   * @param {Object} auditResults - Audit results from AccessibilityAuditor
+   * @param {Date} now - Time of the run
+   * @returns {Object} Manifest entry of the new run
+   */
+  create(auditResults, now = new Date()) {
+    const id = `${now.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z')}-${crypto.randomBytes(3).toString('hex')}`;
+    fs.mkdirSync(this.runDir(id), { recursive: true });
+
+    const screenshots = this._screenshotDirs(auditResults);
+    const run = {
+      id,
+      // Single-page results carry the page title in `url`
+      url: auditResults.pageUrl || auditResults.url,
+      timestamp: auditResults.timestamp || now.toISOString(),
+      createdAt: now.toISOString(),
+      status: auditResults.status,
+      complianceScore: auditResults.compliance,
+      pinned: false,
+      artifacts: {},
+      ...(screenshots.length > 0 && { screenshots }),
+    };
+
+    const manifest = this._read();
+    manifest.runs.push(run);
+    this._write(manifest);
+    logger.info(`Run ${id} created for ${run.url}`);
+    return run;
+  }
+
+  /**
+   * Directory of a run
+   * @param {string} id - Run ID
+   * @returns {string} Absolute path
+   */
+  runDir(id) {
+    return path.join(this.reportDir, 'runs', id);
+  }
+
+  /**
+   * Record an artifact written to a run
+   * @param {string} id - Run ID
+   * @param {string} name - Artifact name, e.g. "json" or "html"
+   * @param {string} filepath - Absolute path of the artifact
+   * @returns {Object} Updated manifest entry
+   */
+  addArtifact(id, name, filepath) {
+    const manifest = this._read();
+    const run = this._find(manifest, id);
+    run.artifacts[name] = path.relative(this.reportDir, filepath).split(path.sep).join('/');
+    this._write(manifest);
+    return run;
+  }
+
+  /**
+   * Runs in the manifest, newest first
+   * @param {Object} filter - { url } to list one target's runs
+   * @returns {Array} Manifest entries
+   */
+  list(filter = {}) {
+    return this._read()
+      .runs.filter((run) => !filter.url || run.url === filter.url)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Look up a run by ID
+   * @param {string} id - Run ID
+   * @returns {Object} Manifest entry
+   */
+  get(id) {
+    return this._find(this._read(), id);
+  }
+
+  /**
+   * Newest run that has a JSON report
+   * @param {Object} filter - { url } to look at one target's runs
+   * @returns {Object|null} Manifest entry
+   */
+  latest(filter = {}) {
+    return this.list(filter).find((run) => run.artifacts.json) || null;
+  }
+
+  /**
+   * Absolute path of a run's artifact
+   * @param {string} id - Run ID
+   * @param {string} name - Artifact name
+   * @returns {string} Absolute path
+   */
+  artifactPath(id, name) {
+    const run = this.get(id);
+    if (!run.artifacts[name]) {
+      throw new Error(`Run ${id} has no ${name} artifact`);
+    }
+    return path.join(this.reportDir, run.artifacts[name]);
+  }
+
+  /**
+   * Parsed JSON report of a run, or of the latest run when no ID is given
+   * @param {string} id - Run ID (optional)
+   * @returns {Object} { run, report }
+   */
+  readReport(id) {
+    const run = id ? this.get(id) : this.latest();
+    if (!run) {
+      throw new Error(`No runs recorded in ${this.manifestFile}. Run audit first.`);
+    }
+    return { run, report: JSON.parse(fs.readFileSync(this.artifactPath(run.id, 'json'), 'utf-8')) };
+  }
+
+  /**
+   * Pin or unpin a run; pinned runs are never pruned
+   * @param {string} id - Run ID
+   * @param {boolean} pinned - Whether to pin
+   * @param {string} reason - Why the run is kept (optional)
+   * @returns {Object} Updated manifest entry
+   */
+  pin(id, pinned = true, reason) {
+    const manifest = this._read();
+    const run = this._find(manifest, id);
+    run.pinned = pinned;
+    if (pinned && reason) run.pinReason = reason;
+    if (!pinned) delete run.pinReason;
+    this._write(manifest);
+    logger.info(`Run ${id} ${pinned ? 'pinned' : 'unpinned'}`);
+    return run;
+  }
+
+  /**
+   * Delete unpinned runs outside the retention policy
+   * @param {Date} now - Time to measure run age from
+   * @returns {Array} Pruned manifest entries
+   */
+  prune(now = new Date()) {
+    const keepRuns = this.config.reportRetentionRuns || 0;
+    const keepDays = this.config.reportRetentionDays || 0;
+    if (!keepRuns && !keepDays) return [];
+
+    const manifest = this._read();
+    const unpinned = manifest.runs
+      .filter((run) => !run.pinned)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const pruned = unpinned.filter(
+      (run, index) =>
+        (keepRuns && index >= keepRuns) ||
+        (keepDays && now - new Date(run.createdAt) > keepDays * DAY_MS)
+    );
+    if (pruned.length === 0) return [];
+
+    pruned.forEach((run) => {
+      fs.rmSync(this.runDir(run.id), { recursive: true, force: true });
+      (run.screenshots || []).forEach((dir) =>
+        fs.rmSync(path.join(this.reportDir, dir), { recursive: true, force: true })
+      );
+    });
+    const ids = new Set(pruned.map((run) => run.id));
+    manifest.runs = manifest.runs.filter((run) => !ids.has(run.id));
+    this._write(manifest);
+    logger.info(`Pruned ${pruned.length} runs: ${pruned.map((run) => run.id).join(', ')}`);
+    return pruned;
+  }
+
+  /**
+   * Screenshot directories referenced by the results, so pruning removes them too
+   * @private
+   */
+  _screenshotDirs(auditResults) {
+    const files = [
+      auditResults.screenshot,
+      ...SEVERITIES.flatMap((severity) => (auditResults.issues?.[severity] || []).map((issue) => issue.screenshot)),
+      ...(auditResults.pages || []).map((page) => page.screenshot),
+      ...(auditResults.journeys || []).flatMap((journey) => journey.steps.map((step) => step.screenshot)),
+    ];
+    return Array.from(new Set(files.filter(Boolean).map((file) => path.posix.dirname(file)))).sort();
+  }
+
+  /**
+   * @private
+   */
+  _find(manifest, id) {
+    const run = manifest.runs.find((entry) => entry.id === id);
+    if (!run) {
+      throw new Error(`Run not found: ${id}`);
+    }
+    return run;
+  }
+
+  /**
+   * @private
+   */
+  _read() {
+    if (!fs.existsSync(this.manifestFile)) return { runs: [] };
+    try {
+      return JSON.parse(fs.readFileSync(this.manifestFile, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Run manifest ${this.manifestFile} could not be parsed: ${error.message}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _write(manifest) {
+    fs.mkdirSync(this.reportDir, { recursive: true });
+    fs.writeFileSync(this.manifestFile, `${JSON.stringify(manifest, null, 2)}\n`);
+  }
+}
+
+export default RunStore;
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SCOPE_KEYS = ['include', 'exclude', 'rootElement', 'waitFor', 'wait'];
+
+/**
+ * Scope used when no profile file is configured: the whole document
+ */
+export const DEFAULT_SCOPE = {
+  include: [],
+  exclude: [],
+  rootElement: null,
+  waitFor: [],
+  wait: 5000,
+};
+
+/**
+ * Scope Resolver - Picks the audit scope for a URL
+ * Layers a site-wide default with every profile whose URL pattern matches
+ */
+export class ScopeResolver {
+  constructor(config) {
+    this.config = config;
+    this.definition = config.scopeProfilesFile
+      ? this._loadProfiles(config.scopeProfilesFile)
+      : { default: {}, profiles: [] };
+  }
+
+  /**
+   * Resolve the scope that applies to a URL
+   * @param {string} url - The URL about to be audited
+   * @returns {Object} Scope with include, exclude, rootElement, waitFor, wait and profile names
+   */
+  resolve(url) {
+    const scope = { ...DEFAULT_SCOPE, ...this.definition.default, profiles: ['default'] };
+
+    this.definition.profiles
+      .filter((profile) => new RegExp(profile.urlPattern).test(url))
+      .forEach((profile) => {
+        SCOPE_KEYS.filter((key) => key in profile).forEach((key) => {
+          scope[key] = profile[key];
+        });
+        scope.profiles.push(profile.name);
+      });
+
+    return scope;
+  }
+
+  /**
+   * Selectors to audit as separate roots (null means the whole document)
+   * @param {Object} scope - Resolved scope
+   * @returns {Array} Root selectors
+   */
+  getRoots(scope) {
+    if (scope.include.length > 0) return scope.include;
+    return [scope.rootElement || null];
+  }
+
+  /**
+   * Load and validate the scope profile file
+   * @private
+   */
+  _loadProfiles(file) {
+    const filepath = path.resolve(__dirname, '..', file);
+    if (!fs.existsSync(filepath)) {
+      throw new Error(`Scope profiles file not found: ${filepath}`);
+    }
+
+    const definition = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+    const result = { default: definition.default || {}, profiles: definition.profiles || [] };
+
+    this._validateScope(result.default, 'default');
+    result.profiles.forEach((profile, index) => {
+      const label = `profile ${profile.name || index + 1}`;
+      if (!profile.name) throw new Error(`Scope ${label} is missing a name`);
+      if (!profile.urlPattern) throw new Error(`Scope ${label} is missing a urlPattern`);
+      try {
+        new RegExp(profile.urlPattern);
+      } catch {
+        throw new Error(`Scope ${label} has an invalid urlPattern: ${profile.urlPattern}`);
+      }
+      this._validateScope(profile, label);
+    });
+
+    return result;
+  }
+
+  /**
+   * Check the types of the scope settings in a profile
+   * @private
+   */
+  _validateScope(scope, label) {
+    ['include', 'exclude', 'waitFor'].forEach((key) => {
+      if (key in scope && !Array.isArray(scope[key])) {
+        throw new Error(`Scope ${label}: ${key} must be an array of selectors`);
+      }
+    });
+    if ('rootElement' in scope && scope.rootElement !== null && typeof scope.rootElement !== 'string') {
+      throw new Error(`Scope ${label}: rootElement must be a selector`);
+    }
+    if ('wait' in scope && !Number.isInteger(scope.wait)) {
+      throw new Error(`Scope ${label}: wait must be a number of milliseconds`);
+    }
+  }
+}
+
+export default ScopeResolver;
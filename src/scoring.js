@@ -0,0 +1,234 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LEVEL_ORDER } from './wcagCatalogue.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+/**
+ * Model used when no SCORING_MODEL_FILE is set. Component weights are
+ * relative; severity penalties are points off 100 per issue.
+ */
+export const DEFAULT_SCORING_MODEL = {
+  components: { criteria: 0.6, severity: 0.4 },
+  severityPenalties: { critical: 25, serious: 10, moderate: 3, minor: 1 },
+  pages: { defaultWeight: 1, weights: [] },
+};
+
+const COMPONENT_LABELS = {
+  criteria: 'WCAG criteria pass ratio',
+  severity: 'Severity-weighted issues',
+};
+
+/**
+ * Scoring Model - Explainable compliance score
+ * A page scores the weighted sum of its components: the share of tested
+ * success criteria (up to the target level) that passed, and 100 minus a
+ * per-issue penalty by severity. Multi-page results are the average of the
+ * page scores, weighted by page importance.
+ */
+export class ScoringModel {
+  constructor(config) {
+    this.config = config;
+    this.file = config.scoringModelFile || null;
+    this.model = this.file ? this._load(this.file) : DEFAULT_SCORING_MODEL;
+  }
+
+  /**
+   * Score one page's issues
+   * @param {Object} issues - Issues grouped by severity
+   * @param {Object} conformance - Result of evaluateConformance() for the same issues
+   * @returns {Object} { score, model, components } where each component shows its contribution
+   */
+  score(issues, conformance) {
+    const maxLevel = LEVEL_ORDER.indexOf(conformance.targetLevel);
+    const levels = LEVEL_ORDER.filter((level, index) => index <= maxLevel).map(
+      (level) => conformance.levels[level]
+    );
+    const passed = levels.reduce((sum, level) => sum + level.passed, 0);
+    const failed = levels.reduce((sum, level) => sum + level.failed.length, 0);
+
+    const counts = Object.fromEntries(
+      SEVERITIES.map((severity) => [severity, (issues[severity] || []).length])
+    );
+    const deducted = SEVERITIES.reduce(
+      (sum, severity) => sum + counts[severity] * this.model.severityPenalties[severity],
+      0
+    );
+
+    const values = {
+      // Nothing tested automatically (e.g. an htmlcs-only run): the criteria component is left out
+      criteria:
+        passed + failed > 0
+          ? {
+              value: (passed / (passed + failed)) * 100,
+              detail: `${passed} of ${passed + failed} tested criteria passed`,
+            }
+          : null,
+      severity: {
+        value: Math.max(0, 100 - deducted),
+        detail:
+          deducted > 0
+            ? SEVERITIES.filter((severity) => counts[severity] > 0)
+                .map(
+                  (severity) =>
+                    `${counts[severity]} ${severity} × ${this.model.severityPenalties[severity]}`
+                )
+                .join(' + ') + ` = −${deducted}`
+            : 'No issues',
+      },
+    };
+
+    return this._weigh(values);
+  }
+
+  /**
+   * Combine page scores into one, weighted by page importance
+   * @param {Array} pages - [{ url, scoring }] with scoring from score()
+   * @returns {Object} { score, model, components, pages } with each page's contribution
+   */
+  combine(pages) {
+    const weighted = pages.map(({ url, scoring }) => ({ url, scoring, weight: this.getPageWeight(url) }));
+    const totalWeight = weighted.reduce((sum, page) => sum + page.weight, 0);
+
+    // Page-weighted average of each component, so the breakdown still adds up
+    const values = {};
+    Object.keys(this.model.components).forEach((name) => {
+      const componentOf = (page) => page.scoring.components.find((component) => component.name === name);
+      const scored = weighted.filter(componentOf);
+      const weight = scored.reduce((sum, page) => sum + page.weight, 0);
+      values[name] =
+        weight > 0
+          ? {
+              value:
+                scored.reduce(
+                  (sum, page) =>
+                    sum + page.weight * componentOf(page).value,
+                  0
+                ) / weight,
+              detail: `Page-weighted average over ${scored.length} pages`,
+            }
+          : null;
+    });
+
+    return {
+      ...this._weigh(values),
+      pages: weighted.map((page) => ({
+        url: page.url,
+        weight: page.weight,
+        score: page.scoring.score,
+        contribution: round((page.weight / totalWeight) * page.scoring.score),
+      })),
+    };
+  }
+
+  /**
+   * Importance weight of a page: the first matching urlPattern, else the default
+   * @param {string} url - Page URL
+   * @returns {number} Weight
+   */
+  getPageWeight(url) {
+    const match = this.model.pages.weights.find((entry) => new RegExp(entry.urlPattern).test(url || ''));
+    return match ? match.weight : this.model.pages.defaultWeight;
+  }
+
+  /**
+   * Weighted sum of component values, renormalized over the components that apply
+   * @private
+   */
+  _weigh(values) {
+    let applicable = Object.entries(this.model.components).filter(
+      ([name, weight]) => values[name] && weight > 0
+    );
+    // A criteria-only model on a run that tested no criteria still needs a score
+    if (applicable.length === 0) applicable = [['severity', 1]];
+    const totalWeight = applicable.reduce((sum, [, weight]) => sum + weight, 0);
+
+    const components = applicable.map(([name, weight]) => ({
+      name,
+      label: COMPONENT_LABELS[name],
+      weight: round(weight / totalWeight, 3),
+      value: round(values[name].value),
+      contribution: round((weight / totalWeight) * values[name].value),
+      detail: values[name].detail,
+    }));
+
+    return {
+      score: Math.round(
+        applicable.reduce((sum, [name, weight]) => sum + (weight / totalWeight) * values[name].value, 0)
+      ),
+      model: this.file || 'default',
+      components,
+    };
+  }
+
+  /**
+   * Load and validate the scoring model file; omitted sections keep their defaults
+   * @private
+   */
+  _load(file) {
+    const filepath = path.resolve(__dirname, '..', file);
+    if (!fs.existsSync(filepath)) {
+      throw new Error(`Scoring model file not found: ${filepath}`);
+    }
+
+    const definition = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+    const model = {
+      components: definition.components || DEFAULT_SCORING_MODEL.components,
+      severityPenalties: { ...DEFAULT_SCORING_MODEL.severityPenalties, ...definition.severityPenalties },
+      pages: { ...DEFAULT_SCORING_MODEL.pages, ...definition.pages },
+    };
+
+    Object.entries(model.components).forEach(([name, weight]) => {
+      if (!COMPONENT_LABELS[name]) {
+        throw new Error(
+          `Scoring model component "${name}" is not one of ${Object.keys(COMPONENT_LABELS).join(', ')}`
+        );
+      }
+      if (typeof weight !== 'number' || weight < 0) {
+        throw new Error(`Scoring model weight for "${name}" must be a non-negative number`);
+      }
+    });
+    if (!Object.values(model.components).some((weight) => weight > 0)) {
+      throw new Error('Scoring model needs at least one component with a weight above 0');
+    }
+    Object.entries(model.severityPenalties).forEach(([severity, penalty]) => {
+      if (!SEVERITIES.includes(severity)) {
+        throw new Error(`Scoring model penalty "${severity}" is not one of ${SEVERITIES.join(', ')}`);
+      }
+      if (typeof penalty !== 'number' || penalty < 0) {
+        throw new Error(`Scoring model penalty for "${severity}" must be a non-negative number`);
+      }
+    });
+    if (!(model.pages.defaultWeight > 0)) {
+      throw new Error('Scoring model pages.defaultWeight must be above 0');
+    }
+    model.pages.weights.forEach((entry, index) => {
+      if (typeof entry.urlPattern !== 'string') {
+        throw new Error(`Scoring model pages.weights[${index}].urlPattern is required`);
+      }
+      if (!(entry.weight > 0)) {
+        throw new Error(`Scoring model pages.weights[${index}].weight must be above 0`);
+      }
+      try {
+        new RegExp(entry.urlPattern);
+      } catch {
+        throw new Error(`Scoring model pages.weights[${index}].urlPattern is not a valid regular expression`);
+      }
+    });
+
+    return model;
+  }
+}
+
+/**
+ * @private
+ */
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+export default ScoringModel;
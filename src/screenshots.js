@@ -0,0 +1,154 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import puppeteer from 'puppeteer';
+import logger from './logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+// Upper bound on element crops per page, so a page with hundreds of issues stays manageable
+const MAX_ELEMENT_SCREENSHOTS = 50;
+
+const OUTLINE_STYLE = '4px solid #e53935';
+
+/**
+ * Screenshot Capturer - Records what the auditor saw
+ * Takes a full-page screenshot per audited page and a cropped, outlined
+ * screenshot of the element behind each issue. Paths are stored relative
+ * to the report directory (with forward slashes) so the HTML report can embed them.
+ */
+export class ScreenshotCapturer {
+  constructor(config) {
+    this.config = config;
+    this.reportDir = path.join(__dirname, '..', config.reportOutputDir);
+  }
+
+  /**
+   * Capture screenshots for an audit result and attach their paths to it
+   * @param {string} url - The audited URL
+   * @param {Object} result - Processed audit result (issues grouped by severity)
+   * @param {Object} options - { browser, page, viewport, label, scope, directory, chromeLaunchConfig }
+   * @returns {Promise<Object>} The same result with screenshot paths attached
+   */
+  async capture(url, result, options = {}) {
+    const ownBrowser = !options.browser && !options.page;
+    const browser = ownBrowser
+      ? await puppeteer.launch({ ...options.chromeLaunchConfig })
+      : options.browser;
+
+    // A page the capturer opens itself is closed again, even when capturing fails
+    let ownPage = null;
+    try {
+      if (!options.page) {
+        ownPage = await browser.newPage();
+        await this._loadPage(ownPage, url, options);
+      }
+      const page = options.page || ownPage;
+      const dir = options.directory || this.createDirectory(url);
+      const suffix = options.label ? `-${options.label}` : '';
+
+      const fullPage = path.posix.join(dir, `page${suffix}.png`);
+      await page.screenshot({ path: path.join(this.reportDir, fullPage), fullPage: true });
+      result.screenshot = fullPage;
+
+      await this._captureElements(page, result, dir, suffix);
+
+      logger.info(`Screenshots saved for ${url}`, { directory: dir });
+    } catch (error) {
+      // Screenshots are supporting evidence; a failure must not fail the audit
+      logger.warn(`Could not capture screenshots for ${url}: ${error.message}`);
+    } finally {
+      if (ownPage) await ownPage.close().catch(() => {});
+      if (ownBrowser && browser) await browser.close();
+    }
+
+    return result;
+  }
+
+  /**
+   * Load the URL in a new page the way pa11y saw it
+   * @private
+   */
+  async _loadPage(page, url, options) {
+    if (options.viewport) await page.setViewport(options.viewport);
+    await page.goto(url, { waitUntil: 'networkidle2' });
+
+    for (const selector of options.scope?.waitFor || []) {
+      await page.waitForSelector(selector, { visible: true });
+    }
+  }
+
+  /**
+   * Crop each offending element with an outline drawn around it.
+   * Issues on the same element share one screenshot.
+   * @private
+   */
+  async _captureElements(page, result, dir, suffix) {
+    const crops = new Map();
+    const issues = SEVERITIES.flatMap((severity) => result.issues[severity]).filter(
+      (issue) => issue.selector
+    );
+
+    for (const issue of issues) {
+      if (!crops.has(issue.selector)) {
+        if (crops.size >= MAX_ELEMENT_SCREENSHOTS) break;
+        const file = path.posix.join(dir, `element-${crops.size + 1}${suffix}.png`);
+        crops.set(issue.selector, (await this._captureElement(page, issue.selector, file)) ? file : null);
+      }
+      if (crops.get(issue.selector)) issue.screenshot = crops.get(issue.selector);
+    }
+  }
+
+  /**
+   * Screenshot a single element, outlined. Returns false when the element
+   * cannot be shown (missing, hidden or zero-sized).
+   * @private
+   */
+  async _captureElement(page, selector, file) {
+    let element;
+    try {
+      element = await page.$(selector);
+      if (!element || !(await element.boundingBox())) return false;
+
+      const previous = await element.evaluate((el, outline) => {
+        const saved = { outline: el.style.outline, outlineOffset: el.style.outlineOffset };
+        el.style.outline = outline;
+        // Draw the outline inside the border box so the crop includes it
+        el.style.outlineOffset = `-${outline.split(' ')[0]}`;
+        el.scrollIntoView({ block: 'center' });
+        return saved;
+      }, OUTLINE_STYLE);
+
+      await element.screenshot({ path: path.join(this.reportDir, file) });
+      await element.evaluate((el, saved) => Object.assign(el.style, saved), previous);
+      return true;
+    } catch (error) {
+      logger.warn(`Could not screenshot element ${selector}: ${error.message}`);
+      return false;
+    } finally {
+      if (element) await element.dispose();
+    }
+  }
+
+  /**
+   * Create a screenshot directory for one page of one run
+   * @param {string} url - The audited URL
+   * @returns {string} Directory relative to the report directory
+   */
+  createDirectory(url) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const slug = url
+      .replace(/^https?:\/\//, '')
+      .replace(/[^a-z0-9]+/gi, '-')
+      .replace(/^-|-$/g, '')
+      .slice(0, 60);
+    const dir = path.posix.join('screenshots', `${timestamp}-${slug || 'page'}`);
+
+    fs.mkdirSync(path.join(this.reportDir, dir), { recursive: true });
+    return dir;
+  }
+}
+
+export default ScreenshotCapturer;
@@ -2,10 +2,10 @@ import express from 'express';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import fs from 'fs';
 import AccessibilityAuditor from './auditor.js';
 import ReportGenerator from './reportGenerator.js';
 import ComplianceChecker from './complianceChecker.js';
+import RunStore from './runStore.js';
 import config from './config.js';
 import logger from './logger.js';
 
@@ -17,6 +17,12 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
+// Shared auditor so API requests reuse the same browser pool
+const auditor = new AccessibilityAuditor(config);
+// Loaded at startup so an invalid policy file stops the server
+const checker = new ComplianceChecker(config);
+const reportRuns = new RunStore(config);
+
 // In-memory storage for latest results (in production, use database)
 let latestAudit = null;
 let auditHistory = [];
@@ -64,16 +70,15 @@ app.post('/api/audit/run', async (req, res) => {
     logger.info(`API request to audit: ${url}`);
 
     // Run audit
-    const auditor = new AccessibilityAuditor(config);
     const auditResults = await auditor.audit(url);
 
     // Check compliance
-    const checker = new ComplianceChecker(config);
     const complianceResult = checker.check(auditResults);
 
     // Generate reports
     const reportGen = new ReportGenerator(config);
     const jsonReport = await reportGen.generateReport(auditResults);
+    reportGen.runs.prune();
 
     // Create audit record
     const auditRecord = {
@@ -84,6 +89,7 @@ app.post('/api/audit/run', async (req, res) => {
       complianceScore: auditResults.compliance,
       summary: auditResults.summary,
       compliancePassed: complianceResult.passed,
+      runId: jsonReport.runId,
       reportPath: jsonReport.filepath,
     };
 
@@ -103,9 +109,46 @@ app.post('/api/audit/run', async (req, res) => {
   }
 });
 
+// Audit a list of URLs through the browser pool
+app.post('/api/audit/batch', async (req, res) => {
+  try {
+    const { urls } = req.body;
+
+    if (!Array.isArray(urls) || urls.length === 0) {
+      return res.status(400).json({ error: 'urls must be a non-empty array' });
+    }
+
+    logger.info(`API request to batch audit ${urls.length} URLs`);
+
+    const batch = await auditor.auditBatch(urls);
+
+    res.json({
+      success: true,
+      timing: batch.timing,
+      results: batch.entries.map((entry) => ({
+        url: entry.url,
+        status: entry.status,
+        durationMs: entry.durationMs,
+        ...(entry.result
+          ? {
+              auditStatus: entry.result.status,
+              complianceScore: entry.result.compliance,
+              summary: entry.result.summary,
+              compliancePassed: checker.check(entry.result).passed,
+            }
+          : { error: entry.error }),
+      })),
+    });
+  } catch (error) {
+    logger.error(`Batch audit API error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get compliance thresholds
 app.get('/api/config/thresholds', (req, res) => {
   res.json({
+    wcagVersion: config.wcagVersion,
     wcagLevel: config.wcagLevel,
     maxCriticalIssues: config.maxCriticalIssues,
     maxSeriousIssues: config.maxSeriousIssues,
@@ -113,45 +156,41 @@ app.get('/api/config/thresholds', (req, res) => {
   });
 });
 
-// Get available reports
+// Get stored runs, newest first (?url= to filter by target)
 app.get('/api/reports', (req, res) => {
   try {
-    const reportsDir = path.join(__dirname, '..', config.reportOutputDir);
-    if (!fs.existsSync(reportsDir)) {
-      return res.json([]);
-    }
-
-    const files = fs.readdirSync(reportsDir).filter((f) => f.endsWith('.json'));
-    const reports = files.map((file) => ({
-      name: file,
-      path: `/reports/${file}`,
-      created: fs.statSync(path.join(reportsDir, file)).mtime,
-    }));
-
-    res.json(reports.sort((a, b) => b.created - a.created));
+    const runs = reportRuns.list({ url: req.query.url });
+    res.json(
+      runs.map((run) => ({
+        ...run,
+        links: Object.fromEntries(
+          Object.keys(run.artifacts).map((name) => [name, `/reports/${run.id}/${name}`])
+        ),
+      }))
+    );
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Download report
-app.get('/reports/:filename', (req, res) => {
+// Get one run by ID
+app.get('/api/reports/:runId', (req, res) => {
   try {
-    const filepath = path.join(
-      __dirname,
-      '..',
-      config.reportOutputDir,
-      req.params.filename
-    );
-
-    if (!fs.existsSync(filepath)) {
-      return res.status(404).json({ error: 'Report not found' });
-    }
+    res.json(reportRuns.get(req.params.runId));
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
 
-    res.download(filepath);
+// Download a run's artifact (json, html, ...)
+app.get('/reports/:runId/:artifact', (req, res) => {
+  let filepath;
+  try {
+    filepath = reportRuns.artifactPath(req.params.runId, req.params.artifact);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    return res.status(404).json({ error: error.message });
   }
+  res.download(filepath);
 });
 
 // Serve index.html for SPA routing
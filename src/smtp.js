@@ -0,0 +1,43 @@
+import nodemailer from 'nodemailer';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Send a plain-text email over SMTP.
+ * Uses implicit TLS when `secure` is set (port 465), otherwise upgrades with
+ * STARTTLS when the server offers it. Credentials are only sent over TLS:
+ * with a user and without `secure`, a server that does not offer STARTTLS is
+ * refused unless `allowInsecureAuth` is set (e.g. for a local mail stand-in).
+ * @param {Object} options - { host, port, secure, user, password, allowInsecureAuth, from, to, subject, text, timeoutMs }
+ * @returns {Promise<Object>} { accepted, response } with the recipients and the server's final reply
+ */
+export async function sendMail(options) {
+  const { host, port = options.secure ? 465 : 25, from, to, subject, text } = options;
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure: Boolean(options.secure),
+    requireTLS: Boolean(options.user) && !options.secure && !options.allowInsecureAuth,
+    ...(options.user && { auth: { user: options.user, pass: options.password || '' } }),
+    connectionTimeout: timeoutMs,
+    greetingTimeout: timeoutMs,
+    socketTimeout: timeoutMs,
+  });
+
+  try {
+    const info = await transport.sendMail({ from, to, subject, text });
+    return { accepted: info.accepted, response: info.response };
+  } catch (error) {
+    if (error.code === 'ETLS' && options.user && !options.secure) {
+      const refused = new Error(
+        `SMTP server ${host} does not offer STARTTLS; refusing to send credentials in cleartext (set allowInsecureAuth to allow it)`
+      );
+      refused.code = error.code;
+      throw refused;
+    }
+    throw error;
+  } finally {
+    transport.close();
+  }
+}
@@ -0,0 +1,330 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+import { LEVEL_ORDER } from './wcagCatalogue.js';
+import RunStore from './runStore.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+/**
+ * Statement Generator - Accessibility statements from audit results
+ * Follows the structure of the EU model accessibility statement
+ * (Commission Implementing Decision (EU) 2018/1523): compliance status,
+ * non-accessible content, preparation of the statement, feedback and
+ * contact information, and enforcement procedure.
+ */
+export class StatementGenerator {
+  constructor(config) {
+    this.config = config;
+    this.runs = new RunStore(config);
+  }
+
+  /**
+   * Write the statement as Markdown and HTML to the results' run (see
+   * RunStore), or to the report directory for results without a run
+   * @param {Object} auditResults - Audit results with issues and conformance
+   * @returns {Promise<Object>} { markdown, html } file paths and the statement
+   */
+  async generate(auditResults) {
+    try {
+      const statement = this.build(auditResults);
+      const runId = auditResults.runId;
+      const outputDir = runId ? this.runs.runDir(runId) : path.join(__dirname, '..', this.config.reportOutputDir);
+      fs.mkdirSync(outputDir, { recursive: true });
+
+      const name = runId ? 'accessibility-statement' : `accessibility-statement-${statement.preparedOn}`;
+      const markdown = path.join(outputDir, `${name}.md`);
+      const html = path.join(outputDir, `${name}.html`);
+      fs.writeFileSync(markdown, this.toMarkdown(statement));
+      fs.writeFileSync(html, this.toHTML(statement));
+      if (runId) {
+        this.runs.addArtifact(runId, 'statementMarkdown', markdown);
+        this.runs.addArtifact(runId, 'statementHtml', html);
+      }
+      logger.info(`Accessibility statement generated: ${markdown}, ${html}`);
+
+      return { markdown, html, statement };
+    } catch (error) {
+      logger.error(`Failed to generate accessibility statement: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Statement content, independent of output format
+   * @param {Object} auditResults - Audit results with issues and conformance
+   * @returns {Object} Statement sections
+   */
+  build(auditResults) {
+    const organization = this.config.statement || {};
+    if (!organization.organization) {
+      throw new Error('STATEMENT_ORGANIZATION is required to generate an accessibility statement');
+    }
+    if (!auditResults.conformance) {
+      throw new Error('Audit results have no conformance evaluation to base a statement on');
+    }
+
+    const conformance = auditResults.conformance;
+    const standard = `WCAG ${conformance.version} Level ${conformance.targetLevel}`;
+    const nonCompliance = this._groupByCriterion(auditResults, conformance.targetLevel);
+    const tested = this._testedCriteria(conformance);
+
+    return {
+      organization: organization.organization,
+      // Single-page results carry the page title in `url`
+      website: organization.website || auditResults.pageUrl || auditResults.url,
+      legislation: organization.legislation,
+      standard,
+      status: this._complianceStatus(nonCompliance.length, tested),
+      nonCompliance,
+      preparedOn: new Date().toISOString().split('T')[0],
+      assessedOn: (auditResults.timestamp || new Date().toISOString()).split('T')[0],
+      method: {
+        assessment: organization.assessment,
+        pages: auditResults.pages ? auditResults.pages.length : 1,
+        automatedCriteria: tested,
+        manualCriteria: conformance.counts.manual,
+      },
+      contact: {
+        email: organization.contactEmail,
+        phone: organization.contactPhone,
+        responseDays: organization.responseDays,
+      },
+      enforcement: {
+        body: organization.enforcementBody,
+        url: organization.enforcementUrl,
+      },
+    };
+  }
+
+  /**
+   * Render the statement as Markdown
+   * @param {Object} statement - Result of build()
+   * @returns {string} Markdown document
+   */
+  toMarkdown(statement) {
+    const text = this._paragraphs(statement);
+    const lines = [
+      `# Accessibility statement for ${statement.website}`,
+      '',
+      ...text.intro,
+      '',
+      '## Compliance status',
+      '',
+      text.status,
+      '',
+      '## Non-accessible content',
+      '',
+    ];
+
+    if (statement.nonCompliance.length === 0) {
+      lines.push('No non-conformities were found in the most recent assessment.', '');
+    } else {
+      lines.push(
+        'The content listed below is non-accessible for the following reasons.',
+        '',
+        '### Non-compliance with the accessibility regulations',
+        ''
+      );
+      statement.nonCompliance.forEach((item) => {
+        lines.push(`#### ${item.id} ${item.title} (Level ${item.level})`, '', item.description, '');
+        item.problems.forEach((problem) => lines.push(`- ${problem}`));
+        lines.push('', item.plannedFix, '');
+      });
+    }
+
+    lines.push(
+      '## Preparation of this accessibility statement',
+      '',
+      ...text.preparation.flatMap((paragraph) => [paragraph, '']),
+      '## Feedback and contact information',
+      '',
+      text.feedback,
+      ''
+    );
+    if (statement.contact.email) lines.push(`- Email: ${statement.contact.email}`);
+    if (statement.contact.phone) lines.push(`- Phone: ${statement.contact.phone}`);
+    lines.push('', '## Enforcement procedure', '', text.enforcement, '');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render the statement as a standalone HTML page
+   * @param {Object} statement - Result of build()
+   * @returns {string} HTML document
+   */
+  toHTML(statement) {
+    const text = this._paragraphs(statement);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Accessibility statement for ${escapeHTML(statement.website)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #222; max-width: 50em; margin: 0 auto; padding: 2em 1em; }
+        h1, h2, h3, h4 { line-height: 1.25; }
+        a { color: #0b5394; }
+    </style>
+</head>
+<body>
+    <main>
+        <h1>Accessibility statement for ${escapeHTML(statement.website)}</h1>
+        ${text.intro.map((paragraph) => `<p>${escapeHTML(paragraph)}</p>`).join('\n        ')}
+
+        <h2>Compliance status</h2>
+        <p>${escapeHTML(text.status)}</p>
+
+        <h2>Non-accessible content</h2>
+        ${
+          statement.nonCompliance.length === 0
+            ? '<p>No non-conformities were found in the most recent assessment.</p>'
+            : `<p>The content listed below is non-accessible for the following reasons.</p>
+        <h3>Non-compliance with the accessibility regulations</h3>
+        ${statement.nonCompliance
+          .map(
+            (item) => `
+        <h4>${escapeHTML(`${item.id} ${item.title}`)} (Level ${item.level})</h4>
+        <p>${escapeHTML(item.description)}</p>
+        <ul>
+            ${item.problems.map((problem) => `<li>${escapeHTML(problem)}</li>`).join('\n            ')}
+        </ul>
+        <p>${escapeHTML(item.plannedFix)}</p>`
+          )
+          .join('')}`
+        }
+
+        <h2>Preparation of this accessibility statement</h2>
+        ${text.preparation.map((paragraph) => `<p>${escapeHTML(paragraph)}</p>`).join('\n        ')}
+
+        <h2>Feedback and contact information</h2>
+        <p>${escapeHTML(text.feedback)}</p>
+        <ul>
+            ${statement.contact.email ? `<li>Email: <a href="mailto:${escapeHTML(statement.contact.email)}">${escapeHTML(statement.contact.email)}</a></li>` : ''}
+            ${statement.contact.phone ? `<li>Phone: ${escapeHTML(statement.contact.phone)}</li>` : ''}
+        </ul>
+
+        <h2>Enforcement procedure</h2>
+        <p>${escapeHTML(text.enforcement)}${statement.enforcement.url ? ` <a href="${escapeHTML(statement.enforcement.url)}">${escapeHTML(statement.enforcement.url)}</a>` : ''}</p>
+    </main>
+</body>
+</html>`;
+  }
+
+  /**
+   * Statement wording shared by both formats
+   * @private
+   */
+  _paragraphs(statement) {
+    const legislation = statement.legislation ? `, in accordance with ${statement.legislation}` : '';
+    const assessment =
+      statement.method.assessment === 'third-party'
+        ? 'an assessment carried out by a third party'
+        : 'a self-assessment';
+    const responseDays = statement.contact.responseDays;
+
+    return {
+      intro: [
+        `${statement.organization} is committed to making its website accessible${legislation}.`,
+        `This accessibility statement applies to ${statement.website}.`,
+      ],
+      status: {
+        full: `This website is fully compliant with ${statement.standard}.`,
+        partial: `This website is partially compliant with ${statement.standard} due to the non-compliances listed below.`,
+        none: `This website is not compliant with ${statement.standard}. The non-compliances are listed below.`,
+      }[statement.status],
+      preparation: [
+        `This statement was prepared on ${statement.preparedOn}.`,
+        `It is based on ${assessment}, last carried out on ${statement.assessedOn}: automated testing of ${statement.method.pages} ${statement.method.pages === 1 ? 'page' : 'pages'} against ${statement.method.automatedCriteria} success criteria of ${statement.standard}. ${statement.method.manualCriteria} criteria cannot be tested automatically and are subject to manual review.`,
+      ],
+      feedback: `If you notice any compliance failures or need information or content that is not accessible, please contact us.${responseDays ? ` We aim to respond within ${responseDays} working days.` : ''}`,
+      enforcement: statement.enforcement.body
+        ? `If you are not satisfied with our response, you can contact ${statement.enforcement.body}.`
+        : 'If you are not satisfied with our response, you can contact the enforcement body for your country.',
+    };
+  }
+
+  /**
+   * Failed criteria up to the target level, with the problems found and the
+   * planned fix (from the issue ledger's due dates when it is enabled)
+   * @private
+   */
+  _groupByCriterion(auditResults, targetLevel) {
+    const maxLevel = LEVEL_ORDER.indexOf(targetLevel);
+    const groups = new Map();
+    SEVERITIES.forEach((severity) => {
+      (auditResults.issues?.[severity] || []).forEach((issue) => {
+        (issue.successCriteria || [])
+          .filter((criterion) => LEVEL_ORDER.indexOf(criterion.level) <= maxLevel)
+          .forEach((criterion) => {
+            if (!groups.has(criterion.id)) groups.set(criterion.id, { criterion, issues: [] });
+            groups.get(criterion.id).issues.push(issue);
+          });
+      });
+    });
+
+    const order = (id) => id.split('.').map((part) => part.padStart(3, '0')).join('.');
+    return Array.from(groups.values())
+      .sort((a, b) => order(a.criterion.id).localeCompare(order(b.criterion.id)))
+      .map(({ criterion, issues }) => {
+        const problems = Array.from(new Set(issues.map((issue) => issue.message)));
+        const pages = new Set(issues.map((issue) => issue.pageUrl).filter(Boolean));
+        const dueDates = issues.map((issue) => issue.sla?.dueDate).filter(Boolean).sort();
+        const latest = dueDates[dueDates.length - 1];
+
+        return {
+          id: criterion.id,
+          title: criterion.title,
+          level: criterion.level,
+          issues: issues.length,
+          pages: pages.size,
+          description: `This fails WCAG success criterion ${criterion.id} (${criterion.title}) in ${issues.length} ${issues.length === 1 ? 'place' : 'places'}${pages.size > 1 ? ` on ${pages.size} pages` : ''}.`,
+          problems,
+          plannedFix: latest
+            ? `We plan to fix this by ${latest.split('T')[0]}.`
+            : 'We plan to fix this as part of our remediation programme.',
+          ...(latest && { dueDate: latest.split('T')[0] }),
+        };
+      });
+  }
+
+  /**
+   * Criteria up to the target level that automated rules tested
+   * @private
+   */
+  _testedCriteria(conformance) {
+    const maxLevel = LEVEL_ORDER.indexOf(conformance.targetLevel);
+    return LEVEL_ORDER.filter((level, index) => index <= maxLevel).reduce(
+      (sum, level) => sum + conformance.levels[level].passed + conformance.levels[level].failed.length,
+      0
+    );
+  }
+
+  /**
+   * EU status wording: full when nothing failed, partial when most tested
+   * criteria pass, otherwise not compliant
+   * @private
+   */
+  _complianceStatus(failed, tested) {
+    if (failed === 0) return 'full';
+    return failed * 2 <= tested ? 'partial' : 'none';
+  }
+}
+
+/**
+ * @private
+ */
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export default StatementGenerator;
@@ -0,0 +1,58 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Built-in device profiles. Viewports are in CSS pixels; zoom is emulated
+ * by shrinking the CSS viewport and raising the device scale factor.
+ */
+export const VIEWPORT_PRESETS = {
+  // WCAG 1.4.10 Reflow: content must work at 320 CSS pixels wide
+  'reflow-320': { width: 320, height: 256, deviceScaleFactor: 1, isMobile: true, hasTouch: true },
+  'mobile': { width: 375, height: 812, deviceScaleFactor: 3, isMobile: true, hasTouch: true },
+  'tablet': { width: 768, height: 1024, deviceScaleFactor: 2, isMobile: true, hasTouch: true },
+  'desktop': { width: 1280, height: 1024, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+  // 1280px desktop at 200% zoom (WCAG 1.4.4 Resize Text)
+  'zoom-200': { width: 640, height: 512, deviceScaleFactor: 2, isMobile: false, hasTouch: false },
+};
+
+/**
+ * Resolve the configured viewport matrix into named profiles
+ * @param {Object} config - Application config
+ * @returns {Array} Profiles as { name, viewport }; empty when no matrix is configured
+ */
+export function resolveViewports(config) {
+  const custom = config.viewportsFile ? loadViewportsFile(config.viewportsFile) : {};
+  const available = { ...VIEWPORT_PRESETS, ...custom };
+  const names = config.viewports && config.viewports.length > 0 ? config.viewports : Object.keys(custom);
+
+  return names.map((name) => {
+    if (!available[name]) {
+      throw new Error(
+        `Unknown viewport profile "${name}" (available: ${Object.keys(available).join(', ')})`
+      );
+    }
+    return { name, viewport: available[name] };
+  });
+}
+
+/**
+ * Load custom viewport profiles from a JSON file
+ * @private
+ */
+function loadViewportsFile(file) {
+  const filepath = path.resolve(__dirname, '..', file);
+  if (!fs.existsSync(filepath)) {
+    throw new Error(`Viewports file not found: ${filepath}`);
+  }
+
+  const profiles = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+  Object.entries(profiles).forEach(([name, viewport]) => {
+    if (!Number.isInteger(viewport.width) || !Number.isInteger(viewport.height)) {
+      throw new Error(`Viewport profile "${name}" needs integer width and height`);
+    }
+  });
+  return profiles;
+}
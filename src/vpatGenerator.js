@@ -0,0 +1,316 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+import { LEVEL_ORDER, SUCCESS_CRITERIA, WCAG_VERSIONS } from './wcagCatalogue.js';
+import RunStore from './runStore.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+const RUNNER_NAMES = { axe: 'axe-core', htmlcs: 'HTML_CodeSniffer' };
+
+// Problems listed in a criterion's remarks before the rest are summarized
+const MAX_REMARKS = 5;
+
+/**
+ * VPAT Generator - Accessibility Conformance Reports (ACR) from audit results
+ * Fills the WCAG tables of the ITI VPAT 2.5 template (WCAG edition). Each
+ * criterion up to the target level gets a conformance level:
+ * - Supports: automated rules tested it and found nothing
+ * - Partially Supports: it failed, but not everywhere and without critical issues
+ * - Does Not Support: it failed with a critical issue, or on every audited page
+ * - Not Evaluated: no automated rule tests it, so it needs manual evaluation
+ */
+export class VpatGenerator {
+  constructor(config) {
+    this.config = config;
+    this.runs = new RunStore(config);
+  }
+
+  /**
+   * Write the ACR as HTML and as DOCX-compatible HTML (.doc, opens in Word)
+   * to the results' run, or to the report directory for results without a run
+   * @param {Object} auditResults - Audit results with issues and conformance
+   * @returns {Promise<Object>} { html, doc } file paths and the report
+   */
+  async generate(auditResults) {
+    try {
+      const acr = this.build(auditResults);
+      const runId = auditResults.runId;
+      const outputDir = runId ? this.runs.runDir(runId) : path.join(__dirname, '..', this.config.reportOutputDir);
+      fs.mkdirSync(outputDir, { recursive: true });
+
+      const name = runId ? 'accessibility-conformance-report' : `accessibility-conformance-report-${acr.reportDate}`;
+      const html = path.join(outputDir, `${name}.html`);
+      const doc = path.join(outputDir, `${name}.doc`);
+      fs.writeFileSync(html, this.toHTML(acr));
+      fs.writeFileSync(doc, this.toHTML(acr, { word: true }));
+      if (runId) {
+        this.runs.addArtifact(runId, 'vpatHtml', html);
+        this.runs.addArtifact(runId, 'vpatDoc', doc);
+      }
+      logger.info(`Accessibility Conformance Report generated: ${html}, ${doc}`);
+
+      return { html, doc, acr };
+    } catch (error) {
+      logger.error(`Failed to generate Accessibility Conformance Report: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Report content, independent of output format
+   * @param {Object} auditResults - Audit results with issues and conformance
+   * @returns {Object} Product information, evaluation and one table per level
+   */
+  build(auditResults) {
+    const product = this.config.vpat || {};
+    if (!product.productName) {
+      throw new Error('VPAT_PRODUCT_NAME is required to generate an Accessibility Conformance Report');
+    }
+    if (!auditResults.conformance) {
+      throw new Error('Audit results have no conformance evaluation to base a report on');
+    }
+
+    const conformance = auditResults.conformance;
+    const pages = this._auditedPageCount(auditResults);
+    const issuesByCriterion = this._issuesByCriterion(auditResults);
+    const targetIndex = LEVEL_ORDER.indexOf(conformance.targetLevel);
+
+    const tables = LEVEL_ORDER.filter((level, index) => index <= targetIndex).map((level) => ({
+      level,
+      rows: conformance.criteria
+        .filter((criterion) => criterion.level === level)
+        .map((criterion) => this._row(criterion, issuesByCriterion.get(criterion.id) || [], pages, conformance.version)),
+    }));
+
+    return {
+      product: {
+        name: product.productName,
+        version: product.productVersion,
+        description: product.productDescription,
+        vendor: product.vendor,
+        contact: product.contact,
+        notes: product.notes,
+      },
+      reportDate: new Date().toISOString().split('T')[0],
+      evaluatedOn: (auditResults.timestamp || new Date().toISOString()).split('T')[0],
+      url: auditResults.url,
+      standard: `WCAG ${conformance.version}`,
+      targetLevel: conformance.targetLevel,
+      evaluationMethods: this._evaluationMethods(auditResults, pages, product.evaluationMethods),
+      tables,
+      summary: Object.fromEntries(
+        ['Supports', 'Partially Supports', 'Does Not Support', 'Not Evaluated'].map((level) => [
+          level,
+          tables.flatMap((table) => table.rows).filter((row) => row.conformance === level).length,
+        ])
+      ),
+    };
+  }
+
+  /**
+   * Render the report as a standalone HTML page; with `word` it carries the
+   * Office namespaces and page setup so Word opens it as a document
+   * @param {Object} acr - Result of build()
+   * @param {Object} options - { word }
+   * @returns {string} HTML document
+   */
+  toHTML(acr, { word = false } = {}) {
+    const { product } = acr;
+    const title = `${product.name}${product.version ? ` ${product.version}` : ''} Accessibility Conformance Report`;
+    const levels = new Set(acr.tables.map((table) => table.level));
+    const info = [
+      ['Name of Product/Version', `${product.name}${product.version ? ` ${product.version}` : ''}`],
+      ['Report Date', acr.reportDate],
+      ['Product Description', product.description],
+      ['Contact Information', [product.vendor, product.contact].filter(Boolean).join(', ')],
+      ['Notes', product.notes],
+      ['Evaluation Methods Used', acr.evaluationMethods],
+    ].filter(([, value]) => value);
+
+    return `<!DOCTYPE html>
+<html lang="en"${word ? ' xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:w="urn:schemas-microsoft-com:office:word"' : ''}>
+<head>
+    <meta charset="UTF-8">
+    ${word ? '<meta name="ProgId" content="Word.Document">\n    <!--[if gte mso 9]><xml><w:WordDocument><w:View>Print</w:View></w:WordDocument></xml><![endif]-->' : '<meta name="viewport" content="width=device-width, initial-scale=1.0">'}
+    <title>${escapeHTML(title)}</title>
+    <style>
+        ${word ? '@page { size: 21cm 29.7cm; margin: 2cm; }' : ''}
+        body { font-family: Calibri, Arial, sans-serif; line-height: 1.4; color: #222; ${word ? '' : 'max-width: 60em; margin: 0 auto; padding: 2em 1em;'} }
+        table { border-collapse: collapse; width: 100%; margin: 1em 0; }
+        th, td { border: 1px solid #666; padding: 6px 8px; text-align: left; vertical-align: top; }
+        th { background: #e8e8e8; }
+        caption { text-align: left; font-weight: bold; margin-bottom: 0.5em; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHTML(title)}</h1>
+    <p>Based on VPAT® Version 2.5 (WCAG edition)</p>
+
+    <table>
+        <tbody>
+            ${info.map(([label, value]) => `<tr><th scope="row">${escapeHTML(label)}</th><td>${escapeHTML(value)}</td></tr>`).join('\n            ')}
+        </tbody>
+    </table>
+
+    <h2>Applicable Standards/Guidelines</h2>
+    <table>
+        <thead><tr><th scope="col">Standard/Guideline</th><th scope="col">Included In Report</th></tr></thead>
+        <tbody>
+            ${LEVEL_ORDER.map((level) => `<tr><td>${escapeHTML(acr.standard)} Level ${level}</td><td>${levels.has(level) ? 'Yes' : 'No'}</td></tr>`).join('\n            ')}
+        </tbody>
+    </table>
+
+    <h2>Terms</h2>
+    <ul>
+        <li><strong>Supports</strong>: The functionality of the product has at least one method that meets the criterion without known defects or meets with equivalent facilitation.</li>
+        <li><strong>Partially Supports</strong>: Some functionality of the product does not meet the criterion.</li>
+        <li><strong>Does Not Support</strong>: The majority of product functionality does not meet the criterion.</li>
+        <li><strong>Not Evaluated</strong>: The product has not been evaluated against the criterion.</li>
+    </ul>
+
+    <h2>${escapeHTML(acr.standard)} Report</h2>
+    ${acr.tables
+      .map(
+        (table, index) => `<table>
+        <caption>Table ${index + 1}: Success Criteria, Level ${table.level}</caption>
+        <thead><tr><th scope="col">Criteria</th><th scope="col">Conformance Level</th><th scope="col">Remarks and Explanations</th></tr></thead>
+        <tbody>
+            ${table.rows
+              .map(
+                (row) =>
+                  `<tr><td>${escapeHTML(row.label)}</td><td>${row.conformance}</td><td>${row.remarks.map(escapeHTML).join('<br>')}</td></tr>`
+              )
+              .join('\n            ')}
+        </tbody>
+    </table>`
+      )
+      .join('\n    ')}
+    ${levels.has('AAA') ? '' : `<p>Level AAA success criteria were not evaluated.</p>`}
+</body>
+</html>`;
+  }
+
+  /**
+   * One table row: criterion label, conformance level and remarks
+   * @private
+   */
+  _row(criterion, issues, pages, version) {
+    const label = `${criterion.id} ${criterion.title} (Level ${criterion.level}${this._versionNote(criterion.id, version)})`;
+
+    if (criterion.status === 'manual') {
+      return {
+        id: criterion.id,
+        label,
+        conformance: 'Not Evaluated',
+        remarks: ['Not covered by automated testing; requires manual evaluation.'],
+      };
+    }
+    if (issues.length === 0) {
+      return {
+        id: criterion.id,
+        label,
+        conformance: 'Supports',
+        remarks: [`No issues found by automated testing on ${pages} ${pages === 1 ? 'page' : 'pages'}.`],
+      };
+    }
+
+    const failingPages = new Set(issues.map((issue) => issue.pageUrl)).size;
+    const critical = issues.some((issue) => issue.severity === 'critical');
+    const problems = new Map();
+    issues.forEach((issue) => problems.set(issue.message, (problems.get(issue.message) || 0) + 1));
+    const remarks = Array.from(problems.entries())
+      .slice(0, MAX_REMARKS)
+      .map(([message, count]) => (count > 1 ? `${message} (${count} instances)` : message));
+    if (problems.size > MAX_REMARKS) {
+      remarks.push(`${problems.size - MAX_REMARKS} more problems are listed in the audit report.`);
+    }
+
+    return {
+      id: criterion.id,
+      label,
+      conformance: critical || (pages > 1 && failingPages === pages) ? 'Does Not Support' : 'Partially Supports',
+      remarks: [
+        `${issues.length} issues on ${failingPages} of ${pages} audited ${pages === 1 ? 'page' : 'pages'}:`,
+        ...remarks,
+      ],
+    };
+  }
+
+  /**
+   * VPAT labels criteria added after WCAG 2.0 with the versions they belong
+   * to, e.g. "2.1 only" or "2.1 and 2.2"
+   * @private
+   */
+  _versionNote(id, version) {
+    const introduced = SUCCESS_CRITERIA[id]?.introduced || '2.0';
+    if (introduced === '2.0') return '';
+    const versions = WCAG_VERSIONS.filter(
+      (candidate) => parseFloat(candidate) >= parseFloat(introduced) && parseFloat(candidate) <= parseFloat(version)
+    );
+    return versions.length === 1 ? ` ${versions[0]} only` : ` ${versions.join(' and ')}`;
+  }
+
+  /**
+   * Issues per criterion id, tagged with severity and page
+   * @private
+   */
+  _issuesByCriterion(auditResults) {
+    const byCriterion = new Map();
+    SEVERITIES.forEach((severity) => {
+      (auditResults.issues?.[severity] || []).forEach((issue) => {
+        (issue.successCriteria || []).forEach((criterion) => {
+          if (!byCriterion.has(criterion.id)) byCriterion.set(criterion.id, []);
+          byCriterion.get(criterion.id).push({
+            ...issue,
+            severity,
+            pageUrl: issue.pageUrl || auditResults.pageUrl || auditResults.url,
+          });
+        });
+      });
+    });
+    return byCriterion;
+  }
+
+  /**
+   * Number of pages (or journey checkpoints) the results cover
+   * @private
+   */
+  _auditedPageCount(auditResults) {
+    if (auditResults.pages) return auditResults.pages.length;
+    if (auditResults.journeys) {
+      return new Set(
+        auditResults.journeys.flatMap((journey) =>
+          journey.steps.filter((step) => step.url && step.summary).map((step) => step.url)
+        )
+      ).size;
+    }
+    return 1;
+  }
+
+  /**
+   * Description of how the product was evaluated, plus any configured methods
+   * @private
+   */
+  _evaluationMethods(auditResults, pages, configured) {
+    const runners = (this.config.auditRunners || ['axe']).map((runner) => RUNNER_NAMES[runner] || runner);
+    const automated = `Automated testing with ${runners.join(' and ')} of ${pages} ${pages === 1 ? 'page' : 'pages'} of ${auditResults.pageUrl || auditResults.url} on ${(auditResults.timestamp || new Date().toISOString()).split('T')[0]}. Criteria that automated rules do not test are marked Not Evaluated.`;
+    return configured ? `${automated} ${configured}` : automated;
+  }
+}
+
+/**
+ * @private
+ */
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export default VpatGenerator;
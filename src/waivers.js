@@ -0,0 +1,154 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+
+const REQUIRED_FIELDS = ['id', 'code', 'justification', 'approver', 'expires'];
+
+/**
+ * Waiver Register - Formally accepted issues
+ * A waiver matches issues by rule code plus a selector and/or URL pattern.
+ * Waived issues stay in the results (tagged with their waiver) but do not
+ * count towards gating until the waiver expires.
+ */
+export class WaiverRegister {
+  constructor(config) {
+    this.config = config;
+    this.waivers = config.waiversFile ? this._loadWaivers(config.waiversFile) : [];
+  }
+
+  /**
+   * Whether a waiver register is configured
+   * @returns {boolean}
+   */
+  get enabled() {
+    return Boolean(this.config.waiversFile);
+  }
+
+  /**
+   * Apply the register to audit results. Matching issues are tagged with
+   * `waiver` in place so reports can list them.
+   * @param {Object} auditResults - Audit results from AccessibilityAuditor
+   * @param {Date} now - Reference time for expiry checks
+   * @returns {Object} { results: audit results without waived issues, register: applied/expired/unused waivers }
+   */
+  apply(auditResults, now = new Date()) {
+    const active = this.waivers.filter((waiver) => !this._isExpired(waiver, now));
+    const expired = this.waivers.filter((waiver) => this._isExpired(waiver, now));
+    const usage = new Map(this.waivers.map((waiver) => [waiver.id, 0]));
+    const issues = {};
+    const waived = {};
+
+    SEVERITIES.forEach((severity) => {
+      waived[severity] = 0;
+      issues[severity] = (auditResults.issues?.[severity] || []).filter((issue) => {
+        const pageUrl = issue.pageUrl || auditResults.pageUrl;
+        const waiver = active.find((candidate) => this._matches(candidate, issue, pageUrl));
+        delete issue.waiver;
+        if (!waiver) return true;
+
+        usage.set(waiver.id, usage.get(waiver.id) + 1);
+        waived[severity]++;
+        issue.waiver = {
+          id: waiver.id,
+          justification: waiver.justification,
+          approver: waiver.approver,
+          expires: waiver.expires,
+          ...(waiver.reference && { reference: waiver.reference }),
+        };
+        return false;
+      });
+    });
+
+    const waivedCount = SEVERITIES.reduce((sum, severity) => sum + waived[severity], 0);
+    const register = {
+      file: this.config.waiversFile,
+      waivedIssues: waivedCount,
+      applied: active
+        .filter((waiver) => usage.get(waiver.id) > 0)
+        .map((waiver) => ({ ...waiver, issues: usage.get(waiver.id) })),
+      unused: active.filter((waiver) => usage.get(waiver.id) === 0),
+      expired,
+    };
+
+    return {
+      results: {
+        ...auditResults,
+        issues,
+        summary: {
+          ...auditResults.summary,
+          ...Object.fromEntries(
+            SEVERITIES.map((severity) => [severity, auditResults.summary[severity] - waived[severity]])
+          ),
+          total: auditResults.summary.total - waivedCount,
+        },
+      },
+      register,
+    };
+  }
+
+  /**
+   * Whether a waiver covers an issue
+   * @private
+   */
+  _matches(waiver, issue, pageUrl) {
+    if (issue.code !== waiver.code && !(issue.relatedCodes || []).includes(waiver.code)) return false;
+    if (waiver.selector && issue.selector !== waiver.selector) return false;
+    if (waiver.urlPattern && !new RegExp(waiver.urlPattern).test(pageUrl || '')) return false;
+    return true;
+  }
+
+  /**
+   * A waiver is valid up to and including its expiry date
+   * @private
+   */
+  _isExpired(waiver, now) {
+    return new Date(`${waiver.expires}T23:59:59.999Z`) < now;
+  }
+
+  /**
+   * Load and validate the waiver register
+   * @private
+   */
+  _loadWaivers(file) {
+    const filepath = path.resolve(__dirname, '..', file);
+    if (!fs.existsSync(filepath)) {
+      throw new Error(`Waivers file not found: ${filepath}`);
+    }
+
+    const definition = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+    const waivers = Array.isArray(definition) ? definition : definition.waivers;
+    if (!Array.isArray(waivers)) {
+      throw new Error(`Waivers file must contain a list of waivers: ${filepath}`);
+    }
+
+    const ids = new Set();
+    waivers.forEach((waiver, index) => {
+      const label = `Waiver ${waiver.id || index + 1}`;
+      const missing = REQUIRED_FIELDS.find((field) => !waiver[field]);
+      if (missing) throw new Error(`${label} is missing ${missing}`);
+      if (ids.has(waiver.id)) throw new Error(`${label} is defined more than once`);
+      ids.add(waiver.id);
+      if (!waiver.selector && !waiver.urlPattern) {
+        throw new Error(`${label} needs a selector or urlPattern so it cannot waive a rule everywhere`);
+      }
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(waiver.expires) || isNaN(new Date(waiver.expires))) {
+        throw new Error(`${label} has an invalid expires date (expected YYYY-MM-DD): ${waiver.expires}`);
+      }
+      if (waiver.urlPattern) {
+        try {
+          new RegExp(waiver.urlPattern);
+        } catch {
+          throw new Error(`${label} has an invalid urlPattern: ${waiver.urlPattern}`);
+        }
+      }
+    });
+
+    return waivers;
+  }
+}
+
+export default WaiverRegister;
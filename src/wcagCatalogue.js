@@ -0,0 +1,465 @@
+/**
+ * WCAG Catalogue - Success criteria and the rules that test them
+ * Maps every axe-core and HTML_CodeSniffer rule to its WCAG success criteria
+ */
+
+export const PRINCIPLES = {
+  1: 'Perceivable',
+  2: 'Operable',
+  3: 'Understandable',
+  4: 'Robust',
+};
+
+export const GUIDELINES = {
+  '1.1': 'Text Alternatives',
+  '1.2': 'Time-based Media',
+  '1.3': 'Adaptable',
+  '1.4': 'Distinguishable',
+  '2.1': 'Keyboard Accessible',
+  '2.2': 'Enough Time',
+  '2.3': 'Seizures and Physical Reactions',
+  '2.4': 'Navigable',
+  '2.5': 'Input Modalities',
+  '3.1': 'Readable',
+  '3.2': 'Predictable',
+  '3.3': 'Input Assistance',
+  '4.1': 'Compatible',
+};
+
+export const WCAG_VERSIONS = ['2.0', '2.1', '2.2'];
+
+// [id, title, level, version introduced, version removed (if any)]
+const CRITERIA_TABLE = [
+  ['1.1.1', 'Non-text Content', 'A', '2.0'],
+  ['1.2.1', 'Audio-only and Video-only (Prerecorded)', 'A', '2.0'],
+  ['1.2.2', 'Captions (Prerecorded)', 'A', '2.0'],
+  ['1.2.3', 'Audio Description or Media Alternative (Prerecorded)', 'A', '2.0'],
+  ['1.2.4', 'Captions (Live)', 'AA', '2.0'],
+  ['1.2.5', 'Audio Description (Prerecorded)', 'AA', '2.0'],
+  ['1.2.6', 'Sign Language (Prerecorded)', 'AAA', '2.0'],
+  ['1.2.7', 'Extended Audio Description (Prerecorded)', 'AAA', '2.0'],
+  ['1.2.8', 'Media Alternative (Prerecorded)', 'AAA', '2.0'],
+  ['1.2.9', 'Audio-only (Live)', 'AAA', '2.0'],
+  ['1.3.1', 'Info and Relationships', 'A', '2.0'],
+  ['1.3.2', 'Meaningful Sequence', 'A', '2.0'],
+  ['1.3.3', 'Sensory Characteristics', 'A', '2.0'],
+  ['1.3.4', 'Orientation', 'AA', '2.1'],
+  ['1.3.5', 'Identify Input Purpose', 'AA', '2.1'],
+  ['1.3.6', 'Identify Purpose', 'AAA', '2.1'],
+  ['1.4.1', 'Use of Color', 'A', '2.0'],
+  ['1.4.2', 'Audio Control', 'A', '2.0'],
+  ['1.4.3', 'Contrast (Minimum)', 'AA', '2.0'],
+  ['1.4.4', 'Resize Text', 'AA', '2.0'],
+  ['1.4.5', 'Images of Text', 'AA', '2.0'],
+  ['1.4.6', 'Contrast (Enhanced)', 'AAA', '2.0'],
+  ['1.4.7', 'Low or No Background Audio', 'AAA', '2.0'],
+  ['1.4.8', 'Visual Presentation', 'AAA', '2.0'],
+  ['1.4.9', 'Images of Text (No Exception)', 'AAA', '2.0'],
+  ['1.4.10', 'Reflow', 'AA', '2.1'],
+  ['1.4.11', 'Non-text Contrast', 'AA', '2.1'],
+  ['1.4.12', 'Text Spacing', 'AA', '2.1'],
+  ['1.4.13', 'Content on Hover or Focus', 'AA', '2.1'],
+  ['2.1.1', 'Keyboard', 'A', '2.0'],
+  ['2.1.2', 'No Keyboard Trap', 'A', '2.0'],
+  ['2.1.3', 'Keyboard (No Exception)', 'AAA', '2.0'],
+  ['2.1.4', 'Character Key Shortcuts', 'A', '2.1'],
+  ['2.2.1', 'Timing Adjustable', 'A', '2.0'],
+  ['2.2.2', 'Pause, Stop, Hide', 'A', '2.0'],
+  ['2.2.3', 'No Timing', 'AAA', '2.0'],
+  ['2.2.4', 'Interruptions', 'AAA', '2.0'],
+  ['2.2.5', 'Re-authenticating', 'AAA', '2.0'],
+  ['2.2.6', 'Timeouts', 'AAA', '2.1'],
+  ['2.3.1', 'Three Flashes or Below Threshold', 'A', '2.0'],
+  ['2.3.2', 'Three Flashes', 'AAA', '2.0'],
+  ['2.3.3', 'Animation from Interactions', 'AAA', '2.1'],
+  ['2.4.1', 'Bypass Blocks', 'A', '2.0'],
+  ['2.4.2', 'Page Titled', 'A', '2.0'],
+  ['2.4.3', 'Focus Order', 'A', '2.0'],
+  ['2.4.4', 'Link Purpose (In Context)', 'A', '2.0'],
+  ['2.4.5', 'Multiple Ways', 'AA', '2.0'],
+  ['2.4.6', 'Headings and Labels', 'AA', '2.0'],
+  ['2.4.7', 'Focus Visible', 'AA', '2.0'],
+  ['2.4.8', 'Location', 'AAA', '2.0'],
+  ['2.4.9', 'Link Purpose (Link Only)', 'AAA', '2.0'],
+  ['2.4.10', 'Section Headings', 'AAA', '2.0'],
+  ['2.4.11', 'Focus Not Obscured (Minimum)', 'AA', '2.2'],
+  ['2.4.12', 'Focus Not Obscured (Enhanced)', 'AAA', '2.2'],
+  ['2.4.13', 'Focus Appearance', 'AAA', '2.2'],
+  ['2.5.1', 'Pointer Gestures', 'A', '2.1'],
+  ['2.5.2', 'Pointer Cancellation', 'A', '2.1'],
+  ['2.5.3', 'Label in Name', 'A', '2.1'],
+  ['2.5.4', 'Motion Actuation', 'A', '2.1'],
+  ['2.5.5', 'Target Size', 'AAA', '2.1'],
+  ['2.5.6', 'Concurrent Input Mechanisms', 'AAA', '2.1'],
+  ['2.5.7', 'Dragging Movements', 'AA', '2.2'],
+  ['2.5.8', 'Target Size (Minimum)', 'AA', '2.2'],
+  ['3.1.1', 'Language of Page', 'A', '2.0'],
+  ['3.1.2', 'Language of Parts', 'AA', '2.0'],
+  ['3.1.3', 'Unusual Words', 'AAA', '2.0'],
+  ['3.1.4', 'Abbreviations', 'AAA', '2.0'],
+  ['3.1.5', 'Reading Level', 'AAA', '2.0'],
+  ['3.1.6', 'Pronunciation', 'AAA', '2.0'],
+  ['3.2.1', 'On Focus', 'A', '2.0'],
+  ['3.2.2', 'On Input', 'A', '2.0'],
+  ['3.2.3', 'Consistent Navigation', 'AA', '2.0'],
+  ['3.2.4', 'Consistent Identification', 'AA', '2.0'],
+  ['3.2.5', 'Change on Request', 'AAA', '2.0'],
+  ['3.2.6', 'Consistent Help', 'A', '2.2'],
+  ['3.3.1', 'Error Identification', 'A', '2.0'],
+  ['3.3.2', 'Labels or Instructions', 'A', '2.0'],
+  ['3.3.3', 'Error Suggestion', 'AA', '2.0'],
+  ['3.3.4', 'Error Prevention (Legal, Financial, Data)', 'AA', '2.0'],
+  ['3.3.5', 'Help', 'AAA', '2.0'],
+  ['3.3.6', 'Error Prevention (All)', 'AAA', '2.0'],
+  ['3.3.7', 'Redundant Entry', 'A', '2.2'],
+  ['3.3.8', 'Accessible Authentication (Minimum)', 'AA', '2.2'],
+  ['3.3.9', 'Accessible Authentication (Enhanced)', 'AAA', '2.2'],
+  // 4.1.1 is obsolete in WCAG 2.2 and always satisfied for HTML
+  ['4.1.1', 'Parsing', 'A', '2.0', '2.2'],
+  ['4.1.2', 'Name, Role, Value', 'A', '2.0'],
+  ['4.1.3', 'Status Messages', 'AA', '2.1'],
+];
+
+/**
+ * Success criteria keyed by number, e.g. SUCCESS_CRITERIA['1.4.3']
+ */
+export const SUCCESS_CRITERIA = Object.fromEntries(
+  CRITERIA_TABLE.map(([id, title, level, introduced, removed = null]) => {
+    const [principle, guideline] = id.split('.');
+    const guidelineId = `${principle}.${guideline}`;
+    return [
+      id,
+      {
+        id,
+        title,
+        level,
+        introduced,
+        removed,
+        principle: PRINCIPLES[principle],
+        guideline: `${guidelineId} ${GUIDELINES[guidelineId]}`,
+      },
+    ];
+  })
+);
+
+/**
+ * axe-core rules and the success criteria they test (from the rules' wcag tags).
+ * Rules mapped to [] are best practices with no success criterion behind them.
+ */
+export const AXE_RULES = {
+  'accesskeys': [],
+  'area-alt': ['2.4.4', '4.1.2'],
+  'aria-allowed-attr': ['4.1.2'],
+  'aria-allowed-role': [],
+  'aria-braille-equivalent': ['4.1.2'],
+  'aria-command-name': ['4.1.2'],
+  'aria-conditional-attr': ['4.1.2'],
+  'aria-deprecated-role': ['4.1.2'],
+  'aria-dialog-name': [],
+  'aria-hidden-body': ['1.3.1', '4.1.2'],
+  'aria-hidden-focus': ['4.1.2'],
+  'aria-input-field-name': ['4.1.2'],
+  'aria-meter-name': ['1.1.1'],
+  'aria-progressbar-name': ['1.1.1'],
+  'aria-prohibited-attr': ['4.1.2'],
+  'aria-required-attr': ['4.1.2'],
+  'aria-required-children': ['1.3.1'],
+  'aria-required-parent': ['1.3.1'],
+  'aria-roledescription': ['4.1.2'],
+  'aria-roles': ['4.1.2'],
+  'aria-text': [],
+  'aria-toggle-field-name': ['4.1.2'],
+  'aria-tooltip-name': ['4.1.2'],
+  'aria-treeitem-name': [],
+  'aria-valid-attr-value': ['4.1.2'],
+  'aria-valid-attr': ['4.1.2'],
+  'audio-caption': ['1.2.1'],
+  'autocomplete-valid': ['1.3.5'],
+  'avoid-inline-spacing': ['1.4.12'],
+  'blink': ['2.2.2'],
+  'button-name': ['4.1.2'],
+  'bypass': ['2.4.1'],
+  'color-contrast-enhanced': ['1.4.6'],
+  'color-contrast': ['1.4.3'],
+  'css-orientation-lock': ['1.3.4'],
+  'definition-list': ['1.3.1'],
+  'dlitem': ['1.3.1'],
+  'document-title': ['2.4.2'],
+  'duplicate-id-active': ['4.1.1'],
+  'duplicate-id-aria': ['4.1.2'],
+  'duplicate-id': ['4.1.1'],
+  'empty-heading': [],
+  'empty-table-header': [],
+  'focus-order-semantics': [],
+  'form-field-multiple-labels': ['3.3.2'],
+  'frame-focusable-content': ['2.1.1'],
+  'frame-tested': [],
+  'frame-title-unique': ['4.1.2'],
+  'frame-title': ['4.1.2'],
+  // axe tags this as a best practice; we report skipped levels against 1.3.1
+  'heading-order': ['1.3.1'],
+  'hidden-content': [],
+  'html-has-lang': ['3.1.1'],
+  'html-lang-valid': ['3.1.1'],
+  'html-xml-lang-mismatch': ['3.1.1'],
+  'identical-links-same-purpose': ['2.4.9'],
+  'image-alt': ['1.1.1'],
+  'image-redundant-alt': [],
+  'input-button-name': ['4.1.2'],
+  'input-image-alt': ['1.1.1', '4.1.2'],
+  'label-content-name-mismatch': ['2.5.3'],
+  'label-title-only': [],
+  'label': ['4.1.2'],
+  'landmark-banner-is-top-level': [],
+  'landmark-complementary-is-top-level': [],
+  'landmark-contentinfo-is-top-level': [],
+  'landmark-main-is-top-level': [],
+  'landmark-no-duplicate-banner': [],
+  'landmark-no-duplicate-contentinfo': [],
+  'landmark-no-duplicate-main': [],
+  'landmark-one-main': [],
+  'landmark-unique': [],
+  'link-in-text-block': ['1.4.1'],
+  'link-name': ['2.4.4', '4.1.2'],
+  'list': ['1.3.1'],
+  'listitem': ['1.3.1'],
+  'marquee': ['2.2.2'],
+  'meta-refresh-no-exceptions': ['2.2.4', '3.2.5'],
+  'meta-refresh': ['2.2.1'],
+  'meta-viewport-large': [],
+  'meta-viewport': ['1.4.4'],
+  'nested-interactive': ['4.1.2'],
+  'no-autoplay-audio': ['1.4.2'],
+  'object-alt': ['1.1.1'],
+  'p-as-heading': ['1.3.1'],
+  'page-has-heading-one': [],
+  'presentation-role-conflict': [],
+  'region': [],
+  'role-img-alt': ['1.1.1'],
+  'scope-attr-valid': [],
+  'scrollable-region-focusable': ['2.1.1', '2.1.3'],
+  'select-name': ['4.1.2'],
+  'server-side-image-map': ['2.1.1'],
+  'skip-link': [],
+  'summary-name': ['4.1.2'],
+  'svg-img-alt': ['1.1.1'],
+  'tabindex': [],
+  'table-duplicate-name': [],
+  'table-fake-caption': ['1.3.1'],
+  'target-size': ['2.5.8'],
+  'td-has-header': ['1.3.1'],
+  'td-headers-attr': ['1.3.1'],
+  'th-has-data-cells': ['1.3.1'],
+  'valid-lang': ['3.1.2'],
+  'video-caption': ['1.2.2'],
+};
+
+// axe rules tagged "experimental"; pa11y's tag selection never runs them
+const EXPERIMENTAL_AXE_RULES = [
+  'css-orientation-lock',
+  'focus-order-semantics',
+  'hidden-content',
+  'label-content-name-mismatch',
+  'p-as-heading',
+  'table-fake-caption',
+  'td-has-header',
+];
+
+// axe rules tagged "wcag2a-obsolete" instead of a level; pa11y's tags skip them too
+const OBSOLETE_AXE_RULES = ['duplicate-id-active', 'duplicate-id'];
+
+// Criteria whose title changed in a later version
+const RENAMED_CRITERIA = {
+  '2.5.5': { '2.2': 'Target Size (Enhanced)' },
+};
+
+// Conformance levels, lowest first
+export const LEVEL_ORDER = ['A', 'AA', 'AAA'];
+
+/**
+ * Check whether a criterion is part of a WCAG version
+ * @param {Object} criterion - Success criterion
+ * @param {string} version - WCAG version, e.g. "2.2"
+ * @returns {boolean}
+ */
+export function isInVersion(criterion, version) {
+  const v = parseFloat(version);
+  return parseFloat(criterion.introduced) <= v && (!criterion.removed || v < parseFloat(criterion.removed));
+}
+
+/**
+ * Success criteria that make up a WCAG version at a conformance level
+ * @param {string} version - WCAG version, e.g. "2.2"
+ * @param {string} [level='AAA'] - Highest level to include (A, AA or AAA)
+ * @returns {Array} Success criteria with version-specific titles
+ */
+export function getCriteriaForVersion(version, level = 'AAA') {
+  const maxLevel = LEVEL_ORDER.indexOf(level);
+  return Object.values(SUCCESS_CRITERIA)
+    .filter((criterion) => isInVersion(criterion, version))
+    .filter((criterion) => LEVEL_ORDER.indexOf(criterion.level) <= maxLevel)
+    .map((criterion) => withVersionTitle(criterion, version));
+}
+
+/**
+ * Look up the success criteria a rule code tests
+ * @param {string} code - axe rule id or HTML_CodeSniffer code
+ * @param {string} [version] - Only return criteria that are part of this WCAG version
+ * @returns {Array|null} Success criteria ([] for best practices, null for unknown codes)
+ */
+export function getCriteriaForCode(code, version) {
+  let criteria;
+
+  // HTML_CodeSniffer codes carry the criterion, e.g. WCAG2AA.Principle1.Guideline1_4.1_4_3.G18
+  const htmlcsMatch = code.match(/Guideline\d+_\d+\.(\d+_\d+_\d+)/);
+  if (htmlcsMatch) {
+    const criterion = SUCCESS_CRITERIA[htmlcsMatch[1].replace(/_/g, '.')];
+    if (!criterion) return null;
+    criteria = [criterion];
+  } else {
+    if (!(code in AXE_RULES)) return null;
+    criteria = AXE_RULES[code].map((id) => SUCCESS_CRITERIA[id]);
+  }
+
+  if (!version) return criteria;
+  return criteria
+    .filter((criterion) => isInVersion(criterion, version))
+    .map((criterion) => withVersionTitle(criterion, version));
+}
+
+/**
+ * Whether a rule only tests criteria that are not part of a WCAG version
+ * (e.g. duplicate-id under 2.2, where 4.1.1 Parsing is obsolete)
+ * @param {string} code - axe rule id or HTML_CodeSniffer code
+ * @param {string} version - WCAG version
+ * @returns {boolean}
+ */
+export function isOutsideVersion(code, version) {
+  const criteria = getCriteriaForCode(code);
+  return Boolean(criteria && criteria.length > 0 && getCriteriaForCode(code, version).length === 0);
+}
+
+/**
+ * axe rules to switch on or off so the run matches a WCAG version and level.
+ * pa11y only selects axe rules by the 2.0/2.1 tags, so newer rules are enabled explicitly.
+ * @param {string} version - WCAG version
+ * @param {string} level - Conformance level (A, AA or AAA)
+ * @returns {Object} { enable: [...ruleIds], ignore: [...ruleIds] }
+ */
+export function getAxeRuleSelection(version, level) {
+  const maxLevel = LEVEL_ORDER.indexOf(level);
+  const enable = [];
+  const ignore = [];
+
+  Object.keys(AXE_RULES).forEach((rule) => {
+    if (isOutsideVersion(rule, version)) {
+      ignore.push(rule);
+      return;
+    }
+    const added = getCriteriaForCode(rule, version).filter(
+      (criterion) => parseFloat(criterion.introduced) >= 2.2 && LEVEL_ORDER.indexOf(criterion.level) <= maxLevel
+    );
+    if (added.length > 0) enable.push(rule);
+  });
+
+  return { enable, ignore };
+}
+
+/**
+ * axe rules a run actually executes. pa11y selects rules by the wcag2a and
+ * wcag21a tags (plus wcag2aa and wcag21aa above level A, even for AAA) and
+ * best-practice; getAxeRuleSelection() adds and removes rules on top of that.
+ * @param {string} version - WCAG version
+ * @param {string} level - Conformance level (A, AA or AAA)
+ * @returns {Array} axe rule ids
+ */
+export function getEnabledAxeRules(version, level) {
+  const { enable, ignore } = getAxeRuleSelection(version, level);
+  const maxTagLevel = LEVEL_ORDER.indexOf(level === 'A' ? 'A' : 'AA');
+
+  return Object.keys(AXE_RULES).filter((rule) => {
+    if (ignore.includes(rule)) return false;
+    if (enable.includes(rule)) return true;
+    if (EXPERIMENTAL_AXE_RULES.includes(rule) || OBSOLETE_AXE_RULES.includes(rule)) return false;
+
+    const criteria = getCriteriaForCode(rule);
+    return (
+      criteria.length === 0 ||
+      criteria.some(
+        (criterion) => parseFloat(criterion.introduced) <= 2.1 && LEVEL_ORDER.indexOf(criterion.level) <= maxTagLevel
+      )
+    );
+  });
+}
+
+/**
+ * Copy of a criterion carrying the title used in a given version
+ * @private
+ */
+function withVersionTitle(criterion, version) {
+  const renamed = RENAMED_CRITERIA[criterion.id];
+  const title = renamed && Object.keys(renamed)
+    .filter((since) => parseFloat(since) <= parseFloat(version))
+    .map((since) => renamed[since])
+    .pop();
+  return title ? { ...criterion, title } : criterion;
+}
+
+/**
+ * Lowest conformance level among a set of criteria (an A failure outranks an AA one)
+ * @param {Array} criteria - Success criteria
+ * @returns {string|null} A, AA, AAA or null when there are none
+ */
+export function getLowestLevel(criteria) {
+  const levels = criteria.map((criterion) => LEVEL_ORDER.indexOf(criterion.level));
+  return levels.length > 0 ? LEVEL_ORDER[Math.min(...levels)] : null;
+}
+
+/**
+ * Group issues by the success criterion they fail
+ * @param {Object} issues - Issues keyed by severity
+ * @returns {Array} One entry per criterion with issue counts, plus best practices last
+ */
+export function summarizeByCriterion(issues) {
+  const entries = new Map();
+
+  Object.entries(issues).forEach(([severity, list]) => {
+    list.forEach((issue) => {
+      const criteria = issue.successCriteria || [];
+      const keys = criteria.length > 0 ? criteria.map((criterion) => criterion.id) : ['best-practice'];
+
+      keys.forEach((key) => {
+        if (!entries.has(key)) {
+          const criterion = SUCCESS_CRITERIA[key];
+          entries.set(key, {
+            id: key,
+            title: criterion ? criterion.title : 'Best Practices (no success criterion)',
+            level: criterion ? criterion.level : null,
+            principle: criterion ? criterion.principle : null,
+            guideline: criterion ? criterion.guideline : null,
+            total: 0,
+            critical: 0,
+            serious: 0,
+            moderate: 0,
+            minor: 0,
+            codes: [],
+          });
+        }
+
+        const entry = entries.get(key);
+        entry.total++;
+        entry[severity]++;
+        if (!entry.codes.includes(issue.code)) entry.codes.push(issue.code);
+      });
+    });
+  });
+
+  const order = (id) => (id === 'best-practice' ? [Infinity] : id.split('.').map(Number));
+  return Array.from(entries.values()).sort((a, b) => {
+    const [x, y] = [order(a.id), order(b.id)];
+    for (let i = 0; i < 3; i++) {
+      if (x[i] !== y[i]) return x[i] - y[i];
+    }
+    return 0;
+  });
+}
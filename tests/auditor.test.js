@@ -1,6 +1,11 @@
 import assert from 'assert';
+import { createRequire } from 'module';
+import pa11y from 'pa11y';
 import { AccessibilityAuditor } from '../src/auditor.js';
 
+// pa11y's own option handling, which decides which issue types are dropped
+const { parseArguments } = createRequire(import.meta.url)('pa11y/lib/option.js');
+
 describe('AccessibilityAuditor', () => {
   let auditor;
   const config = {
@@ -104,4 +109,248 @@ describe('AccessibilityAuditor', () => {
       assert(criticalCompliance < minorCompliance);
     });
   });
+
+  describe('Runner Merging', () => {
+    it('should read the criterion from HTML_CodeSniffer codes', () => {
+      assert.deepStrictEqual(
+        auditor._getCriterionIds('WCAG2AA.Principle1.Guideline1_1.1_1_1.H37'),
+        ['1.1.1']
+      );
+      assert.deepStrictEqual(auditor._getCriterionIds('image-alt'), ['1.1.1']);
+    });
+
+    it('should collapse rules that share any criterion on the same element', () => {
+      const merged = auditor._mergeRunnerIssues([
+        { code: 'link-name', severity: 'serious', selector: 'a.more', runner: 'axe' },
+        {
+          code: 'WCAG2AA.Principle4.Guideline4_1.4_1_2.H91.A.NoContent',
+          severity: 'serious',
+          selector: 'a.more',
+          runner: 'htmlcs',
+        },
+      ]);
+
+      assert.strictEqual(merged.length, 1);
+      assert.deepStrictEqual(merged[0].runners, ['axe', 'htmlcs']);
+    });
+
+    it('should collapse the same element and criterion across engines', () => {
+      const merged = auditor._mergeRunnerIssues([
+        { code: 'image-alt', type: 'error', selector: '#logo', runner: 'axe' },
+        {
+          code: 'WCAG2AA.Principle1.Guideline1_1.1_1_1.H37',
+          type: 'error',
+          selector: '#logo',
+          runner: 'htmlcs',
+        },
+        { code: 'image-alt', type: 'error', selector: '#banner', runner: 'axe' },
+      ]);
+
+      assert.strictEqual(merged.length, 2);
+      assert.deepStrictEqual(merged[0].runners, ['axe', 'htmlcs']);
+      assert.deepStrictEqual(merged[0].relatedCodes, ['WCAG2AA.Principle1.Guideline1_1.1_1_1.H37']);
+      assert.deepStrictEqual(merged[1].runners, ['axe']);
+    });
+
+    it('should keep different rules of the same engine apart', () => {
+      const merged = auditor._mergeRunnerIssues([
+        { code: 'button-name', severity: 'critical', selector: 'button.pay', runner: 'axe' },
+        { code: 'nested-interactive', severity: 'serious', selector: 'button.pay', runner: 'axe' },
+        {
+          code: 'WCAG2AA.Principle4.Guideline4_1.4_1_2.H91.Button.Name',
+          severity: 'serious',
+          selector: 'button.pay',
+          runner: 'htmlcs',
+        },
+      ]);
+
+      assert.deepStrictEqual(
+        merged.map((issue) => [issue.code, issue.runners]),
+        [
+          ['button-name', ['axe', 'htmlcs']],
+          ['nested-interactive', ['axe']],
+        ]
+      );
+    });
+
+    it('should keep the most severe report as the merged issue', () => {
+      const merged = auditor._mergeRunnerIssues([
+        {
+          code: 'WCAG2AA.Principle1.Guideline1_4.1_4_3.G18',
+          type: 'warning',
+          severity: 'serious',
+          selector: '.btn',
+          runner: 'htmlcs',
+        },
+        { code: 'color-contrast', type: 'error', severity: 'critical', selector: '.btn', runner: 'axe' },
+      ]);
+
+      assert.strictEqual(merged.length, 1);
+      assert.strictEqual(merged[0].severity, 'critical');
+      assert.strictEqual(merged[0].code, 'color-contrast');
+      assert.deepStrictEqual(merged[0].runners, ['axe', 'htmlcs']);
+    });
+  });
+
+  describe('Runner Options', () => {
+    const scope = { profiles: ['default'], include: [], rootElement: null, exclude: [], waitFor: [] };
+
+    it('should give the axe rule selection to the axe runner only', () => {
+      const auditor22 = new AccessibilityAuditor({ ...config, wcagVersion: '2.2', auditRunners: ['axe', 'htmlcs'] });
+      const [axe, htmlcs] = auditor22
+        ._runnerPasses()
+        .map((pass) => auditor22._buildPa11yOptions(scope, { ...pass, rootElement: null }));
+
+      assert.deepStrictEqual(axe.runners, ['axe']);
+      assert.ok(axe.rules.includes('target-size'));
+      assert.ok(axe.ignore.includes('duplicate-id'));
+      // HTML_CodeSniffer throws on rules it does not know, e.g. "target-size is not a valid WCAG 2.1 rule"
+      assert.deepStrictEqual(htmlcs.runners, ['htmlcs']);
+      assert.deepStrictEqual(htmlcs.rules, []);
+      assert.deepStrictEqual(htmlcs.ignore, []);
+      assert.strictEqual(htmlcs.standard, 'WCAG2AA');
+    });
+
+    it('should keep moderate and minor axe findings that pa11y reports as warnings and notices', () => {
+      // Issues as pa11y's axe runner returns them: the type follows the impact
+      const axeIssue = (code, type, impact, selector) => ({
+        code,
+        type,
+        typeCode: { error: 1, warning: 2, notice: 3 }[type],
+        message: `${code} (https://dequeuniversity.com/rules/axe/4.10/${code}?application=axeAPI)`,
+        context: '<div>…</div>',
+        selector,
+        runner: 'axe',
+        runnerExtras: { description: code, impact, help: code, helpUrl: '' },
+      });
+      const issues = [
+        axeIssue('color-contrast', 'error', 'serious', '.balance'),
+        axeIssue('heading-order', 'warning', 'moderate', 'main > h4'),
+        axeIssue('image-redundant-alt', 'notice', 'minor', '#logo'),
+      ];
+      const [pass] = auditor._runnerPasses();
+      const [, options] = parseArguments(
+        'https://bank.example.com/',
+        auditor._buildPa11yOptions(scope, pass),
+        pa11y.defaults
+      );
+      // Same filter pa11y applies in the page before returning results
+      const returned = issues.filter(
+        (issue) => !options.ignore.includes(issue.code.toLowerCase()) && !options.ignore.includes(issue.type)
+      );
+
+      const results = auditor._processResults({ documentTitle: 'Accounts', pageUrl: 'https://bank.example.com/', issues: returned }, scope);
+
+      assert.deepStrictEqual(
+        ['critical', 'serious', 'moderate', 'minor'].map((severity) => results.issues[severity].map((issue) => issue.code)),
+        [[], ['color-contrast'], ['heading-order'], ['image-redundant-alt']]
+      );
+    });
+
+    it('should run pa11y once when only one kind of runner is configured', () => {
+      const htmlcsOnly = new AccessibilityAuditor({ ...config, wcagVersion: '2.2', auditRunners: ['htmlcs'] });
+
+      assert.deepStrictEqual(htmlcsOnly._runnerPasses(), [{ runners: ['htmlcs'], rules: [], ignore: [] }]);
+      assert.strictEqual(new AccessibilityAuditor({ ...config, auditRunners: ['axe'] })._runnerPasses().length, 1);
+    });
+
+    it('should not run HTML_CodeSniffer for a scope root axe found missing', async () => {
+      const both = new AccessibilityAuditor({ ...config, auditRunners: ['axe', 'htmlcs'] });
+      const scope = { ...both.scopes.resolve('https://bank.example.com/'), include: ['main', '#transfer-modal'] };
+      const calls = [];
+      both._runPa11y = async (url, options) => {
+        calls.push(`${options.runners.join('+')} ${options.rootElement}`);
+        if (options.rootElement === '#transfer-modal' && options.runners.includes('axe')) {
+          throw new Error('No elements found for include in page Context');
+        }
+        const [runner] = options.runners;
+        return { documentTitle: 'Accounts', pageUrl: url, issues: [{ runner, code: `${runner}-issue`, selector: 'body > footer' }] };
+      };
+
+      const merged = await both._runScopedAudit('https://bank.example.com/', scope, { browser: {} });
+
+      assert.deepStrictEqual(calls, ['axe main', 'htmlcs main', 'axe #transfer-modal']);
+      assert.deepStrictEqual(scope.missingRoots, ['#transfer-modal']);
+      assert.strictEqual(merged.issues.length, 2);
+    });
+  });
+
+  describe('Severity Mapping', () => {
+    it('should take severity from the axe impact rating', () => {
+      const severity = auditor._getSeverity({
+        code: 'region',
+        type: 'warning',
+        runnerExtras: { impact: 'moderate' },
+      });
+      assert.deepStrictEqual(severity, { severity: 'moderate', severitySource: 'impact' });
+    });
+
+    it('should fall back to the pa11y type when there is no impact', () => {
+      const severity = auditor._getSeverity({
+        code: 'WCAG2AA.Principle1.Guideline1_1.1_1_1.H37',
+        type: 'warning',
+        runnerExtras: {},
+      });
+      assert.deepStrictEqual(severity, { severity: 'serious', severitySource: 'type' });
+    });
+
+    it('should apply per-rule overrides before impact', () => {
+      const overridden = new AccessibilityAuditor(config);
+      overridden.severityOverrides = { 'color-contrast': 'critical' };
+
+      const severity = overridden._getSeverity({
+        code: 'color-contrast',
+        type: 'error',
+        runnerExtras: { impact: 'serious' },
+      });
+      assert.deepStrictEqual(severity, { severity: 'critical', severitySource: 'override' });
+    });
+
+    it('should keep both the pa11y type and the impact on processed issues', () => {
+      const results = auditor._processResults(
+        {
+          documentTitle: 'Accounts',
+          issues: [
+            {
+              code: 'image-redundant-alt',
+              type: 'notice',
+              selector: 'img',
+              runner: 'axe',
+              runnerExtras: { impact: 'minor' },
+            },
+          ],
+        },
+        { profiles: ['default'], include: [], rootElement: null, exclude: [], waitFor: [] }
+      );
+
+      const [issue] = results.issues.minor;
+      assert.strictEqual(issue.type, 'notice');
+      assert.strictEqual(issue.impact, 'minor');
+      assert.strictEqual(results.summary.critical, 0);
+    });
+  });
+
+  describe('WCAG Version', () => {
+    it('should label criteria with the configured version', () => {
+      const auditor22 = new AccessibilityAuditor({ ...config, wcagVersion: '2.2' });
+      assert(auditor22._getWCAGCriteria('target-size').startsWith('WCAG 2.2 Level AA - 2.5.8'));
+    });
+
+    it('should drop findings for criteria outside the configured version', () => {
+      const auditor22 = new AccessibilityAuditor({ ...config, wcagVersion: '2.2' });
+      const results = auditor22._processResults(
+        {
+          documentTitle: 'Accounts',
+          issues: [
+            { code: 'duplicate-id', type: 'notice', selector: '#a', runnerExtras: { impact: 'minor' } },
+            { code: 'image-alt', type: 'error', selector: 'img', runnerExtras: { impact: 'critical' } },
+          ],
+        },
+        { profiles: ['default'], include: [], rootElement: null, exclude: [], waitFor: [] }
+      );
+
+      assert.strictEqual(results.summary.total, 1);
+      assert.strictEqual(results.issues.critical[0].code, 'image-alt');
+    });
+  });
 });
@@ -0,0 +1,80 @@
+import assert from 'assert';
+import {
+  compareWithBaseline,
+  fingerprintIssue,
+  listFingerprintedIssues,
+  normalizeSelector,
+} from '../src/baseline.js';
+import { ComplianceChecker } from '../src/complianceChecker.js';
+
+describe('Baseline Comparison', () => {
+  const issues = (serious) => ({ critical: [], serious, moderate: [], minor: [] });
+
+  describe('Fingerprints', () => {
+    it('should normalize generated and positional parts of selectors', () => {
+      assert.strictEqual(
+        normalizeSelector('#react-select-12-input  >li:nth-child(3)'),
+        '#react-select-N-input > li:nth-child(N)'
+      );
+      assert.strictEqual(normalizeSelector('main h2.card-title'), 'main h2.card-title');
+    });
+
+    it('should give the same fingerprint across query strings and generated ids', () => {
+      const before = fingerprintIssue(
+        { code: 'label', selector: '#field-1042' },
+        'https://bank.example.com/transfer?session=abc'
+      );
+      const after = fingerprintIssue({ code: 'label', selector: '#field-2210' }, 'https://bank.example.com/transfer/');
+
+      assert.strictEqual(before, after);
+      assert.notStrictEqual(before, fingerprintIssue({ code: 'label', selector: '#field-1042' }, 'https://bank.example.com/login'));
+    });
+  });
+
+  describe('Comparison', () => {
+    it('should split issues into new, fixed and unchanged', () => {
+      const pageUrl = 'https://bank.example.com/';
+      const baseline = listFingerprintedIssues(
+        issues([
+          { code: 'color-contrast', selector: '.footer' },
+          { code: 'link-name', selector: 'a.logo' },
+        ]),
+        pageUrl
+      );
+      const current = listFingerprintedIssues(
+        issues([
+          { code: 'color-contrast', selector: '.footer' },
+          { code: 'color-contrast', selector: '.footer' },
+          { code: 'label', selector: '#amount' },
+        ]),
+        pageUrl
+      );
+
+      const comparison = compareWithBaseline(current, baseline);
+      assert.deepStrictEqual(comparison.unchanged.map((i) => i.code), ['color-contrast']);
+      assert.deepStrictEqual(comparison.new.map((i) => i.code), ['color-contrast', 'label']);
+      assert.deepStrictEqual(comparison.fixed.map((i) => i.code), ['link-name']);
+    });
+
+    it('should fail only on new issues, ignoring absolute thresholds', () => {
+      const checker = new ComplianceChecker({ wcagLevel: 'AA', wcagVersion: '2.1', maxSeriousIssues: 0 });
+      const known = [{ code: 'color-contrast', selector: '.footer' }];
+      const baseline = { file: 'baseline.json', issues: listFingerprintedIssues(issues(known), 'https://bank.example.com/') };
+      const auditResults = (serious) => ({
+        pageUrl: 'https://bank.example.com/',
+        summary: { critical: 0, serious: serious.length, moderate: 0, minor: 0, total: serious.length },
+        compliance: 90,
+        issues: issues(serious),
+      });
+
+      const unchanged = checker.check(auditResults(known), { baseline });
+      assert(unchanged.passed);
+      assert.strictEqual(unchanged.checks.seriousIssues, undefined);
+
+      const regressed = checker.check(auditResults([...known, { code: 'label', selector: '#amount' }]), { baseline });
+      assert(!regressed.passed);
+      assert.strictEqual(regressed.checks.regression.current, 1);
+      assert.deepStrictEqual(regressed.baseline.new.map((i) => i.code), ['label']);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import assert from 'assert';
+import { BrowserPool } from '../src/browserPool.js';
+import { AccessibilityAuditor } from '../src/auditor.js';
+
+describe('BrowserPool', () => {
+  // Pool whose "browsers" are plain objects, so no Chrome is started
+  const createPool = (size) => {
+    const pool = new BrowserPool({ auditConcurrency: size });
+    let count = 0;
+    pool._launch = async () => {
+      const browser = { id: ++count, connected: true, close: async () => {} };
+      pool.browsers.add(browser);
+      pool.stats.launched++;
+      return browser;
+    };
+    return pool;
+  };
+
+  it('should never hand out more browsers than the pool size', async () => {
+    const pool = createPool(2);
+    let active = 0;
+    let peak = 0;
+
+    await Promise.all(
+      [1, 2, 3, 4, 5].map(() =>
+        pool.withBrowser(async () => {
+          active++;
+          peak = Math.max(peak, active);
+          await new Promise((resolve) => setTimeout(resolve, 5));
+          active--;
+        })
+      )
+    );
+
+    assert.strictEqual(peak, 2);
+    assert.strictEqual(pool.stats.launched, 2);
+  });
+
+  it('should recycle a crashed browser and retry on a fresh one', async () => {
+    const pool = createPool(1);
+    const used = [];
+
+    const result = await pool.withBrowser(async (browser) => {
+      used.push(browser.id);
+      if (browser.id === 1) {
+        browser.connected = false;
+        throw new Error('Target closed');
+      }
+      return 'audited';
+    });
+
+    assert.strictEqual(result, 'audited');
+    assert.deepStrictEqual(used, [1, 2]);
+    assert.strictEqual(pool.stats.recycled, 1);
+    assert.strictEqual(pool.browsers.size, 1);
+  });
+
+  it('should keep the browser when an audit fails without a crash', async () => {
+    const pool = createPool(1);
+
+    await assert.rejects(
+      pool.withBrowser(async () => {
+        throw new Error('net::ERR_NAME_NOT_RESOLVED');
+      }),
+      /ERR_NAME_NOT_RESOLVED/
+    );
+    assert.strictEqual(pool.stats.recycled, 0);
+    assert.strictEqual(pool.idle.length, 1);
+  });
+
+  describe('Batch Auditing', () => {
+    it('should audit every URL, keep input order and record failures with timing', async () => {
+      const auditor = new AccessibilityAuditor({
+        wcagLevel: 'AA',
+        wcagVersion: '2.1',
+        auditConcurrency: 2,
+      });
+      auditor.pool = createPool(2);
+      auditor._auditAcrossViewports = async (url) => {
+        if (url.endsWith('/broken')) throw new Error('Navigation timeout');
+        return { summary: { total: 0 } };
+      };
+
+      const batch = await auditor.auditBatch([
+        'https://bank.example.com/',
+        'https://bank.example.com/broken',
+        'https://bank.example.com/help',
+      ]);
+
+      assert.deepStrictEqual(
+        batch.entries.map((entry) => [entry.url, entry.status]),
+        [
+          ['https://bank.example.com/', 'AUDITED'],
+          ['https://bank.example.com/broken', 'FAILED'],
+          ['https://bank.example.com/help', 'AUDITED'],
+        ]
+      );
+      assert.strictEqual(batch.entries[1].error, 'Navigation timeout');
+      assert.ok(batch.entries.every((entry) => Number.isInteger(entry.durationMs)));
+      assert.strictEqual(batch.timing.concurrency, 2);
+    });
+  });
+});
@@ -111,4 +111,18 @@ describe('ComplianceChecker', () => {
       assert(result.report.summary[0].includes('✓')); // Should have success indicators
     });
   });
+
+  describe('WCAG Version', () => {
+    it('should state conformance against the configured version and level', () => {
+      const checker22 = new ComplianceChecker({ ...config, wcagVersion: '2.2', wcagLevel: 'A' });
+      const result = checker22.check({
+        summary: { critical: 0, serious: 0, moderate: 0, minor: 0, total: 0 },
+        compliance: 100,
+        status: 'PASSED',
+      });
+
+      assert.strictEqual(result.checks.wcagCompliance.metric, 'WCAG 2.2 Level A Compliance');
+      assert(result.checks.wcagCompliance.message.includes('WCAG 2.2 Level A'));
+    });
+  });
 });
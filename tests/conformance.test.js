@@ -0,0 +1,90 @@
+import assert from 'assert';
+import { evaluateConformance, getAutomatedCoverage } from '../src/conformance.js';
+import { AccessibilityAuditor } from '../src/auditor.js';
+import { ComplianceChecker } from '../src/complianceChecker.js';
+import { getCriteriaForCode } from '../src/wcagCatalogue.js';
+
+describe('WCAG Conformance', () => {
+  const options = { version: '2.1', level: 'AA', runners: ['axe'] };
+  const issue = (code) => ({ code, successCriteria: getCriteriaForCode(code, '2.1') });
+  const issues = (serious) => ({ critical: [], serious, moderate: [], minor: [] });
+
+  it('should mark criteria as passed, failed or needing manual review', () => {
+    const conformance = evaluateConformance(issues([issue('color-contrast')]), options);
+    const status = (id) => conformance.criteria.find((criterion) => criterion.id === id).status;
+
+    assert.strictEqual(status('1.4.3'), 'failed');
+    assert.strictEqual(status('1.1.1'), 'passed');
+    // No automated rule tests meaningful sequence
+    assert.strictEqual(status('1.3.2'), 'manual');
+    assert.ok(!getAutomatedCoverage('2.1', 'AA').has('1.3.2'));
+  });
+
+  it('should leave criteria of rules the run does not enable for manual review', () => {
+    const status = (conformance, id) => conformance.criteria.find((criterion) => criterion.id === id).status;
+    const aa = evaluateConformance(issues([]), options);
+    const aaa = evaluateConformance(issues([]), { ...options, level: 'AAA' });
+
+    // label-content-name-mismatch and css-orientation-lock are experimental
+    assert.strictEqual(status(aa, '2.5.3'), 'manual');
+    assert.strictEqual(status(aa, '1.3.4'), 'manual');
+    // pa11y selects no AAA tags, so color-contrast-enhanced and friends never run
+    assert.strictEqual(status(aaa, '1.4.6'), 'manual');
+    assert.strictEqual(status(aaa, '2.4.9'), 'manual');
+    assert.strictEqual(status(aaa, '2.2.4'), 'manual');
+    // target-size is enabled explicitly for 2.2
+    assert.ok(getAutomatedCoverage('2.2', 'AA').has('2.5.8'));
+  });
+
+  it('should fail criteria on moderate-impact violations', () => {
+    const auditor = new AccessibilityAuditor({ wcagVersion: '2.1', wcagLevel: 'AA', auditRunners: ['axe'] });
+    // pa11y reports axe's moderate impact as a warning
+    const results = auditor._processResults(
+      {
+        documentTitle: 'Accounts',
+        pageUrl: 'https://bank.example.com/accounts',
+        issues: [
+          {
+            code: 'heading-order',
+            type: 'warning',
+            selector: 'main > h4',
+            runner: 'axe',
+            runnerExtras: { impact: 'moderate' },
+          },
+        ],
+      },
+      { profiles: ['default'], include: [], rootElement: null, exclude: [], waitFor: [] }
+    );
+    const status = (id) => results.conformance.criteria.find((criterion) => criterion.id === id).status;
+
+    assert.strictEqual(results.issues.moderate.length, 1);
+    assert.strictEqual(status('1.3.1'), 'failed');
+    assert.strictEqual(results.conformance.highestLevelMet, null);
+  });
+
+  it('should find the highest level actually met', () => {
+    assert.strictEqual(evaluateConformance(issues([]), options).highestLevelMet, 'AA');
+    assert.strictEqual(evaluateConformance(issues([issue('color-contrast')]), options).highestLevelMet, 'A');
+    assert.strictEqual(evaluateConformance(issues([issue('image-alt')]), options).highestLevelMet, null);
+  });
+
+  it('should not claim levels above the audited one', () => {
+    const conformance = evaluateConformance(issues([]), { ...options, level: 'A' });
+
+    assert.strictEqual(conformance.highestLevelMet, 'A');
+    assert.strictEqual(conformance.meetsTarget, true);
+  });
+
+  it('should fail the compliance check on failed criteria, not on critical counts', () => {
+    const checker = new ComplianceChecker({ wcagVersion: '2.1', wcagLevel: 'AA', auditRunners: ['axe'] });
+    const result = checker.check({
+      summary: { critical: 0, serious: 1, moderate: 0, minor: 0, total: 1 },
+      compliance: 90,
+      issues: issues([issue('color-contrast')]),
+    });
+
+    assert.strictEqual(result.checks.wcagCompliance.passed, false);
+    assert.strictEqual(result.checks.wcagCompliance.highestLevelMet, 'A');
+    assert.deepStrictEqual(result.checks.wcagCompliance.failedCriteria, ['1.4.3']);
+  });
+});
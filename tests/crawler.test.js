@@ -0,0 +1,136 @@
+import assert from 'assert';
+import { SiteCrawler } from '../src/crawler.js';
+import { AccessibilityAuditor } from '../src/auditor.js';
+
+describe('SiteCrawler', () => {
+  const config = {
+    crawlSources: ['sitemap', 'links'],
+    crawlMaxDepth: 2,
+    crawlMaxPages: 10,
+    crawlIncludePatterns: [],
+    crawlExcludePatterns: ['/logout'],
+  };
+
+  describe('Sitemap Parsing', () => {
+    it('should read page URLs from a urlset', () => {
+      const crawler = new SiteCrawler(config);
+      const { urls, sitemaps } = crawler._parseSitemap(`
+        <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+          <url><loc>https://bank.example.com/</loc></url>
+          <url><loc> https://bank.example.com/help?a=1&amp;b=2 </loc></url>
+        </urlset>`);
+
+      assert.deepStrictEqual(urls, [
+        'https://bank.example.com/',
+        'https://bank.example.com/help?a=1&b=2',
+      ]);
+      assert.strictEqual(sitemaps.length, 0);
+    });
+
+    it('should read nested sitemaps from a sitemap index', () => {
+      const crawler = new SiteCrawler(config);
+      const { urls, sitemaps } = crawler._parseSitemap(`
+        <sitemapindex><sitemap><loc>https://bank.example.com/pages.xml</loc></sitemap></sitemapindex>`);
+
+      assert.strictEqual(urls.length, 0);
+      assert.deepStrictEqual(sitemaps, ['https://bank.example.com/pages.xml']);
+    });
+  });
+
+  describe('Link Extraction', () => {
+    it('should resolve relative links and drop fragments and non-http links', () => {
+      const crawler = new SiteCrawler(config);
+      const links = crawler._extractLinks(
+        `<a href="/accounts#top">Accounts</a>
+         <a class="nav" href='help'>Help</a>
+         <a href="mailto:support@bank.example.com">Mail</a>
+         <a href="javascript:void(0)">Menu</a>`,
+        'https://bank.example.com/support/'
+      );
+
+      assert.deepStrictEqual(links, [
+        'https://bank.example.com/accounts',
+        'https://bank.example.com/support/help',
+      ]);
+    });
+  });
+
+  describe('URL Filtering', () => {
+    it('should apply exclude patterns', () => {
+      const crawler = new SiteCrawler(config);
+      assert(crawler._isAllowed('https://bank.example.com/accounts'));
+      assert(!crawler._isAllowed('https://bank.example.com/logout'));
+    });
+
+    it('should only allow include pattern matches when patterns are set', () => {
+      const crawler = new SiteCrawler({ ...config, crawlIncludePatterns: ['/help'] });
+      assert(crawler._isAllowed('https://bank.example.com/help/cards'));
+      assert(!crawler._isAllowed('https://bank.example.com/accounts'));
+    });
+  });
+
+  describe('Discovery', () => {
+    it('should follow same-origin links within depth and page limits', async () => {
+      const crawler = new SiteCrawler({ ...config, crawlSources: ['links'], crawlMaxPages: 3 });
+      const site = {
+        'https://bank.example.com/': '<a href="/a">A</a><a href="https://other.example.com/">X</a>',
+        'https://bank.example.com/a': '<a href="/b">B</a><a href="/c">C</a>',
+      };
+      crawler._fetch = async (url) => site[url] || '';
+
+      const pages = await crawler.discover('https://bank.example.com/');
+
+      assert.deepStrictEqual(
+        pages.map((page) => [page.url, page.depth]),
+        [
+          ['https://bank.example.com/', 0],
+          ['https://bank.example.com/a', 1],
+          ['https://bank.example.com/b', 2],
+        ]
+      );
+    });
+  });
+});
+
+describe('AccessibilityAuditor Site Rollup', () => {
+  it('should combine page results into site-wide totals', () => {
+    const auditor = new AccessibilityAuditor({
+      wcagLevel: 'AA',
+      wcagVersion: '2.1',
+      maxCriticalIssues: 0,
+      maxSeriousIssues: 5,
+      failOnSerious: true,
+      crawlSources: ['links'],
+    });
+    const pageResult = (critical) => ({
+      url: 'Page',
+      status: critical ? 'FAILED' : 'PASSED',
+      compliance: critical ? 0 : 100,
+      summary: { total: critical, critical, serious: 0, moderate: 0, minor: 0 },
+      issues: {
+        critical: Array(critical).fill({ code: 'image-alt', selector: 'img' }),
+        serious: [],
+        moderate: [],
+        minor: [],
+      },
+    });
+
+    const results = auditor._buildSiteResults(
+      'https://bank.example.com/',
+      [
+        { url: 'https://bank.example.com/', depth: 0, source: 'start', result: pageResult(0) },
+        { url: 'https://bank.example.com/a', depth: 1, source: 'link', result: pageResult(2) },
+      ],
+      [{ url: 'https://bank.example.com/b', error: 'timeout' }]
+    );
+
+    assert.strictEqual(results.summary.critical, 2);
+    assert.strictEqual(results.status, 'FAILED');
+    assert.strictEqual(results.pages.length, 2);
+    assert.strictEqual(results.pages[1].pageUrl, 'https://bank.example.com/a');
+    assert.strictEqual(results.pages[1].documentTitle, 'Page');
+    assert.strictEqual(results.pages[1].url, undefined);
+    assert.strictEqual(results.issues.critical[0].pageUrl, 'https://bank.example.com/a');
+    assert.strictEqual(results.crawl.pagesFailed.length, 1);
+  });
+});
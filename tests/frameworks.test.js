@@ -0,0 +1,46 @@
+import assert from 'assert';
+import { evaluateFrameworks, FRAMEWORKS } from '../src/frameworks.js';
+import { evaluateConformance } from '../src/conformance.js';
+import { getCriteriaForCode } from '../src/wcagCatalogue.js';
+
+describe('Regulatory Frameworks', () => {
+  const options = { version: '2.1', level: 'AA', runners: ['axe'] };
+  const results = (serious) => {
+    const issues = { critical: [], serious, moderate: [], minor: [] };
+    return { pageUrl: 'https://example.com/', issues, conformance: evaluateConformance(issues, options) };
+  };
+  const contrast = {
+    code: 'color-contrast',
+    selector: '.price',
+    successCriteria: getCriteriaForCode('color-contrast', '2.1'),
+  };
+
+  it('should fail the clauses a failed criterion falls under, with evidence', () => {
+    const [section508, en301549] = evaluateFrameworks(results([contrast]), ['section-508', 'en-301-549']);
+    const clause = (framework, id) => framework.clauses.find((candidate) => candidate.id === id);
+
+    assert.strictEqual(section508.status, 'failed');
+    assert.strictEqual(clause(section508, '302.2').status, 'failed');
+    assert.deepStrictEqual(clause(section508, '302.2').failedCriteria, ['1.4.3']);
+    assert.strictEqual(clause(en301549, '9.1.4.3').status, 'failed');
+    assert.deepStrictEqual(clause(en301549, '9.1.4.3').evidence, [
+      { code: 'color-contrast', severity: 'serious', selector: '.price', criteria: ['1.4.3'] },
+    ]);
+    assert.strictEqual(clause(en301549, '9.1.1.1').evidence.length, 0);
+  });
+
+  it('should ask for manual review when nothing failed but criteria were not automated', () => {
+    const [eaa] = evaluateFrameworks(results([]), ['eaa']);
+
+    assert.strictEqual(eaa.status, 'manual');
+    assert.ok(eaa.clauses.every((clause) => clause.failedCriteria.length === 0));
+  });
+
+  it('should leave out criteria a framework excludes', () => {
+    const criteria = FRAMEWORKS.aoda.clauses[0].criteria;
+
+    assert.ok(!criteria.includes('1.2.4'));
+    assert.ok(!criteria.includes('1.2.5'));
+    assert.ok(criteria.includes('1.4.3'));
+  });
+});
@@ -0,0 +1,70 @@
+import assert from 'assert';
+import { JourneyRunner } from '../src/journeyRunner.js';
+
+describe('JourneyRunner', () => {
+  let runner;
+  const config = {
+    wcagLevel: 'AA',
+    wcagVersion: '2.1',
+    journeyCredentials: { username: 'audit-user', password: undefined },
+  };
+
+  before(() => {
+    runner = new JourneyRunner(config, null);
+  });
+
+  describe('Journey Validation', () => {
+    const journey = (steps) => ({ name: 'Login', startUrl: 'https://bank.example.com', steps });
+
+    it('should accept a journey with an audit checkpoint', () => {
+      assert.doesNotThrow(() =>
+        runner._validateJourney(
+          journey([
+            { action: 'fill', selector: '#user', credential: 'username' },
+            { action: 'click', selector: 'button' },
+            { action: 'audit', name: 'Overview' },
+          ])
+        )
+      );
+    });
+
+    it('should reject unknown actions with the step number', () => {
+      assert.throws(
+        () => runner._validateJourney(journey([{ action: 'hover' }, { action: 'audit' }])),
+        /step 1: unknown action "hover"/
+      );
+    });
+
+    it('should reject journeys without an audit checkpoint', () => {
+      assert.throws(
+        () => runner._validateJourney(journey([{ action: 'navigate', url: '/accounts' }])),
+        /no audit checkpoint/
+      );
+    });
+
+    it('should reject credentials that are not defined in config', () => {
+      assert.throws(
+        () =>
+          runner._validateJourney(
+            journey([{ action: 'fill', selector: '#pin', credential: 'pin' }, { action: 'audit' }])
+          ),
+        /unknown credential "pin"/
+      );
+    });
+  });
+
+  describe('Fill Values', () => {
+    it('should resolve credentials from config', () => {
+      assert.strictEqual(runner._resolveValue({ credential: 'username' }), 'audit-user');
+    });
+
+    it('should fail when a credential is not set in the environment', () => {
+      assert.throws(() => runner._resolveValue({ credential: 'password' }), /not set/);
+    });
+
+    it('should not expose fill values in step labels', () => {
+      const label = runner._describeStep({ action: 'fill', selector: '#password', value: 'secret' });
+      assert(!label.includes('secret'));
+    });
+  });
+});
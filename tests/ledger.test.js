@@ -0,0 +1,89 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { IssueLedger } from '../src/ledger.js';
+import { ComplianceChecker } from '../src/complianceChecker.js';
+
+describe('IssueLedger', () => {
+  const ledgerFile = () => path.join(os.tmpdir(), `ledger-${process.pid}-${Date.now()}-${Math.random()}.json`);
+  const day = (n) => new Date(Date.UTC(2024, 0, n));
+
+  const auditResults = (serious) => ({
+    url: 'https://bank.example.com',
+    pageUrl: 'https://bank.example.com/',
+    summary: { critical: 0, serious: serious.length, moderate: 0, minor: 0, total: serious.length },
+    compliance: 90,
+    issues: { critical: [], serious, moderate: [], minor: [] },
+  });
+
+  const contrast = () => ({ code: 'color-contrast', selector: '.rate' });
+  const label = () => ({ code: 'label', selector: '#amount' });
+
+  it('should keep the first-seen date and compute the due date from the severity SLA', () => {
+    const ledger = new IssueLedger({ issueLedgerFile: ledgerFile(), remediationSlaDays: { serious: 14 } });
+
+    ledger.update(auditResults([contrast()]), day(1));
+    const results = auditResults([contrast()]);
+    const run = ledger.update(results, day(10));
+
+    assert.strictEqual(run.opened, 0);
+    assert.strictEqual(results.issues.serious[0].sla.firstSeen, day(1).toISOString());
+    assert.strictEqual(results.issues.serious[0].sla.dueDate, day(15).toISOString());
+    assert.strictEqual(results.issues.serious[0].sla.overdue, false);
+    assert.strictEqual(ledger.update(auditResults([contrast()]), day(16)).overdue.length, 1);
+  });
+
+  it('should resolve issues that disappear from an audited page and reopen them if they return', () => {
+    const file = ledgerFile();
+    const ledger = new IssueLedger({ issueLedgerFile: file });
+
+    ledger.update(auditResults([contrast(), label()]), day(1));
+    const fixed = ledger.update(auditResults([label()]), day(2));
+    assert.deepStrictEqual(fixed.resolved.map((entry) => entry.code), ['color-contrast']);
+
+    const back = ledger.update(auditResults([contrast(), label()]), day(3));
+    assert.strictEqual(back.reopened, 1);
+    const entries = Object.values(JSON.parse(fs.readFileSync(file, 'utf-8')).issues);
+    const reopened = entries.find((entry) => entry.code === 'color-contrast');
+    assert.strictEqual(reopened.status, 'open');
+    assert.strictEqual(reopened.firstSeen, day(1).toISOString());
+  });
+
+  it('should not resolve issues on pages this run did not audit', () => {
+    const ledger = new IssueLedger({ issueLedgerFile: ledgerFile() });
+    ledger.update(auditResults([contrast()]), day(1));
+
+    const other = {
+      ...auditResults([]),
+      url: 'https://bank.example.com/cards',
+      pageUrl: 'https://bank.example.com/cards',
+    };
+    assert.strictEqual(ledger.update(other, day(2)).resolved.length, 0);
+  });
+
+  it('should report overdue issues and fail on them only with FAIL_ON_OVERDUE', () => {
+    const file = ledgerFile();
+    new IssueLedger({ issueLedgerFile: file }).update(auditResults([contrast()]), day(1));
+    const config = { maxCriticalIssues: 0, maxSeriousIssues: 5, maxModerateIssues: 15, issueLedgerFile: file };
+
+    const reported = new ComplianceChecker(config).check(auditResults([contrast()]));
+    assert.strictEqual(reported.passed, true);
+    assert.ok(reported.checks.sla.message.startsWith('⚠ 1 issues past their remediation SLA'));
+
+    const gated = new ComplianceChecker({ ...config, failOnOverdue: true }).check(auditResults([contrast()]));
+    assert.strictEqual(gated.passed, false);
+    assert.strictEqual(gated.ledger.overdue[0].code, 'color-contrast');
+  });
+
+  it('should leave the ledger file alone when a stored run is re-checked', () => {
+    const file = ledgerFile();
+    new IssueLedger({ issueLedgerFile: file }).update(auditResults([contrast()]), day(1));
+    const before = fs.readFileSync(file, 'utf-8');
+
+    const recheck = new ComplianceChecker({ issueLedgerFile: file }).check(auditResults([label()]), { record: false });
+
+    assert.strictEqual(recheck.ledger.opened, 1);
+    assert.strictEqual(fs.readFileSync(file, 'utf-8'), before);
+  });
+});
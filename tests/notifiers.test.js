@@ -0,0 +1,237 @@
+import assert from 'assert';
+import fs from 'fs';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { NotificationDispatcher, signPayload } from '../src/notifiers.js';
+
+describe('NotificationDispatcher', () => {
+  const servers = [];
+
+  afterEach(() => {
+    servers.splice(0).forEach((server) => server.close());
+  });
+
+  const listen = (server) =>
+    new Promise((resolve) => {
+      servers.push(server);
+      server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+    });
+
+  // Records requests; answers with the queued status codes, then 200
+  const startHttpServer = async (statuses = []) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body });
+        res.statusCode = statuses.shift() || 200;
+        res.end();
+      });
+    });
+    const port = await listen(server);
+    return { url: `http://127.0.0.1:${port}/hook`, requests };
+  };
+
+  // Minimal SMTP stand-in without STARTTLS that accepts any message
+  const startSmtpServer = async () => {
+    const messages = [];
+    const commands = [];
+    const server = net.createServer((socket) => {
+      let buffer = '';
+      let data = null;
+      socket.write('220 localhost ESMTP test\r\n');
+      socket.on('data', (chunk) => {
+        buffer += chunk;
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+          const line = buffer.slice(0, index);
+          buffer = buffer.slice(index + 2);
+          if (data === null) commands.push(line);
+          if (data !== null) {
+            if (line === '.') {
+              messages.push(data.join('\n'));
+              data = null;
+              socket.write('250 OK queued\r\n');
+            } else {
+              data.push(line);
+            }
+          } else if (line.startsWith('EHLO')) {
+            socket.write('250-localhost\r\n250-AUTH PLAIN\r\n250 8BITMIME\r\n');
+          } else if (line === 'STARTTLS') {
+            socket.write('502 Command not implemented\r\n');
+          } else if (line === 'DATA') {
+            data = [];
+            socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+          } else if (line === 'QUIT') {
+            socket.end('221 Bye\r\n');
+          } else {
+            socket.write('250 OK\r\n');
+          }
+        }
+      });
+    });
+    const port = await listen(server);
+    return { port, messages, commands };
+  };
+
+  const writeChannels = (channels) => {
+    const filepath = path.join(os.tmpdir(), `notifications-${process.pid}-${Date.now()}.json`);
+    fs.writeFileSync(filepath, JSON.stringify({ retries: 2, backoffMs: 5, channels }));
+    return filepath;
+  };
+
+  const auditResults = {
+    url: 'https://bank.example.com',
+    status: 'FAILED',
+    compliance: 72,
+    summary: { critical: 1, serious: 0, moderate: 0, minor: 0, total: 1 },
+  };
+
+  const complianceResult = (passed, extra = {}) => ({
+    passed,
+    checks: { criticalIssues: { threshold: 0 } },
+    report: { summary: [passed ? '✓ Critical issues within threshold (0/0)' : '✗ Critical issues exceed threshold (1/0)'] },
+    timestamp: '2024-01-08T10:30:00.000Z',
+    ...extra,
+  });
+
+  it('should sign generic webhooks with HMAC and retry server errors', async () => {
+    process.env.TEST_NOTIFY_SECRET = 'shared-secret';
+    const receiver = await startHttpServer([503]);
+    const dispatcher = new NotificationDispatcher({
+      notificationsFile: writeChannels([
+        { name: 'archive', type: 'webhook', url: receiver.url, secretEnv: 'TEST_NOTIFY_SECRET' },
+      ]),
+    });
+
+    const [delivery] = await dispatcher.dispatch(complianceResult(false), auditResults);
+
+    assert.strictEqual(delivery.delivered, true);
+    assert.strictEqual(delivery.attempts, 2);
+    const { headers, body } = receiver.requests[1];
+    const expected = signPayload('shared-secret', headers['x-audit-timestamp'], body);
+    assert.strictEqual(headers['x-audit-signature'], `sha256=${expected}`);
+    assert.strictEqual(JSON.parse(body).passed, false);
+  });
+
+  it('should apply each channel\'s event filter', async () => {
+    const receiver = await startHttpServer();
+    const dispatcher = new NotificationDispatcher({
+      notificationsFile: writeChannels([
+        { name: 'on-failure', type: 'teams', url: receiver.url, on: 'failure' },
+        { name: 'on-regression', type: 'slack', url: receiver.url, on: ['regression'] },
+      ]),
+    });
+
+    const deliveries = await dispatcher.dispatch(complianceResult(false), auditResults);
+
+    assert.deepStrictEqual(
+      deliveries.map((delivery) => [delivery.channel, delivery.delivered, Boolean(delivery.skipped)]),
+      [
+        ['on-failure', true, false],
+        ['on-regression', false, true],
+      ]
+    );
+    const card = JSON.parse(receiver.requests[0].body).attachments[0];
+    assert.strictEqual(card.contentType, 'application/vnd.microsoft.card.adaptive');
+    assert.ok(card.content.body[2].facts.some((fact) => fact.value === '1 (Max: 0)'));
+  });
+
+  it('should raise a regression for ratchet rises', async () => {
+    const receiver = await startHttpServer();
+    const dispatcher = new NotificationDispatcher({
+      notificationsFile: writeChannels([{ type: 'slack', url: receiver.url, on: 'regression' }]),
+    });
+    const result = complianceResult(false, {
+      checks: { ratchet: [{ metric: 'Serious issues (ratchet)', passed: false }] },
+    });
+
+    const [delivery] = await dispatcher.dispatch(result, auditResults);
+
+    assert.strictEqual(delivery.event, 'regression');
+    assert.ok(receiver.requests[0].body.includes('Serious issues (ratchet)'));
+  });
+
+  it('should not retry client errors', async () => {
+    const receiver = await startHttpServer([404]);
+    const dispatcher = new NotificationDispatcher({
+      notificationsFile: writeChannels([{ type: 'slack', url: receiver.url }]),
+    });
+
+    const [delivery] = await dispatcher.dispatch(complianceResult(true), auditResults);
+
+    assert.strictEqual(delivery.delivered, false);
+    assert.strictEqual(delivery.attempts, 1);
+    assert.strictEqual(delivery.error, 'HTTP 404');
+  });
+
+  it('should send email over SMTP', async () => {
+    const smtp = await startSmtpServer();
+    const dispatcher = new NotificationDispatcher({
+      notificationsFile: writeChannels([
+        {
+          name: 'team-email',
+          type: 'email',
+          host: '127.0.0.1',
+          port: smtp.port,
+          from: 'auditor@example.com',
+          to: ['a11y@example.com'],
+        },
+      ]),
+    });
+
+    const [delivery] = await dispatcher.dispatch(complianceResult(false), auditResults);
+
+    assert.strictEqual(delivery.delivered, true);
+    assert.strictEqual(delivery.status, '250 OK queued');
+    assert.ok(smtp.messages[0].includes('To: a11y@example.com'));
+    assert.ok(smtp.messages[0].includes('Subject: =?UTF-8?'));
+    assert.ok(smtp.messages[0].includes('Accessibility audit FAILED for https://bank.example.com'));
+  });
+
+  it('should not send SMTP credentials without TLS', async () => {
+    process.env.TEST_SMTP_USER = 'auditor';
+    process.env.TEST_SMTP_PASSWORD = 'secret';
+    const smtp = await startSmtpServer();
+    const channel = {
+      type: 'email',
+      host: '127.0.0.1',
+      port: smtp.port,
+      userEnv: 'TEST_SMTP_USER',
+      passwordEnv: 'TEST_SMTP_PASSWORD',
+      from: 'auditor@example.com',
+      to: ['a11y@example.com'],
+    };
+
+    const [refused] = await new NotificationDispatcher({
+      notificationsFile: writeChannels([{ ...channel, name: 'cleartext' }]),
+    }).dispatch(complianceResult(false), auditResults);
+
+    assert.strictEqual(refused.delivered, false);
+    assert.strictEqual(refused.attempts, 1);
+    assert.match(refused.error, /does not offer STARTTLS; refusing to send credentials/);
+    assert.ok(!smtp.commands.some((command) => command.startsWith('AUTH')));
+    assert.strictEqual(smtp.messages.length, 0);
+
+    const [optedIn] = await new NotificationDispatcher({
+      notificationsFile: writeChannels([{ ...channel, name: 'local-stand-in', allowInsecureAuth: true }]),
+    }).dispatch(complianceResult(false), auditResults);
+
+    assert.strictEqual(optedIn.delivered, true);
+    assert.ok(smtp.commands.some((command) => command.startsWith('AUTH PLAIN')));
+  });
+
+  it('should reject channels without their required settings', () => {
+    assert.throws(
+      () => new NotificationDispatcher({ notificationsFile: writeChannels([{ type: 'teams' }]) }),
+      /is missing url/
+    );
+    assert.throws(
+      () => new NotificationDispatcher({ notificationsFile: writeChannels([{ type: 'slack', url: 'x', on: 'weekly' }]) }),
+      /unknown event "weekly"/
+    );
+  });
+});
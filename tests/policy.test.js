@@ -0,0 +1,119 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CompliancePolicy, validatePolicy } from '../src/policy.js';
+import { ComplianceChecker } from '../src/complianceChecker.js';
+
+describe('CompliancePolicy', () => {
+  const writePolicy = (content, extension = 'json') => {
+    const filepath = path.join(os.tmpdir(), `policy-${process.pid}-${Date.now()}.${extension}`);
+    fs.writeFileSync(filepath, typeof content === 'string' ? content : JSON.stringify(content));
+    return filepath;
+  };
+
+  const policy = {
+    name: 'Test Policy',
+    version: '2026.1',
+    clauses: [
+      { id: '3.1', severity: 'critical', max: 0 },
+      { id: '4.1', criterion: '1.4.3', max: 1 },
+      { id: '5.1', code: 'label', never: true },
+      { id: '6.1', urlPattern: '/login', severity: 'serious', max: 0 },
+    ],
+  };
+
+  const issue = (code, selector, extra = {}) => ({ code, selector, successCriteria: [], ...extra });
+  const contrast = (selector, pageUrl) =>
+    issue('color-contrast', selector, { pageUrl, successCriteria: [{ id: '1.4.3' }] });
+
+  const auditResults = {
+    pageUrl: 'https://bank.example.com/',
+    summary: { critical: 0, serious: 3, moderate: 0, minor: 0, total: 3 },
+    compliance: 90,
+    issues: {
+      critical: [],
+      serious: [
+        contrast('.footer', 'https://bank.example.com/'),
+        contrast('.hint', 'https://bank.example.com/login'),
+        issue('label', '#amount', { pageUrl: 'https://bank.example.com/' }),
+      ],
+      moderate: [],
+      minor: [],
+    },
+  };
+
+  describe('Schema Validation', () => {
+    it('should accept a valid policy', () => {
+      assert.deepStrictEqual(validatePolicy(policy), []);
+    });
+
+    it('should report every problem with its location', () => {
+      const errors = validatePolicy({
+        name: 'Broken',
+        clauses: [
+          { id: 'a', severity: 'blocker', max: 1 },
+          { id: 'a', criterion: '9.9.9', never: true },
+          { id: 'c', code: 'label', max: -1, treshold: 2 },
+          { id: 'd', code: 'label' },
+        ],
+      });
+
+      assert.deepStrictEqual(errors, [
+        'policy.version is required',
+        'clauses[0] (a).severity must be one of critical, serious, moderate, minor',
+        'clauses[1] (a).id is used by another clause',
+        'clauses[1] (a).criterion "9.9.9" is not a WCAG success criterion',
+        'clauses[2] (c).treshold is not a recognised setting',
+        'clauses[2] (c).max must not be negative',
+        'clauses[3] (d) needs exactly one of "max" or "never: true"',
+      ]);
+    });
+
+    it('should fail loading an invalid file with a clear error', () => {
+      const file = writePolicy({ name: 'No clauses', version: '1' });
+      assert.throws(() => new CompliancePolicy({ policyFile: file }), /is invalid:\n {2}- policy.clauses is required/);
+    });
+
+    it('should load YAML policies', () => {
+      const file = writePolicy('name: YAML Policy\nversion: "1.0"\nclauses:\n  - id: "1"\n    severity: critical\n    max: 0\n', 'yaml');
+      assert.deepStrictEqual(new CompliancePolicy({ policyFile: file }).describe(), {
+        name: 'YAML Policy',
+        version: '1.0',
+        file,
+      });
+    });
+  });
+
+  describe('Evaluation', () => {
+    it('should evaluate each clause and cite it', () => {
+      const checks = new CompliancePolicy({ policyFile: writePolicy(policy) }).evaluate(auditResults);
+      const byId = Object.fromEntries(checks.map((check) => [check.clause.id, check]));
+
+      assert.strictEqual(byId['3.1'].passed, true);
+      assert.strictEqual(byId['4.1'].current, 2);
+      assert.strictEqual(byId['4.1'].passed, false);
+      assert.strictEqual(byId['5.1'].passed, false);
+      assert.match(byId['5.1'].message, /^✗ \[§5\.1\] Rule label issues must never occur \(found 1\)$/);
+      assert.strictEqual(byId['5.1'].clause.citation, 'Test Policy v2026.1 §5.1');
+      assert.deepStrictEqual(byId['6.1'].violations, [
+        { code: 'color-contrast', selector: '.hint', pageUrl: 'https://bank.example.com/login' },
+      ]);
+    });
+
+    it('should gate the compliance check on policy clauses instead of env thresholds', () => {
+      const checker = new ComplianceChecker({
+        wcagLevel: 'AA',
+        wcagVersion: '2.1',
+        maxSeriousIssues: 5,
+        policyFile: writePolicy(policy),
+      });
+      const result = checker.check(auditResults);
+
+      assert.strictEqual(result.passed, false);
+      assert.strictEqual(result.checks.seriousIssues, undefined);
+      assert.deepStrictEqual(result.policy.version, '2026.1');
+      assert.ok(result.report.summary.some((message) => message.startsWith('✗ [§6.1]')));
+    });
+  });
+});
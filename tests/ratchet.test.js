@@ -0,0 +1,92 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ThresholdRatchet } from '../src/ratchet.js';
+import { ComplianceChecker } from '../src/complianceChecker.js';
+
+describe('ThresholdRatchet', () => {
+  const stateFile = () => path.join(os.tmpdir(), `ratchet-${process.pid}-${Date.now()}-${Math.random()}.json`);
+
+  const config = (ratchetFile) => ({
+    wcagLevel: 'AA',
+    wcagVersion: '2.1',
+    maxCriticalIssues: 0,
+    maxSeriousIssues: 5,
+    maxModerateIssues: 15,
+    failOnSerious: true,
+    ratchetFile,
+  });
+
+  const results = (serious, moderate = 0) => ({
+    url: 'https://bank.example.com',
+    summary: { critical: 0, serious, moderate, minor: 0, total: serious + moderate },
+    compliance: 90,
+  });
+
+  it('should record passing counts as ceilings and fail runs above them', () => {
+    const checker = new ComplianceChecker(config(stateFile()));
+
+    const first = checker.check(results(3, 4));
+    assert.strictEqual(first.passed, true);
+    assert.deepStrictEqual(checker.recordRatchet(first).ceilings, { critical: 0, serious: 3, moderate: 4 });
+
+    const improved = checker.check(results(1, 4));
+    assert.strictEqual(improved.passed, true);
+    assert.deepStrictEqual(checker.recordRatchet(improved).tightened, ['serious']);
+
+    // Within MAX_SERIOUS_ISSUES, but above the best recorded level
+    const regressed = checker.check(results(2, 4));
+    assert.strictEqual(regressed.passed, false);
+    const serious = regressed.checks.ratchet.find((check) => check.metric === 'Serious issues (ratchet)');
+    assert.strictEqual(serious.threshold, 1);
+    assert.ok(serious.message.includes('rose above best recorded level (2/1'));
+    assert.strictEqual(checker.recordRatchet(regressed), null);
+  });
+
+  it('should keep ceilings per audited URL', () => {
+    const ratchet = new ThresholdRatchet(config(stateFile()));
+    ratchet.record(ratchet.snapshot(results(1)));
+
+    const other = { ...results(4), url: 'https://cards.example.com' };
+    assert.ok(ratchet.evaluate(other).every((check) => check.passed && check.threshold === null));
+  });
+
+  it('should key single pages on their URL, not their title', () => {
+    const ratchet = new ThresholdRatchet(config(stateFile()));
+    const page = (pageUrl, serious) => ({ ...results(serious), url: 'Online Banking', pageUrl });
+    ratchet.record(ratchet.snapshot(page('https://bank.example.com/accounts', 1)));
+
+    assert.ok(ratchet.evaluate(page('https://bank.example.com/loans', 4)).every((check) => check.passed));
+    const accounts = ratchet.evaluate(page('https://bank.example.com/accounts', 4));
+    assert.strictEqual(accounts.find((check) => check.metric === 'Serious issues (ratchet)').passed, false);
+  });
+
+  it('should only loosen through a reset with a reason', () => {
+    const file = stateFile();
+    const ratchet = new ThresholdRatchet(config(file));
+    ratchet.record(ratchet.snapshot(results(1)));
+
+    assert.throws(() => ratchet.reset({}), /needs a reason/);
+    assert.deepStrictEqual(ratchet.reset({ reason: 'New product pages merged', by: 'a11y-lead' }), [
+      'https://bank.example.com',
+    ]);
+    assert.ok(ratchet.evaluate(results(4)).every((check) => check.passed));
+
+    const history = JSON.parse(fs.readFileSync(file, 'utf-8')).targets['https://bank.example.com'].history;
+    assert.deepStrictEqual(history.map((entry) => entry.event), ['tightened', 'reset']);
+    assert.strictEqual(history[1].reason, 'New product pages merged');
+    assert.strictEqual(history[1].previous.serious, 1);
+  });
+
+  it('should not apply in baseline mode', () => {
+    const checker = new ComplianceChecker(config(stateFile()));
+    const auditResults = { ...results(0), issues: { critical: [], serious: [], moderate: [], minor: [] } };
+    const result = checker.check(auditResults, {
+      baseline: { file: 'baseline.json', timestamp: '2024-01-08T10:30:00Z', issues: [] },
+    });
+
+    assert.strictEqual(result.checks.ratchet, undefined);
+    assert.strictEqual(checker.recordRatchet(result), null);
+  });
+});
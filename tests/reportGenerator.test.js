@@ -0,0 +1,289 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ReportGenerator } from '../src/reportGenerator.js';
+import { ComplianceChecker } from '../src/complianceChecker.js';
+import { evaluateConformance } from '../src/conformance.js';
+import { getCriteriaForCode } from '../src/wcagCatalogue.js';
+
+describe('ReportGenerator', () => {
+  const projectRoot = path.join(path.dirname(new URL(import.meta.url).pathname), '..');
+  const config = (extra = {}) => ({
+    reportOutputDir: path.relative(projectRoot, fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'))),
+    wcagVersion: '2.1',
+    wcagLevel: 'AA',
+    regulatoryFrameworks: [],
+    reportFormats: ['json', 'html'],
+    ...extra,
+  });
+
+  const issue = (code, extra = {}) => ({
+    code,
+    message: `${code} message`,
+    selector: `#${code}`,
+    successCriteria: getCriteriaForCode(code, '2.1'),
+    fingerprint: `fp-${code}`,
+    ...extra,
+  });
+  const auditResults = () => ({
+    url: 'https://bank.example.com',
+    pageUrl: 'https://bank.example.com/loans',
+    timestamp: '2024-01-08T09:30:00.000Z',
+    status: 'FAILED',
+    compliance: 72,
+    summary: { critical: 1, serious: 2, moderate: 0, minor: 1, total: 4 },
+    issues: {
+      critical: [issue('image-alt')],
+      serious: [
+        issue('color-contrast'),
+        issue('color-contrast', {
+          selector: '.rate',
+          pageUrl: 'https://bank.example.com/cards',
+          waiver: { id: 'W-1', justification: 'Brand colour', approver: 'CAO', expires: '2024-12-31' },
+        }),
+      ],
+      moderate: [],
+      minor: [issue('region', { successCriteria: [] })],
+    },
+  });
+
+  describe('SARIF', () => {
+    it('should define one rule per rule code with fix help and WCAG tags', () => {
+      const sarif = new ReportGenerator(config())._buildSarifReport(auditResults());
+      const [run] = sarif.runs;
+
+      assert.strictEqual(sarif.version, '2.1.0');
+      assert.deepStrictEqual(run.tool.driver.rules.map((rule) => rule.id), ['image-alt', 'color-contrast', 'region']);
+
+      const contrast = run.tool.driver.rules[1];
+      assert.match(contrast.help.text, /4\.5:1/);
+      assert.deepStrictEqual(contrast.properties.tags, ['accessibility', 'wcag143', 'wcag2aa']);
+      assert.strictEqual(contrast.defaultConfiguration.level, 'error');
+      assert.strictEqual(run.tool.driver.rules[2].shortDescription.text, 'region');
+    });
+
+    it('should locate results by page URL and selector and map severity to levels', () => {
+      const { results } = new ReportGenerator(config())._buildSarifReport(auditResults()).runs[0];
+
+      assert.deepStrictEqual(results.map((result) => result.level), ['error', 'error', 'error', 'note']);
+      assert.strictEqual(results[1].ruleIndex, 1);
+      assert.strictEqual(results[1].locations[0].physicalLocation.artifactLocation.uri, 'https://bank.example.com/loans');
+      assert.strictEqual(results[2].locations[0].physicalLocation.artifactLocation.uri, 'https://bank.example.com/cards');
+      assert.deepStrictEqual(results[2].locations[0].logicalLocations, [{ fullyQualifiedName: '.rate', kind: 'element' }]);
+      assert.deepStrictEqual(results[0].partialFingerprints, { 'accessibilityFingerprint/v1': 'fp-image-alt' });
+    });
+
+    it('should report waived issues as suppressed', () => {
+      const { results } = new ReportGenerator(config())._buildSarifReport(auditResults()).runs[0];
+
+      assert.strictEqual(results[1].suppressions, undefined);
+      assert.strictEqual(results[2].suppressions[0].kind, 'external');
+      assert.match(results[2].suppressions[0].justification, /W-1: Brand colour/);
+    });
+
+    it('should write the formats selected in REPORT_FORMAT to the run', async () => {
+      const generator = new ReportGenerator(config({ reportFormats: ['json', 'sarif'] }));
+      const { runId, files } = await generator.generateReports(auditResults());
+
+      assert.deepStrictEqual(Object.keys(files), ['json', 'sarif']);
+      assert.strictEqual(files.sarif, path.join(generator.runs.runDir(runId), 'compliance-report.sarif'));
+      const sarif = JSON.parse(fs.readFileSync(files.sarif, 'utf-8'));
+      assert.strictEqual(sarif.runs[0].automationDetails.id, `accessibility-audit/${runId}`);
+      assert.ok(generator.runs.get(runId).artifacts.sarif);
+    });
+  });
+
+  describe('JUnit', () => {
+    const testsuites = (xml) => xml.split('<testsuite ').slice(1);
+    const results = () => {
+      const results = auditResults();
+      results.pages = [{ pageUrl: 'https://bank.example.com/loans' }, { pageUrl: 'https://bank.example.com/cards' }];
+      results.conformance = evaluateConformance(results.issues, { version: '2.1', level: 'AA', runners: ['axe'] });
+      return results;
+    };
+
+    it('should write one testsuite per audited URL with a testcase per criterion', () => {
+      const xml = new ReportGenerator(config())._buildJUnitReport(results());
+      const [loans, cards] = testsuites(xml);
+
+      assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+      assert.match(loans, /^id="0" name="https:\/\/bank.example.com\/loans"/);
+      assert.match(cards, /^id="1" name="https:\/\/bank.example.com\/cards"/);
+      assert.match(loans, /<testcase classname="WCAG 2.1 Level A" name="1.1.1 Non-text Content">\s*<failure message="1 issues fail 1.1.1 Non-text Content" type="critical">\[critical\] image-alt #image-alt: image-alt message<\/failure>/);
+      // Failed on the loans page, passed on the cards page
+      assert.match(cards, /<testcase classname="WCAG 2.1 Level A" name="1.1.1 Non-text Content"\/>/);
+      assert.match(cards, /\[serious\] color-contrast .rate: color-contrast message \(waived: W-1\)/);
+      // Criteria above the target level are not testcases; manual ones are skipped
+      assert.ok(!loans.includes('1.4.6 Contrast (Enhanced)'));
+      assert.match(loans, /name="1.3.2 Meaningful Sequence">\s*<skipped message="Not testable automatically; needs manual review"\/>/);
+    });
+
+    it('should add a testcase per compliance check', () => {
+      const checker = new ComplianceChecker({
+        wcagVersion: '2.1',
+        wcagLevel: 'AA',
+        auditRunners: ['axe'],
+        maxCriticalIssues: 0,
+        maxSeriousIssues: 5,
+        maxModerateIssues: 15,
+      });
+      const audit = results();
+      const xml = new ReportGenerator(config())._buildJUnitReport(audit, checker.check(audit));
+      const checks = testsuites(xml).find((suite) => suite.includes('name="Compliance checks"'));
+
+      assert.match(checks, /<testcase classname="compliance" name="Critical Issues">\s*<failure message="✗ Critical issues exceed threshold \(1\/0\)"/);
+      assert.match(checks, /<testcase classname="compliance" name="Serious Issues"\/>/);
+    });
+
+    it('should escape XML in messages and selectors', () => {
+      const audit = auditResults();
+      audit.issues.critical[0].selector = 'a[href="/x?a=1&b=2"] > img';
+      const xml = new ReportGenerator(config())._buildJUnitReport(audit);
+
+      assert.ok(xml.includes('a[href=&quot;/x?a=1&amp;b=2&quot;] &gt; img'));
+    });
+  });
+
+  describe('Legal Compliance', () => {
+    it('should keep the WCAG key fixed and report the target version and level in its value', () => {
+      const generator = new ReportGenerator(config({ wcagVersion: '2.2', wcagLevel: 'AAA' }));
+      const results = auditResults();
+
+      assert.deepStrictEqual(generator._buildReport(results).legal_compliance.wcag, {
+        version: '2.2',
+        level: 'AAA',
+        compliant: false,
+      });
+      assert.ok(
+        generator._generateCertificationHTML(results).includes('<tr><td>WCAG 2.2 Level AAA</td><td>✗ Non-compliant</td></tr>')
+      );
+    });
+  });
+
+  describe('HTML', () => {
+    it('should escape selectors and paths in screenshot markup', () => {
+      const html = new ReportGenerator(config())._createIssueSection('SERIOUS', [
+        issue('label', { selector: 'input[name="email"]', screenshot: 'screenshots/run/element-1.png' }),
+      ]);
+
+      assert.ok(
+        html.includes(
+          '<img class="screenshot" src="screenshots/run/element-1.png" alt="Screenshot of input[name=&quot;email&quot;] outlined">'
+        )
+      );
+    });
+
+    it('should escape crawled page URLs', () => {
+      const page = {
+        pageUrl: 'https://bank.example.com/search?q=<rates>&sort=asc',
+        documentTitle: 'Search',
+        status: 'PASSED',
+        compliance: 100,
+        summary: { critical: 0, serious: 0, moderate: 0, minor: 0, total: 0 },
+      };
+      const html = new ReportGenerator(config())._generatePagesHTML({
+        pages: [page],
+        crawl: { pagesFailed: [{ url: 'https://bank.example.com/?a=1&b=<2>', error: 'timeout' }] },
+      });
+
+      assert.ok(html.includes('https://bank.example.com/search?q=&lt;rates&gt;&amp;sort=asc'));
+      assert.ok(html.includes('Could not audit https://bank.example.com/?a=1&amp;b=&lt;2&gt;: timeout'));
+    });
+
+    it('should escape journey step errors', () => {
+      const html = new ReportGenerator(config())._generateJourneysHTML({
+        journeys: [
+          {
+            name: 'Transfer',
+            status: 'FAILED',
+            steps: [
+              {
+                index: 1,
+                name: 'Open transfers',
+                action: 'click',
+                status: 'FAILED',
+                error: 'Waiting for selector `<a href="/transfer">` failed',
+              },
+            ],
+          },
+        ],
+      });
+
+      assert.ok(html.includes('FAILED: Waiting for selector `&lt;a href=&quot;/transfer&quot;&gt;` failed'));
+    });
+  });
+
+  describe('Waivers', () => {
+    const waiver = {
+      id: 'W-<2>',
+      code: 'color-contrast',
+      justification: 'Brand colours "approved" by <Marketing> & Legal',
+      approver: 'A & B',
+      expires: '2024-12-31',
+    };
+
+    it('should escape waiver fields in the register and on waived issues', () => {
+      const generator = new ReportGenerator(config());
+      const register = generator._generateWaiversHTML({ waivers: { applied: [{ ...waiver, issues: 1 }], unused: [], expired: [] } });
+      const issues = generator._createIssueSection('SERIOUS', [issue('color-contrast', { waiver })]);
+
+      [register, issues].forEach((html) => {
+        assert.ok(html.includes('Brand colours &quot;approved&quot; by &lt;Marketing&gt; &amp; Legal'));
+        assert.ok(html.includes('A &amp; B'));
+        assert.ok(html.includes('W-&lt;2&gt;'));
+        assert.ok(!html.includes('<Marketing>'));
+      });
+    });
+  });
+
+  describe('PDF', () => {
+    // Stand-in for a puppeteer browser that records the document it prints
+    const fakeBrowser = () => {
+      const rendered = [];
+      const page = {
+        setContent: async (html) => rendered.push(html),
+        pdf: async () => Buffer.from('%PDF-1.4\n'),
+        close: async () => {},
+      };
+      return { rendered, newPage: async () => page };
+    };
+
+    it('should print one document whose contents link to every chapter', async () => {
+      const generator = new ReportGenerator(config());
+      const browser = fakeBrowser();
+      const results = auditResults();
+
+      const filepath = await generator.generatePDFReport(results, { browser });
+      const [document] = browser.rendered;
+      const contents = document.slice(document.indexOf('<h2>Contents</h2>'), document.indexOf('id="summary"'));
+
+      assert.strictEqual(browser.rendered.length, 1);
+      assert.deepStrictEqual(
+        Array.from(contents.matchAll(/<a href="#(\w+)">/g)).map((match) => match[1]),
+        ['summary', 'certification', 'conformance', 'remediation', 'issues']
+      );
+      assert.ok(fs.readFileSync(filepath).toString().startsWith('%PDF'));
+      assert.strictEqual(generator.runs.get(results.runId).artifacts.pdf, `runs/${results.runId}/compliance-report.pdf`);
+    });
+
+    it('should include the cover, certification block and an appendix of all issues', () => {
+      const generator = new ReportGenerator(config());
+      const results = auditResults();
+      const chapters = generator._pdfChapters(results);
+      const document = generator._buildPDFReport(
+        results,
+        [generator._pdfCover(results), ...chapters.map((chapter) => generator._pdfChapter(chapter))],
+        'file:///reports/'
+      );
+
+      assert.ok(document.includes('<base href="file:///reports/">'));
+      assert.ok(document.includes('<dt>Audited site</dt><dd>https://bank.example.com</dd>'));
+      assert.ok(document.includes('<h2>🏅 Certification</h2>'));
+      assert.ok(document.includes('Bronze - Fair Accessibility'));
+      const appendix = chapters.find((chapter) => chapter.id === 'issues');
+      assert.strictEqual(appendix.title, 'Appendix A: All Issues');
+      ['image-alt', 'color-contrast', 'region'].forEach((code) => assert.ok(appendix.html.includes(code), code));
+    });
+  });
+});
@@ -0,0 +1,102 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RunStore } from '../src/runStore.js';
+import { ReportGenerator } from '../src/reportGenerator.js';
+
+describe('RunStore', () => {
+  const projectRoot = path.join(path.dirname(new URL(import.meta.url).pathname), '..');
+  const reportOutputDir = () => path.relative(projectRoot, fs.mkdtempSync(path.join(os.tmpdir(), 'runs-')));
+  const day = (n) => new Date(Date.UTC(2024, 0, n));
+
+  const auditResults = (extra = {}) => ({
+    url: 'https://bank.example.com',
+    timestamp: '2024-01-08T09:30:00.000Z',
+    status: 'PASSED',
+    compliance: 96,
+    summary: { critical: 0, serious: 0, moderate: 0, minor: 0, total: 0 },
+    issues: { critical: [], serious: [], moderate: [], minor: [] },
+    ...extra,
+  });
+
+  it('should give every run a unique ID and its own directory', () => {
+    const store = new RunStore({ reportOutputDir: reportOutputDir() });
+    const first = store.create(auditResults(), day(8));
+    const second = store.create(auditResults(), day(8));
+
+    assert.notStrictEqual(first.id, second.id);
+    assert.match(first.id, /^20240108T000000Z-[0-9a-f]{6}$/);
+    assert.ok(fs.existsSync(store.runDir(first.id)));
+    assert.strictEqual(store.list().length, 2);
+  });
+
+  it('should write both report formats to one run and index them in the manifest', async () => {
+    const config = { reportOutputDir: reportOutputDir(), wcagVersion: '2.1', wcagLevel: 'AA', regulatoryFrameworks: [] };
+    const generator = new ReportGenerator(config);
+    const results = auditResults();
+
+    const json = await generator.generateReport(results);
+    const html = await generator.generateHTMLReport(results);
+
+    const run = generator.runs.get(json.runId);
+    assert.strictEqual(path.dirname(html), generator.runs.runDir(json.runId));
+    assert.deepStrictEqual(run.artifacts, {
+      json: `runs/${json.runId}/compliance-report.json`,
+      html: `runs/${json.runId}/compliance-report.html`,
+    });
+    assert.strictEqual(run.url, 'https://bank.example.com');
+    assert.strictEqual(run.status, 'PASSED');
+    assert.ok(fs.readFileSync(html, 'utf-8').includes('<base href="../../">'));
+
+    const { report } = generator.runs.readReport();
+    assert.strictEqual(report.metadata.runId, json.runId);
+  });
+
+  it('should record the page URL of single-page audits, not the page title', () => {
+    const store = new RunStore({ reportOutputDir: reportOutputDir() });
+    const run = store.create(auditResults({ url: 'Online Banking', pageUrl: 'https://bank.example.com/accounts' }), day(8));
+
+    assert.strictEqual(run.url, 'https://bank.example.com/accounts');
+    assert.deepStrictEqual(store.list({ url: 'https://bank.example.com/accounts' }).map((entry) => entry.id), [run.id]);
+    assert.deepStrictEqual(store.list({ url: 'Online Banking' }), []);
+  });
+
+  it('should look up runs by ID', () => {
+    const store = new RunStore({ reportOutputDir: reportOutputDir() });
+    const run = store.create(auditResults(), day(8));
+
+    assert.strictEqual(store.get(run.id).url, 'https://bank.example.com');
+    assert.throws(() => store.get('missing'), /Run not found: missing/);
+    assert.throws(() => store.readReport(), /No runs recorded/);
+  });
+
+  it('should prune runs outside the retention policy but keep pinned ones', () => {
+    const dir = reportOutputDir();
+    const store = new RunStore({ reportOutputDir: dir, reportRetentionRuns: 2 });
+    const screenshot = 'screenshots/2024-01-01-bank/page.png';
+    fs.mkdirSync(path.join(store.reportDir, path.dirname(screenshot)), { recursive: true });
+
+    const oldest = store.create(auditResults({ screenshot }), day(1));
+    const pinned = store.create(auditResults(), day(2));
+    const middle = store.create(auditResults(), day(3));
+    const newest = store.create(auditResults(), day(4));
+    store.pin(pinned.id, true, 'Q1 audit evidence');
+
+    const pruned = store.prune(day(5));
+
+    assert.deepStrictEqual(pruned.map((run) => run.id), [oldest.id]);
+    assert.deepStrictEqual(store.list().map((run) => run.id), [newest.id, middle.id, pinned.id]);
+    assert.ok(!fs.existsSync(store.runDir(oldest.id)));
+    assert.ok(!fs.existsSync(path.join(store.reportDir, path.dirname(screenshot))));
+  });
+
+  it('should prune runs older than the retention days', () => {
+    const store = new RunStore({ reportOutputDir: reportOutputDir(), reportRetentionDays: 30 });
+    const old = store.create(auditResults(), day(1));
+    store.create(auditResults(), day(20));
+
+    assert.deepStrictEqual(store.prune(new Date(Date.UTC(2024, 1, 5))).map((run) => run.id), [old.id]);
+    assert.deepStrictEqual(new RunStore({ reportOutputDir: reportOutputDir() }).prune(), []);
+  });
+});
@@ -0,0 +1,86 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ScopeResolver, DEFAULT_SCOPE } from '../src/scopes.js';
+import { AccessibilityAuditor } from '../src/auditor.js';
+
+describe('ScopeResolver', () => {
+  const writeProfiles = (definition) => {
+    const filepath = path.join(os.tmpdir(), `scopes-${process.pid}-${Date.now()}.json`);
+    fs.writeFileSync(filepath, JSON.stringify(definition));
+    return filepath;
+  };
+
+  describe('Scope Resolution', () => {
+    it('should audit the whole document when no profiles are configured', () => {
+      const resolver = new ScopeResolver({});
+      const scope = resolver.resolve('https://bank.example.com/');
+
+      assert.deepStrictEqual(scope.include, []);
+      assert.deepStrictEqual(resolver.getRoots(scope), [null]);
+      assert.strictEqual(scope.wait, DEFAULT_SCOPE.wait);
+    });
+
+    it('should layer matching URL-pattern profiles over the site default', () => {
+      const resolver = new ScopeResolver({
+        scopeProfilesFile: writeProfiles({
+          default: { exclude: ['#cookie-consent'], wait: 1000 },
+          profiles: [
+            { name: 'site', urlPattern: 'bank\\.example\\.com', include: ['header', 'main'] },
+            { name: 'statements', urlPattern: '/statements', waitFor: ['.statement-table'] },
+          ],
+        }),
+      });
+
+      const scope = resolver.resolve('https://bank.example.com/statements');
+      assert.deepStrictEqual(scope.profiles, ['default', 'site', 'statements']);
+      assert.deepStrictEqual(scope.include, ['header', 'main']);
+      assert.deepStrictEqual(scope.exclude, ['#cookie-consent']);
+      assert.deepStrictEqual(scope.waitFor, ['.statement-table']);
+      assert.strictEqual(scope.wait, 1000);
+    });
+
+    it('should use rootElement as the single root when nothing is included', () => {
+      const resolver = new ScopeResolver({});
+      assert.deepStrictEqual(
+        resolver.getRoots({ ...DEFAULT_SCOPE, rootElement: '.bank-container' }),
+        ['.bank-container']
+      );
+    });
+  });
+
+  describe('Profile Validation', () => {
+    it('should reject profiles without a urlPattern', () => {
+      assert.throws(
+        () => new ScopeResolver({ scopeProfilesFile: writeProfiles({ profiles: [{ name: 'x' }] }) }),
+        /missing a urlPattern/
+      );
+    });
+
+    it('should reject non-array selector lists', () => {
+      assert.throws(
+        () =>
+          new ScopeResolver({
+            scopeProfilesFile: writeProfiles({ default: { exclude: '.chat-widget' } }),
+          }),
+        /exclude must be an array/
+      );
+    });
+  });
+
+  describe('Pa11y Options', () => {
+    it('should map scope exclusions and wait conditions to pa11y options', () => {
+      const auditor = new AccessibilityAuditor({ wcagLevel: 'AA' });
+      const options = auditor._buildPa11yOptions(
+        { ...DEFAULT_SCOPE, exclude: ['.ads', '#chat'], waitFor: ['main'], wait: 0 },
+        { rootElement: 'main' }
+      );
+
+      assert.strictEqual(options.hideElements, '.ads, #chat');
+      assert.deepStrictEqual(options.actions, ['wait for element main to be visible']);
+      assert.strictEqual(options.rootElement, 'main');
+      assert.strictEqual(options.include, undefined);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ScoringModel } from '../src/scoring.js';
+import { evaluateConformance } from '../src/conformance.js';
+import { getCriteriaForCode } from '../src/wcagCatalogue.js';
+
+describe('ScoringModel', () => {
+  const options = { version: '2.1', level: 'AA', runners: ['axe'] };
+  const issue = (code) => ({ code, successCriteria: getCriteriaForCode(code, '2.1') });
+  const issues = ({ critical = [], serious = [], moderate = [], minor = [] }) => ({
+    critical,
+    serious,
+    moderate,
+    minor,
+  });
+  const score = (model, grouped) => model.score(grouped, evaluateConformance(grouped, options));
+
+  const writeModel = (definition) => {
+    const filepath = path.join(os.tmpdir(), `scoring-${process.pid}-${Date.now()}.json`);
+    fs.writeFileSync(filepath, JSON.stringify(definition));
+    return filepath;
+  };
+
+  it('should score 100 with no issues and explain each component', () => {
+    const result = score(new ScoringModel({}), issues({}));
+
+    assert.strictEqual(result.score, 100);
+    assert.strictEqual(result.model, 'default');
+    assert.deepStrictEqual(
+      result.components.map((component) => [component.name, component.weight, component.contribution]),
+      [
+        ['criteria', 0.6, 60],
+        ['severity', 0.4, 40],
+      ]
+    );
+  });
+
+  it('should not let minor issues raise the score of a critical one', () => {
+    const model = new ScoringModel({});
+    const critical = score(model, issues({ critical: [issue('image-alt')] }));
+    const criticalAndMinor = score(
+      model,
+      issues({ critical: [issue('image-alt')], minor: Array.from({ length: 10 }, () => issue('region')) })
+    );
+
+    assert.ok(critical.score > 0 && critical.score < 100);
+    assert.ok(criticalAndMinor.score < critical.score);
+    assert.strictEqual(critical.components.find((component) => component.name === 'severity').value, 75);
+  });
+
+  it('should weight pages by importance when combining', () => {
+    const model = new ScoringModel({
+      scoringModelFile: writeModel({ pages: { weights: [{ urlPattern: '/login', weight: 3 }] } }),
+    });
+    const combined = model.combine([
+      { url: 'https://bank.example.com/login', scoring: score(model, issues({ critical: [issue('label')] })) },
+      { url: 'https://bank.example.com/about', scoring: score(model, issues({})) },
+    ]);
+
+    assert.deepStrictEqual(combined.pages.map((page) => page.weight), [3, 1]);
+    // Three quarters of the weight sits on the page with the issue
+    const login = combined.pages[0].score;
+    assert.strictEqual(combined.score, Math.round((3 * login + 100) / 4));
+  });
+
+  it('should reject an invalid model file', () => {
+    const file = writeModel({ components: { criteria: 1, speed: 1 } });
+
+    assert.throws(() => new ScoringModel({ scoringModelFile: file }), /component "speed"/);
+  });
+});
@@ -0,0 +1,79 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ScreenshotCapturer } from '../src/screenshots.js';
+
+describe('ScreenshotCapturer', () => {
+  // The capturer resolves the report directory against the project root
+  const projectRoot = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+  const reportOutputDir = path.relative(projectRoot, fs.mkdtempSync(path.join(os.tmpdir(), 'screenshots-')));
+  const capturer = new ScreenshotCapturer({ reportOutputDir });
+
+  // Minimal stand-in for a puppeteer page: elements are known selectors with a box
+  const fakePage = (boxes) => {
+    const shots = [];
+    return {
+      shots,
+      $: async (selector) =>
+        selector in boxes
+          ? {
+              boundingBox: async () => boxes[selector],
+              evaluate: async () => ({}),
+              screenshot: async ({ path: file }) => shots.push(file),
+              dispose: async () => {},
+            }
+          : null,
+    };
+  };
+
+  it('should create a per-page directory relative to the report directory', () => {
+    const dir = capturer.createDirectory('https://bank.example.com/accounts?tab=1');
+
+    assert.match(dir, /^screenshots\/.+-bank-example-com-accounts-tab-1$/);
+    assert.ok(fs.existsSync(path.join(capturer.reportDir, dir)));
+  });
+
+  it('should close the page it opened when capturing fails', async () => {
+    let closed = 0;
+    const browser = {
+      newPage: async () => ({
+        goto: async () => {
+          throw new Error('net::ERR_CONNECTION_RESET');
+        },
+        close: async () => {
+          closed += 1;
+        },
+      }),
+    };
+    const result = { issues: { critical: [], serious: [], moderate: [], minor: [] } };
+
+    assert.strictEqual(await capturer.capture('https://bank.example.com/', result, { browser }), result);
+    assert.strictEqual(closed, 1);
+    assert.strictEqual(result.screenshot, undefined);
+  });
+
+  it('should crop each element once and attach the crop to its issues', async () => {
+    const page = fakePage({ '#pay': { x: 0, y: 0, width: 80, height: 20 }, '#hidden': null });
+    const result = {
+      issues: {
+        critical: [{ code: 'button-name', selector: '#pay' }],
+        serious: [
+          { code: 'color-contrast', selector: '#pay' },
+          { code: 'link-name', selector: '#hidden' },
+        ],
+        moderate: [{ code: 'region', selector: '' }],
+        minor: [],
+      },
+    };
+
+    await capturer._captureElements(page, result, 'screenshots/run', '-mobile');
+
+    assert.strictEqual(page.shots.length, 1);
+    assert.strictEqual(result.issues.critical[0].screenshot, 'screenshots/run/element-1-mobile.png');
+    assert.strictEqual(result.issues.serious[0].screenshot, result.issues.critical[0].screenshot);
+    assert.strictEqual(result.issues.serious[1].screenshot, undefined);
+    assert.strictEqual(result.issues.moderate[0].screenshot, undefined);
+  });
+});
@@ -0,0 +1,104 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StatementGenerator } from '../src/statementGenerator.js';
+import { evaluateConformance } from '../src/conformance.js';
+import { getCriteriaForCode } from '../src/wcagCatalogue.js';
+
+describe('StatementGenerator', () => {
+  const options = { version: '2.1', level: 'AA', runners: ['axe'] };
+  const issue = (code, pageUrl, extra = {}) => ({
+    code,
+    message: `${code} problem`,
+    pageUrl,
+    successCriteria: getCriteriaForCode(code, '2.1'),
+    ...extra,
+  });
+  const auditResults = (serious) => {
+    const issues = { critical: [], serious, moderate: [], minor: [] };
+    return {
+      url: 'https://bank.example.com',
+      timestamp: '2024-03-01T10:00:00.000Z',
+      issues,
+      conformance: evaluateConformance(issues, options),
+    };
+  };
+  const generator = (statement = {}) =>
+    new StatementGenerator({
+      reportOutputDir: path.relative(process.cwd(), fs.mkdtempSync(path.join(os.tmpdir(), 'statement-'))),
+      statement: { organization: 'Example Bank plc', assessment: 'self-assessment', responseDays: 5, ...statement },
+    });
+
+  it('should be fully compliant when no criterion failed', () => {
+    const statement = generator().build(auditResults([]));
+
+    assert.strictEqual(statement.status, 'full');
+    assert.strictEqual(statement.nonCompliance.length, 0);
+    assert.strictEqual(statement.website, 'https://bank.example.com');
+    assert.strictEqual(statement.assessedOn, '2024-03-01');
+  });
+
+  it('should name the audited page URL, not its title, when no website is configured', () => {
+    const statement = generator().build({
+      ...auditResults([]),
+      url: 'Online Banking',
+      pageUrl: 'https://bank.example.com/accounts',
+    });
+
+    assert.strictEqual(statement.website, 'https://bank.example.com/accounts');
+    assert.ok(generator().toMarkdown(statement).startsWith('# Accessibility statement for https://bank.example.com/accounts'));
+  });
+
+  it('should group non-accessible content by WCAG criterion', () => {
+    const statement = generator().build(
+      auditResults([
+        issue('color-contrast', 'https://bank.example.com/'),
+        issue('color-contrast', 'https://bank.example.com/loans'),
+        issue('image-alt', 'https://bank.example.com/'),
+      ])
+    );
+
+    assert.strictEqual(statement.status, 'partial');
+    assert.deepStrictEqual(statement.nonCompliance.map((item) => item.id), ['1.1.1', '1.4.3']);
+    const contrast = statement.nonCompliance.find((item) => item.id === '1.4.3');
+    assert.strictEqual(contrast.issues, 2);
+    assert.strictEqual(contrast.pages, 2);
+    assert.deepStrictEqual(contrast.problems, ['color-contrast problem']);
+  });
+
+  it('should take the planned fix date from the latest SLA due date', () => {
+    const statement = generator().build(
+      auditResults([
+        issue('color-contrast', 'https://bank.example.com/', { sla: { dueDate: '2024-03-15T00:00:00.000Z' } }),
+        issue('color-contrast', 'https://bank.example.com/loans', { sla: { dueDate: '2024-03-20T00:00:00.000Z' } }),
+      ])
+    );
+
+    assert.strictEqual(statement.nonCompliance[0].dueDate, '2024-03-20');
+    assert.match(statement.nonCompliance[0].plannedFix, /by 2024-03-20/);
+  });
+
+  it('should require the organization name', () => {
+    assert.throws(() => generator({ organization: undefined }).build(auditResults([])), /STATEMENT_ORGANIZATION/);
+  });
+
+  it('should write the EU model sections as Markdown and HTML', async () => {
+    const { markdown, html } = await generator({
+      contactEmail: 'accessibility@bank.example.com',
+      enforcementBody: 'the Equality Advisory and Support Service',
+    }).generate(auditResults([issue('color-contrast', 'https://bank.example.com/')]));
+
+    const md = fs.readFileSync(markdown, 'utf-8');
+    ['## Compliance status', '## Non-accessible content', '## Preparation of this accessibility statement',
+      '## Feedback and contact information', '## Enforcement procedure'].forEach((heading) => {
+      assert.ok(md.includes(heading), heading);
+    });
+    assert.ok(md.includes('#### 1.4.3 Contrast (Minimum) (Level AA)'));
+    assert.ok(md.includes('- Email: accessibility@bank.example.com'));
+
+    const page = fs.readFileSync(html, 'utf-8');
+    assert.ok(page.includes('<h2>Enforcement procedure</h2>'));
+    assert.ok(page.includes('mailto:accessibility@bank.example.com'));
+  });
+});
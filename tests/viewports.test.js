@@ -0,0 +1,118 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveViewports, VIEWPORT_PRESETS } from '../src/viewports.js';
+import { AccessibilityAuditor } from '../src/auditor.js';
+
+describe('Viewport Matrix', () => {
+  const config = {
+    wcagLevel: 'AA',
+    wcagVersion: '2.1',
+    auditRunners: ['axe'],
+    maxCriticalIssues: 0,
+    maxSeriousIssues: 5,
+    maxModerateIssues: 15,
+  };
+
+  describe('Profile Resolution', () => {
+    it('should audit at the default size when no viewports are configured', () => {
+      assert.deepStrictEqual(resolveViewports({ viewports: [] }), []);
+    });
+
+    it('should resolve built-in profiles in the configured order', () => {
+      const profiles = resolveViewports({ viewports: ['reflow-320', 'zoom-200'] });
+
+      assert.deepStrictEqual(
+        profiles.map((profile) => profile.name),
+        ['reflow-320', 'zoom-200']
+      );
+      assert.strictEqual(profiles[0].viewport.width, 320);
+      assert.strictEqual(profiles[1].viewport, VIEWPORT_PRESETS['zoom-200']);
+    });
+
+    it('should use every custom profile when only a file is given', () => {
+      const filepath = path.join(os.tmpdir(), `viewports-${process.pid}-${Date.now()}.json`);
+      fs.writeFileSync(filepath, JSON.stringify({ kiosk: { width: 1080, height: 1920 } }));
+
+      const profiles = resolveViewports({ viewports: [], viewportsFile: filepath });
+      assert.deepStrictEqual(profiles, [{ name: 'kiosk', viewport: { width: 1080, height: 1920 } }]);
+    });
+
+    it('should reject unknown profile names', () => {
+      assert.throws(() => resolveViewports({ viewports: ['watch'] }), /Unknown viewport profile "watch"/);
+    });
+  });
+
+  describe('Result Merging', () => {
+    const issue = (code, selector) => ({ code, selector, severity: 'serious', message: code });
+    const result = (serious) => ({
+      url: 'Home',
+      wcagLevel: 'AA',
+      summary: { total: serious.length, critical: 0, serious: serious.length, moderate: 0, minor: 0 },
+      issues: { critical: [], serious, moderate: [], minor: [] },
+      status: 'PASSED',
+      compliance: 100,
+    });
+
+    it('should flag issues found at only some viewports', () => {
+      const auditor = new AccessibilityAuditor(config);
+      const merged = auditor._mergeViewportResults([
+        {
+          profile: { name: 'reflow-320', viewport: VIEWPORT_PRESETS['reflow-320'] },
+          result: result([issue('target-size', '#menu'), issue('color-contrast', '.footer')]),
+        },
+        {
+          profile: { name: 'desktop', viewport: VIEWPORT_PRESETS.desktop },
+          result: result([issue('color-contrast', '.footer')]),
+        },
+      ]);
+
+      assert.strictEqual(merged.summary.total, 2);
+      assert.strictEqual(merged.summary.viewportSpecific, 1);
+
+      const targetSize = merged.issues.serious.find((i) => i.code === 'target-size');
+      assert.deepStrictEqual(targetSize.viewports, ['reflow-320']);
+      assert.strictEqual(targetSize.viewportSpecific, true);
+
+      const contrast = merged.issues.serious.find((i) => i.code === 'color-contrast');
+      assert.deepStrictEqual(contrast.viewports, ['reflow-320', 'desktop']);
+      assert.strictEqual(contrast.viewportSpecific, false);
+
+      assert.deepStrictEqual(
+        merged.viewports.map((v) => [v.name, v.width, v.summary.total]),
+        [
+          ['reflow-320', 320, 2],
+          ['desktop', 1280, 1],
+        ]
+      );
+    });
+  });
+
+  describe('Open Pages', () => {
+    it('should restore the page size and report missing roots once', async () => {
+      const auditor = new AccessibilityAuditor({ ...config, viewports: ['reflow-320', 'desktop'] });
+      const journeyViewport = { width: 1366, height: 768 };
+      let current = journeyViewport;
+      const page = {
+        url: () => 'https://bank.example.com/transfer',
+        viewport: () => current,
+        setViewport: async (viewport) => {
+          current = viewport;
+        },
+      };
+      // Stands in for pa11y: resizes the page and finds no modal at any size
+      auditor._runScopedAudit = async (url, scope, overrides) => {
+        await overrides.page.setViewport(overrides.viewport);
+        scope.missingRoots = [...(scope.missingRoots || []), '#confirm-modal'];
+        return { documentTitle: 'Transfer', pageUrl: url, issues: [] };
+      };
+
+      const results = await auditor.auditPage({}, page);
+
+      assert.strictEqual(current, journeyViewport);
+      assert.deepStrictEqual(results.scope.missingRoots, ['#confirm-modal']);
+      assert.deepStrictEqual(results.viewports.map((viewport) => viewport.name), ['reflow-320', 'desktop']);
+    });
+  });
+});
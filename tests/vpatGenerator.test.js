@@ -0,0 +1,117 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { VpatGenerator } from '../src/vpatGenerator.js';
+import { evaluateConformance } from '../src/conformance.js';
+import { getCriteriaForCode } from '../src/wcagCatalogue.js';
+
+describe('VpatGenerator', () => {
+  const options = { version: '2.1', level: 'AA', runners: ['axe'] };
+  const issue = (code, pageUrl, extra = {}) => ({
+    code,
+    message: `${code} problem`,
+    pageUrl,
+    successCriteria: getCriteriaForCode(code, '2.1'),
+    ...extra,
+  });
+  const auditResults = ({ critical = [], serious = [] }, pages = ['https://bank.example.com/']) => {
+    const issues = { critical, serious, moderate: [], minor: [] };
+    return {
+      url: 'https://bank.example.com',
+      timestamp: '2024-03-01T10:00:00.000Z',
+      issues,
+      conformance: evaluateConformance(issues, options),
+      pages: pages.map((pageUrl) => ({ pageUrl })),
+    };
+  };
+  const generator = (vpat = {}) =>
+    new VpatGenerator({
+      reportOutputDir: path.relative(process.cwd(), fs.mkdtempSync(path.join(os.tmpdir(), 'vpat-'))),
+      auditRunners: ['axe'],
+      vpat: { productName: 'Online Banking', productVersion: '4.2', vendor: 'Example Bank plc', ...vpat },
+    });
+  const row = (acr, id) => acr.tables.flatMap((table) => table.rows).find((candidate) => candidate.id === id);
+
+  it('should fill one table per level up to the target level', () => {
+    const acr = generator().build(auditResults({}));
+
+    assert.deepStrictEqual(acr.tables.map((table) => table.level), ['A', 'AA']);
+    assert.strictEqual(row(acr, '1.1.1').conformance, 'Supports');
+    assert.strictEqual(row(acr, '1.3.2').conformance, 'Not Evaluated');
+    assert.strictEqual(row(acr, '1.4.6'), undefined);
+    assert.strictEqual(row(acr, '1.3.4').label, '1.3.4 Orientation (Level AA 2.1 only)');
+  });
+
+  it('should not claim support for criteria no enabled rule tested', () => {
+    const issues = { critical: [], serious: [], moderate: [], minor: [] };
+    const acr = generator().build({
+      ...auditResults({}),
+      conformance: evaluateConformance(issues, { ...options, level: 'AAA' }),
+    });
+
+    // Only experimental or AAA-tagged axe rules test these, and pa11y does not run them
+    assert.strictEqual(row(acr, '2.5.3').conformance, 'Not Evaluated');
+    assert.strictEqual(row(acr, '1.4.6').conformance, 'Not Evaluated');
+    assert.strictEqual(row(acr, '2.4.9').conformance, 'Not Evaluated');
+  });
+
+  it('should name the audited page, not its title, for single-page audits', () => {
+    const acr = generator().build({
+      ...auditResults({}),
+      url: 'Online Banking - Accounts',
+      pageUrl: 'https://bank.example.com/accounts',
+      pages: undefined,
+    });
+
+    assert.ok(acr.evaluationMethods.includes('of 1 page of https://bank.example.com/accounts on 2024-03-01'));
+  });
+
+  it('should grade failed criteria by severity and reach', () => {
+    const pages = ['https://bank.example.com/', 'https://bank.example.com/loans'];
+    const acr = generator().build(
+      auditResults(
+        {
+          critical: [issue('image-alt', 'https://bank.example.com/')],
+          serious: [
+            issue('color-contrast', 'https://bank.example.com/'),
+            issue('label', 'https://bank.example.com/'),
+            issue('label', 'https://bank.example.com/loans'),
+          ],
+        },
+        pages
+      )
+    );
+
+    assert.strictEqual(row(acr, '1.1.1').conformance, 'Does Not Support');
+    assert.strictEqual(row(acr, '1.4.3').conformance, 'Partially Supports');
+    // Fails on every audited page
+    assert.strictEqual(row(acr, '4.1.2').conformance, 'Does Not Support');
+    assert.deepStrictEqual(row(acr, '4.1.2').remarks, [
+      '2 issues on 2 of 2 audited pages:',
+      'label problem (2 instances)',
+    ]);
+    assert.strictEqual(acr.summary['Does Not Support'] > 0, true);
+  });
+
+  it('should require the product name', () => {
+    assert.throws(() => generator({ productName: undefined }).build(auditResults({})), /VPAT_PRODUCT_NAME/);
+  });
+
+  it('should write HTML and a Word-compatible document', async () => {
+    const { html, doc } = await generator({ evaluationMethods: 'Manual testing with NVDA.' }).generate(
+      auditResults({ serious: [issue('color-contrast', 'https://bank.example.com/')] })
+    );
+
+    const page = fs.readFileSync(html, 'utf-8');
+    assert.ok(page.includes('<h1>Online Banking 4.2 Accessibility Conformance Report</h1>'));
+    assert.ok(page.includes('<caption>Table 2: Success Criteria, Level AA</caption>'));
+    assert.ok(page.includes('<tr><td>1.4.3 Contrast (Minimum) (Level AA)</td><td>Partially Supports</td>'));
+    assert.ok(page.includes('Manual testing with NVDA.'));
+    assert.ok(!page.includes('Word.Document'));
+
+    const word = fs.readFileSync(doc, 'utf-8');
+    assert.ok(word.includes('xmlns:w="urn:schemas-microsoft-com:office:word"'));
+    assert.ok(word.includes('<meta name="ProgId" content="Word.Document">'));
+  });
+});
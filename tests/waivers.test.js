@@ -0,0 +1,113 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { WaiverRegister } from '../src/waivers.js';
+import { ComplianceChecker } from '../src/complianceChecker.js';
+
+describe('WaiverRegister', () => {
+  const writeWaivers = (waivers) => {
+    const filepath = path.join(os.tmpdir(), `waivers-${process.pid}-${Date.now()}.json`);
+    fs.writeFileSync(filepath, JSON.stringify({ waivers }));
+    return filepath;
+  };
+
+  const waiver = (id, extra) => ({
+    id,
+    code: 'color-contrast',
+    justification: 'Vendor widget under remediation contract',
+    approver: 'Compliance Office',
+    expires: '2099-12-31',
+    ...extra,
+  });
+
+  const config = {
+    wcagLevel: 'AA',
+    wcagVersion: '2.1',
+    maxCriticalIssues: 0,
+    maxSeriousIssues: 0,
+    maxModerateIssues: 15,
+    failOnSerious: true,
+  };
+
+  const auditResults = () => ({
+    pageUrl: 'https://bank.example.com/',
+    summary: { critical: 0, serious: 2, moderate: 0, minor: 0, total: 2 },
+    compliance: 92,
+    issues: {
+      critical: [],
+      serious: [
+        { code: 'color-contrast', selector: '#chat .launcher' },
+        { code: 'color-contrast', selector: '.footer' },
+      ],
+      moderate: [],
+      minor: [],
+    },
+  });
+
+  it('should exclude waived issues from gating but keep them tagged', () => {
+    const register = new WaiverRegister({
+      waiversFile: writeWaivers([waiver('W-1', { selector: '#chat .launcher' }), waiver('W-2', { urlPattern: '/help' })]),
+    });
+    const results = auditResults();
+    const applied = register.apply(results, new Date('2026-10-19'));
+
+    assert.strictEqual(applied.results.summary.serious, 1);
+    assert.strictEqual(applied.results.summary.total, 1);
+    assert.strictEqual(applied.results.issues.serious[0].selector, '.footer');
+    assert.strictEqual(results.issues.serious[0].waiver.id, 'W-1');
+    assert.deepStrictEqual(applied.register.applied.map((w) => [w.id, w.issues]), [['W-1', 1]]);
+    assert.deepStrictEqual(applied.register.unused.map((w) => w.id), ['W-2']);
+  });
+
+  it('should stop honouring a waiver after its expiry date', () => {
+    const register = new WaiverRegister({
+      waiversFile: writeWaivers([waiver('W-1', { selector: '#chat .launcher', expires: '2026-10-18' })]),
+    });
+    const applied = register.apply(auditResults(), new Date('2026-10-19T08:00:00Z'));
+
+    assert.strictEqual(applied.results.summary.serious, 2);
+    assert.deepStrictEqual(applied.register.expired.map((w) => w.id), ['W-1']);
+  });
+
+  it('should reject waivers without a matcher or approver', () => {
+    assert.throws(
+      () => new WaiverRegister({ waiversFile: writeWaivers([waiver('W-1')]) }),
+      /needs a selector or urlPattern/
+    );
+    assert.throws(
+      () => new WaiverRegister({ waiversFile: writeWaivers([waiver('W-1', { selector: 'a', approver: '' })]) }),
+      /Waiver W-1 is missing approver/
+    );
+  });
+
+  describe('Compliance Gating', () => {
+    it('should pass thresholds once accepted issues are waived', () => {
+      const checker = new ComplianceChecker({
+        ...config,
+        maxSeriousIssues: 1,
+        waiversFile: writeWaivers([waiver('W-1', { selector: '#chat .launcher' })]),
+      });
+      const results = auditResults();
+      const result = checker.check(results);
+
+      assert.strictEqual(result.checks.seriousIssues.current, 1);
+      assert(result.passed);
+      assert.strictEqual(results.waivers.waivedIssues, 1);
+    });
+
+    it('should fail the check when a waiver has expired', () => {
+      const checker = new ComplianceChecker({
+        ...config,
+        maxSeriousIssues: 5,
+        waiversFile: writeWaivers([waiver('W-1', { selector: '#chat .launcher', expires: '2020-01-31' })]),
+      });
+      const result = checker.check(auditResults());
+
+      assert(result.checks.seriousIssues.passed);
+      assert(!result.checks.waivers.passed);
+      assert(!result.passed);
+      assert.match(result.checks.waivers.message, /W-1 \(expired 2020-01-31\)/);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import assert from 'assert';
+import {
+  AXE_RULES,
+  SUCCESS_CRITERIA,
+  getAxeRuleSelection,
+  getCriteriaForCode,
+  getCriteriaForVersion,
+  getEnabledAxeRules,
+  getLowestLevel,
+  summarizeByCriterion,
+} from '../src/wcagCatalogue.js';
+
+describe('WCAG Catalogue', () => {
+  describe('Success Criteria', () => {
+    it('should describe each criterion with level, principle and guideline', () => {
+      const contrast = SUCCESS_CRITERIA['1.4.3'];
+      assert.strictEqual(contrast.title, 'Contrast (Minimum)');
+      assert.strictEqual(contrast.level, 'AA');
+      assert.strictEqual(contrast.principle, 'Perceivable');
+      assert.strictEqual(contrast.guideline, '1.4 Distinguishable');
+    });
+
+    it('should only reference known criteria from axe rules', () => {
+      Object.entries(AXE_RULES).forEach(([rule, ids]) => {
+        ids.forEach((id) => assert(SUCCESS_CRITERIA[id], `${rule} references unknown criterion ${id}`));
+      });
+    });
+  });
+
+  describe('Rule Lookup', () => {
+    it('should map axe rules to every criterion they test', () => {
+      const ids = getCriteriaForCode('link-name').map((criterion) => criterion.id);
+      assert.deepStrictEqual(ids, ['2.4.4', '4.1.2']);
+      // axe-core tags label with wcag412 only
+      assert.deepStrictEqual(getCriteriaForCode('label').map((criterion) => criterion.id), ['4.1.2']);
+    });
+
+    it('should read the criterion from HTML_CodeSniffer codes', () => {
+      const [criterion] = getCriteriaForCode('WCAG2AA.Principle1.Guideline1_4.1_4_3.G18.Fail');
+      assert.strictEqual(criterion.id, '1.4.3');
+    });
+
+    it('should distinguish best practices from unknown rules', () => {
+      assert.deepStrictEqual(getCriteriaForCode('region'), []);
+      assert.strictEqual(getCriteriaForCode('not-a-rule'), null);
+    });
+
+    it('should report the lowest level among several criteria', () => {
+      assert.strictEqual(getLowestLevel(getCriteriaForCode('meta-refresh-no-exceptions')), 'AAA');
+      assert.strictEqual(
+        getLowestLevel([SUCCESS_CRITERIA['1.4.3'], SUCCESS_CRITERIA['1.1.1']]),
+        'A'
+      );
+      assert.strictEqual(getLowestLevel([]), null);
+    });
+  });
+
+  describe('Results by Criterion', () => {
+    it('should count issues under each criterion they fail', () => {
+      const summary = summarizeByCriterion({
+        critical: [{ code: 'link-name', successCriteria: getCriteriaForCode('link-name') }],
+        serious: [{ code: 'color-contrast', successCriteria: getCriteriaForCode('color-contrast') }],
+        moderate: [{ code: 'region', successCriteria: [] }],
+        minor: [],
+      });
+
+      assert.deepStrictEqual(
+        summary.map((entry) => [entry.id, entry.total]),
+        [
+          ['1.4.3', 1],
+          ['2.4.4', 1],
+          ['4.1.2', 1],
+          ['best-practice', 1],
+        ]
+      );
+      assert.strictEqual(summary[0].serious, 1);
+    });
+  });
+
+  describe('WCAG Versions', () => {
+    it('should add the 2.2 criteria and drop 4.1.1 Parsing in 2.2', () => {
+      const ids21 = getCriteriaForVersion('2.1', 'AA').map((criterion) => criterion.id);
+      const ids22 = getCriteriaForVersion('2.2', 'AA').map((criterion) => criterion.id);
+
+      assert.strictEqual(ids21.length, 50);
+      assert.strictEqual(ids22.length, 55);
+      assert(ids21.includes('4.1.1') && !ids22.includes('4.1.1'));
+      ['2.4.11', '2.5.7', '2.5.8', '3.2.6', '3.3.7', '3.3.8'].forEach((id) => {
+        assert(ids22.includes(id) && !ids21.includes(id), id);
+      });
+    });
+
+    it('should use version-specific criterion titles', () => {
+      const [criterion21] = getCriteriaForCode('WCAG2AAA.Principle2.Guideline2_5.2_5_5.F98', '2.1');
+      const [criterion22] = getCriteriaForCode('WCAG2AAA.Principle2.Guideline2_5.2_5_5.F98', '2.2');
+      assert.strictEqual(criterion21.title, 'Target Size');
+      assert.strictEqual(criterion22.title, 'Target Size (Enhanced)');
+    });
+
+    it('should select axe rules for the chosen version and level', () => {
+      assert.deepStrictEqual(getAxeRuleSelection('2.2', 'AA'), {
+        enable: ['target-size'],
+        ignore: ['duplicate-id-active', 'duplicate-id'],
+      });
+      assert.deepStrictEqual(getAxeRuleSelection('2.2', 'A').enable, []);
+      assert(getAxeRuleSelection('2.1', 'AA').ignore.includes('target-size'));
+    });
+
+    it('should only count rules pa11y selects or enables as run', () => {
+      const enabled = getEnabledAxeRules('2.2', 'AAA');
+
+      assert.ok(enabled.includes('image-alt'));
+      assert.ok(enabled.includes('region'));
+      assert.ok(enabled.includes('target-size'));
+      ['label-content-name-mismatch', 'p-as-heading', 'color-contrast-enhanced', 'duplicate-id'].forEach((rule) =>
+        assert.ok(!enabled.includes(rule), rule)
+      );
+      assert.ok(!getEnabledAxeRules('2.1', 'AA').includes('duplicate-id'));
+    });
+  });
+});